@@ -0,0 +1,109 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { register } from 'node:module';
+import { parseArgs } from 'node:util';
+import { readSnapshotCsv, readSnapshotManifest } from './snapshotFiles.mjs';
+
+// 스냅샷 CSV로 시장 리포트(Markdown + JSON)를 만든다. 대시보드와 같은 src/analytics 코드로 계산한다
+//   npm run report -- public/0309.csv --show "세븐틴 2025 - 인천"
+//   npm run report -- public/0308.csv public/0309.csv   (두 스냅샷이면 앞 스냅샷 대비 변화 포함)
+//   npm run report -- 0308.csv 0309.csv --date 2025-03-08 --date 2025-03-09   (snapshots.json에 없는 파일)
+// 옵션: --show 공연명, --out 저장 폴더(기본 reports), --top 상위/하위 구역 수, --exclude-flagged 품질 문제 매물 제외,
+//       --date 스냅샷 날짜(YYYY-MM-DD, 파일 순서대로 하나씩)
+// 스냅샷 날짜는 --date, 같은 폴더의 snapshots.json, 파일 이름(2025-03-09.csv) 순서로 찾고, 어디에도 없으면 멈춘다
+// 날짜로 현재와 이전 스냅샷을 정하고 공연일시의 연도를 정하므로 추측하지 않는다
+
+const USAGE = 'npm run report -- <스냅샷.csv> [이전 스냅샷.csv] [--date YYYY-MM-DD ...] [--show 공연명] [--out 폴더] [--top 5] [--exclude-flagged]';
+
+register('./srcHooks.mjs', import.meta.url);
+const {
+  DEFAULT_EVENT,
+  REPORT_TOP_ZONES,
+  addQualityFlags,
+  applyEvent,
+  buildMarketReport,
+  checkDataQuality,
+  normalizeRows
+} = await import('../src/analytics/index.js');
+const { toMarkdownReport } = await import('../src/utils/reportMarkdown.js');
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const isSnapshotDate = (value) => (
+  typeof value === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(value)) &&
+  new Date(value).toISOString().slice(0, 10) === value
+);
+
+const getSnapshotDate = (file, date) => {
+  if (date !== undefined) {
+    if (!isSnapshotDate(date)) fail(`--date는 YYYY-MM-DD 형식의 날짜여야 합니다: ${date}`);
+    return date;
+  }
+  const name = path.basename(file);
+  const entry = (readSnapshotManifest(path.dirname(file)) || []).find(snapshot => snapshot.file === name);
+  const candidate = entry ? entry.date : path.basename(name, path.extname(name));
+  if (!isSnapshotDate(candidate)) {
+    fail(`${file}의 스냅샷 날짜를 알 수 없습니다 (${candidate}). snapshots.json에 등록하거나 --date YYYY-MM-DD로 지정하세요`);
+  }
+  return candidate;
+};
+
+const readSnapshot = (file, date) => {
+  if (!fs.existsSync(file)) fail(`파일이 없습니다: ${file}`);
+  const snapshot = getSnapshotDate(file, date);
+  return { snapshot, rows: normalizeRows(readSnapshotCsv(file), snapshot) };
+};
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    show: { type: 'string' },
+    out: { type: 'string', default: 'reports' },
+    top: { type: 'string', default: String(REPORT_TOP_ZONES) },
+    date: { type: 'string', multiple: true, default: [] },
+    'exclude-flagged': { type: 'boolean', default: false }
+  }
+});
+
+if (positionals.length < 1 || positionals.length > 2) fail(`사용법: ${USAGE}`);
+const top = Number(values.top);
+if (!Number.isInteger(top) || top < 1) fail(`--top은 1 이상의 정수여야 합니다: ${values.top}`);
+if (values.date.length > 0 && values.date.length !== positionals.length) {
+  fail(`--date는 파일마다 하나씩, 파일 순서대로 지정하세요 (파일 ${positionals.length}개, 날짜 ${values.date.length}개)`);
+}
+
+// 공연 선택과 품질 제외는 대시보드와 같은 방식으로 적용한다
+const prepare = ({ snapshot, rows }) => {
+  let scoped = values.show ? applyEvent(rows, { ...DEFAULT_EVENT, show: values.show }) : rows;
+  if (values['exclude-flagged']) {
+    scoped = addQualityFlags(scoped, checkDataQuality(scoped)).filter(item => item.품질.length === 0);
+  }
+  return { snapshot, rows: scoped };
+};
+
+// 날짜가 늦은 스냅샷이 현재, 다른 하나가 비교 대상
+const snapshots = positionals
+  .map((file, index) => readSnapshot(file, values.date[index]))
+  .sort((a, b) => a.snapshot.localeCompare(b.snapshot));
+if (snapshots.length > 1 && snapshots[0].snapshot === snapshots[1].snapshot) {
+  fail(`두 스냅샷의 날짜가 같습니다 (${snapshots[0].snapshot}). 비교할 스냅샷의 날짜를 확인하세요`);
+}
+const [previous, current] = snapshots.length > 1 ? snapshots.map(prepare) : [null, prepare(snapshots[0])];
+
+if (current.rows.length === 0) {
+  fail(values.show ? `${current.snapshot} 스냅샷에 '${values.show}' 공연의 매물이 없습니다` : `${current.snapshot} 스냅샷에 매물이 없습니다`);
+}
+
+const report = buildMarketReport({ current, previous, top });
+const baseName = ['report', current.snapshot, values.show].filter(Boolean).join('-').replace(/[\\/:*?"<>|\s]+/g, '_');
+fs.mkdirSync(values.out, { recursive: true });
+const markdownFile = path.join(values.out, `${baseName}.md`);
+const jsonFile = path.join(values.out, `${baseName}.json`);
+fs.writeFileSync(markdownFile, toMarkdownReport(report));
+fs.writeFileSync(jsonFile, `${JSON.stringify(report, null, 2)}\n`);
+console.log(`${markdownFile}\n${jsonFile}`);
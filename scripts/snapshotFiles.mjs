@@ -0,0 +1,22 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import Papa from 'papaparse';
+
+// Node에서 스냅샷 파일을 읽는 공통 코드 (매물 API 서버, 리포트 명령)
+// 데이터 폴더 구조는 대시보드의 public 폴더와 같다: snapshots.json + 날짜별 CSV
+
+export const MANIFEST_FILE = 'snapshots.json';
+
+// 대시보드(src/utils/snapshots.js)와 같은 옵션으로 파싱한다. 엑셀로 저장한 CSV의 BOM은 지운다
+export const readSnapshotCsv = (file) => {
+  const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+  const { data } = Papa.parse(text, { header: true, skipEmptyLines: true, dynamicTyping: true });
+  return data;
+};
+
+// snapshots.json의 스냅샷 목록. 파일이 없으면 null
+export const readSnapshotManifest = (dataDir) => {
+  const manifestFile = path.join(dataDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestFile)) return null;
+  return JSON.parse(fs.readFileSync(manifestFile, 'utf8')).snapshots || [];
+};
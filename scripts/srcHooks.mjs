@@ -0,0 +1,22 @@
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+// src는 CRA(webpack) 기준으로 쓰여 있다: 확장자 없는 상대 경로 import, package.json에 "type"이 없는 ESM
+// Node에서 src의 분석 코드를 그대로 불러오도록 src 아래에서는 .js나 폴더의 index.js를 찾아 주고 ESM으로 읽는다
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+const isFile = (url) => fs.existsSync(fileURLToPath(url)) && fs.statSync(fileURLToPath(url)).isFile();
+
+export const resolve = (specifier, context, nextResolve) => {
+  if (context.parentURL?.startsWith(SRC_URL) && /^\.{1,2}\//.test(specifier)) {
+    const url = new URL(specifier, context.parentURL);
+    const candidate = [url.href, `${url.href}.js`, `${url.href}/index.js`].find(isFile);
+    if (candidate) return nextResolve(candidate, context);
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = (url, context, nextLoad) => {
+  if (url.startsWith(SRC_URL) && url.endsWith('.js')) return nextLoad(url, { ...context, format: 'module' });
+  return nextLoad(url, context);
+};
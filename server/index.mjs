@@ -0,0 +1,49 @@
+import path from 'node:path';
+import { register } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import express from 'express';
+
+// 로컬 매물 API (대시보드의 api 데이터 소스가 읽는 서버)
+//   npm run server            → http://localhost:3001
+//   DATA_DIR=/스크래퍼/출력 PORT=4000 npm run server
+// GET /api/snapshots                                  스냅샷 목록 (날짜, 파일, 리비전, 매물 수)
+// GET /api/events                                     공연 목록
+// GET /api/listings?snapshot=&show=&date=&floor=&page=&pageSize=   매물 (서버에서 필터, 페이지 나눔)
+const PORT = Number(process.env.PORT) || 3001;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || fileURLToPath(new URL('../public', import.meta.url)));
+
+// listings.mjs가 src/analytics를 불러오므로 리포트 명령과 같은 로더를 먼저 등록한다
+register('../scripts/srcHooks.mjs', import.meta.url);
+const { createListingStore } = await import('./listings.mjs');
+
+const store = createListingStore(DATA_DIR);
+const app = express();
+
+// 다른 포트에서 띄운 대시보드(npm start)도 읽을 수 있게 한다
+app.use((req, res, next) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  next();
+});
+
+app.get('/api/snapshots', (req, res) => {
+  res.json({ snapshots: store.listSnapshots() });
+});
+
+app.get('/api/events', (req, res) => {
+  res.json({ events: store.listEvents() });
+});
+
+app.get('/api/listings', (req, res) => {
+  const { snapshot, show, date, floor, page, pageSize } = req.query;
+  res.json(store.queryListings({ snapshot, show, date, floor, page, pageSize }));
+});
+
+// 데이터 파일을 읽지 못한 경우 등은 JSON 오류로 돌려준다
+app.use((error, req, res, next) => {
+  console.error(error);
+  res.status(500).json({ error: error.message });
+});
+
+app.listen(PORT, () => {
+  console.log(`매물 API: http://localhost:${PORT}/api (데이터: ${DATA_DIR})`);
+});
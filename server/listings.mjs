@@ -0,0 +1,95 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { getPerformanceDate } from '../src/analytics/dates.js';
+import { MANIFEST_FILE, readSnapshotCsv, readSnapshotManifest } from '../scripts/snapshotFiles.mjs';
+
+// 스냅샷 CSV를 읽어 API 응답을 만든다
+// 파일 읽기는 리포트 명령과, 공연일(MM.DD) 계산은 대시보드와 같은 코드를 쓴다
+// 스크래퍼가 파일을 새로 쓰면 수정 시각이 바뀌므로 다음 요청에서 다시 읽는다
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// 파일 수정 시각으로 만든 리비전. 대시보드는 리비전이 같으면 저장해 둔 파싱 결과를 쓴다
+const getRevision = (file) => String(Math.floor(fs.statSync(file).mtimeMs));
+
+export const createListingStore = (dataDir) => {
+  let cache = null;
+
+  const load = () => {
+    const manifestFile = path.join(dataDir, MANIFEST_FILE);
+    const manifest = readSnapshotManifest(dataDir);
+    if (!manifest) throw new Error(`스냅샷 목록이 없습니다: ${manifestFile}`);
+    const snapshots = [...manifest]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(snapshot => ({ ...snapshot, revision: getRevision(path.join(dataDir, snapshot.file)) }));
+    const signature = [getRevision(manifestFile), ...snapshots.map(snapshot => snapshot.revision)].join('|');
+    if (cache && cache.signature === signature) return cache;
+
+    const listings = snapshots.flatMap(snapshot => (
+      readSnapshotCsv(path.join(dataDir, snapshot.file)).map(row => ({ ...row, 스냅샷: snapshot.date }))
+    ));
+    cache = {
+      signature,
+      snapshots: snapshots.map(snapshot => ({
+        ...snapshot,
+        count: listings.filter(row => row.스냅샷 === snapshot.date).length
+      })),
+      listings
+    };
+    return cache;
+  };
+
+  // 공연명별 카테고리, 회차, 스냅샷, 매물 수
+  const listEvents = () => {
+    const events = new Map();
+    load().listings.forEach(row => {
+      const show = row.공연명 || '';
+      if (!events.has(show)) {
+        events.set(show, {
+          category: row.카테고리1 || '',
+          artist: row.카테고리2 || '',
+          show,
+          performances: new Set(),
+          snapshots: new Set(),
+          count: 0
+        });
+      }
+      const event = events.get(show);
+      if (row.공연일시) event.performances.add(String(row.공연일시).trim());
+      event.snapshots.add(row.스냅샷);
+      event.count += 1;
+    });
+    return [...events.values()].map(event => ({
+      ...event,
+      performances: [...event.performances].sort(),
+      snapshots: [...event.snapshots].sort()
+    }));
+  };
+
+  // 필터: snapshot, show(공연명), date(MM.DD 공연일), floor(층). 값이 없으면 전체
+  const queryListings = ({ snapshot, show, date, floor, page = 1, pageSize = DEFAULT_PAGE_SIZE }) => {
+    const size = Math.min(Math.max(Number(pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const matches = load().listings.filter(row => (
+      (!snapshot || row.스냅샷 === snapshot) &&
+      (!show || row.공연명 === show) &&
+      (!date || getPerformanceDate(row) === date) &&
+      (!floor || row.층 === floor)
+    ));
+    const totalPages = Math.max(Math.ceil(matches.length / size), 1);
+    const current = Math.min(Math.max(Number(page) || 1, 1), totalPages);
+    return {
+      items: matches.slice((current - 1) * size, current * size),
+      page: current,
+      pageSize: size,
+      total: matches.length,
+      totalPages
+    };
+  };
+
+  return {
+    listSnapshots: () => load().snapshots,
+    listEvents,
+    queryListings
+  };
+};
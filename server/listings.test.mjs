@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { register } from 'node:module';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+// npm run test:server (CRA의 jest는 src 밖을 읽지 않는다)
+register('../scripts/srcHooks.mjs', import.meta.url);
+const { createListingStore } = await import('./listings.mjs');
+
+const HEADER = '공연명,공연일시,구역,열,층,등급,가격';
+
+const toCsv = (rows) => `\uFEFF${[HEADER, ...rows].join('\n')}\n`;
+
+// 0308: 3장, 0309: 공연 두 개 × 공연일 두 개 × 층 두 개
+const FILES = {
+  '0308.csv': toCsv([
+    '공연 A,03.20  18:30,A1,1열,플로어석,R,200000',
+    '공연 A,03.20  18:30,A2,2열,플로어석,R,210000',
+    '공연 A,03.21  18:30,201,3열,2층,S,150000'
+  ]),
+  '0309.csv': toCsv([
+    '공연 A,03.20  18:30,A1,1열,플로어석,R,220000',
+    '공연 A,3.21 18:30,201,3열,2층,S,160000',
+    '공연 A,03.21  18:30,A3,4열,플로어석,R,230000',
+    '공연 B,03.20  19:00,301,5열,3층,A,90000',
+    '공연 B,03.22  19:00,302,6열,3층,A,95000'
+  ])
+};
+
+let dataDir;
+
+const writeData = () => {
+  fs.writeFileSync(path.join(dataDir, 'snapshots.json'), JSON.stringify({
+    snapshots: [{ date: '2025-03-09', file: '0309.csv' }, { date: '2025-03-08', file: '0308.csv' }]
+  }));
+  Object.entries(FILES).forEach(([file, text]) => fs.writeFileSync(path.join(dataDir, file), text));
+};
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listings-'));
+  writeData();
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('createListingStore', () => {
+  test('lists snapshots by date with revisions and counts', () => {
+    const snapshots = createListingStore(dataDir).listSnapshots();
+    assert.deepEqual(snapshots.map(snapshot => [snapshot.date, snapshot.count]), [['2025-03-08', 3], ['2025-03-09', 5]]);
+    assert.ok(snapshots.every(snapshot => snapshot.revision));
+  });
+
+  test('filters listings by snapshot, show, performance date and floor', () => {
+    const store = createListingStore(dataDir);
+    assert.equal(store.queryListings({}).total, 8);
+    assert.equal(store.queryListings({ snapshot: '2025-03-09' }).total, 5);
+    assert.equal(store.queryListings({ snapshot: '2025-03-09', show: '공연 B' }).total, 2);
+
+    // '3.21 18:30'과 '03.21  18:30'은 같은 공연일
+    const byDate = store.queryListings({ snapshot: '2025-03-09', show: '공연 A', date: '03.21' });
+    assert.deepEqual(byDate.items.map(row => row.구역), [201, 'A3']);
+
+    const byFloor = store.queryListings({ snapshot: '2025-03-09', show: '공연 A', date: '03.21', floor: '플로어석' });
+    assert.deepEqual(byFloor.items.map(row => [row.구역, row.가격, row.스냅샷]), [['A3', 230000, '2025-03-09']]);
+  });
+
+  test('clamps page size to 1..1000 and falls back to 100', () => {
+    const store = createListingStore(dataDir);
+    assert.equal(store.queryListings({}).pageSize, 100);
+    assert.equal(store.queryListings({ pageSize: 'abc' }).pageSize, 100);
+    assert.equal(store.queryListings({ pageSize: '-5' }).pageSize, 1);
+    assert.equal(store.queryListings({ pageSize: '5000' }).pageSize, 1000);
+
+    const result = store.queryListings({ pageSize: '3' });
+    assert.equal(result.items.length, 3);
+    assert.equal(result.totalPages, 3);
+  });
+
+  test('clamps the page into the available range', () => {
+    const store = createListingStore(dataDir);
+    const last = store.queryListings({ pageSize: '3', page: '99' });
+    assert.equal(last.page, 3);
+    assert.equal(last.items.length, 2);
+    assert.equal(store.queryListings({ pageSize: '3', page: '0' }).page, 1);
+    assert.equal(store.queryListings({ pageSize: '3', page: 'x' }).page, 1);
+
+    // 결과가 없어도 1페이지를 돌려준다
+    const empty = store.queryListings({ show: '없는 공연', page: '2' });
+    assert.deepEqual([empty.page, empty.total, empty.totalPages, empty.items], [1, 0, 1, []]);
+  });
+
+  test('reuses parsed listings until a file revision changes', () => {
+    const store = createListingStore(dataDir);
+    const snapshots = store.listSnapshots();
+    assert.equal(store.listSnapshots(), snapshots);
+
+    const file = path.join(dataDir, '0309.csv');
+    fs.writeFileSync(file, toCsv(['공연 C,04.01  18:00,B1,1열,플로어석,VIP,300000']));
+    const later = new Date(fs.statSync(file).mtimeMs + 60 * 1000);
+    fs.utimesSync(file, later, later);
+
+    const reloaded = store.listSnapshots();
+    assert.notEqual(reloaded, snapshots);
+    assert.notEqual(reloaded[1].revision, snapshots[1].revision);
+    assert.deepEqual(store.queryListings({ snapshot: '2025-03-09' }).items.map(row => row.공연명), ['공연 C']);
+  });
+});
@@ -1,8 +1,117 @@
-import { render, screen } from '@testing-library/react';
+import fs from 'fs';
+import path from 'path';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+const fixtureCsv = fs.readFileSync(path.join(__dirname, 'analytics', '__fixtures__', 'listings.csv'), 'utf8');
+
+const respond = (body) => Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(body) });
+
+beforeEach(() => {
+  global.fetch = jest.fn((url) => {
+    if (url.endsWith('snapshots.json')) {
+      return respond(JSON.stringify({ snapshots: [{ date: '2025-03-09', file: '0309.csv' }] }));
+    }
+    if (url.endsWith('face-values.json')) {
+      return respond(JSON.stringify({}));
+    }
+    if (url.endsWith('note-tags.json')) {
+      return respond(JSON.stringify({ tags: [] }));
+    }
+    return respond(fixtureCsv);
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+  window.localStorage.clear();
+});
+
+test('renders the price summary for the loaded snapshot', async () => {
+  render(<App />);
+
+  expect(await screen.findByText('세븐틴 2025 - 인천 좌석별 가격 시각화')).toBeInTheDocument();
+  expect(document.title).toBe('1열의 행복 - 세븐틴 2025 - 인천');
+  expect(screen.getAllByText('168,000원').length).toBeGreaterThan(0);
+  expect(screen.getAllByText('230,000원').length).toBeGreaterThan(0);
+});
+
+test('shows matching listings for saved watch rules when a new snapshot loads', async () => {
+  window.localStorage.setItem('ticketb.watchRules', JSON.stringify([
+    { id: '1', name: '2층 R 연석', filters: { floors: ['2층 (2F)'], connectedOnly: true } }
+  ]));
+
+  render(<App />);
+
+  expect(await screen.findByText('03.09 스냅샷 알림 (1개 규칙)')).toBeInTheDocument();
+  expect(screen.getByText('2층 R 연석')).toBeInTheDocument();
+  expect(window.localStorage.getItem('ticketb.lastAlertSnapshot')).toBe('2025-03-09');
+});
+
+test('opens a printable report of the current view', async () => {
+  render(<App />);
+
+  fireEvent.click(await screen.findByText('리포트'));
+
+  expect(screen.getByText('세븐틴 2025 - 인천 좌석 가격 리포트')).toBeInTheDocument();
+  expect(screen.getByText('적용한 조건: 없음 (전체 매물)')).toBeInTheDocument();
+  expect(screen.getByText(/구역별 가격 \(전체 \d+개 구역\)/)).toBeInTheDocument();
+  expect(screen.getAllByText('PNG')).toHaveLength(3);
+
+  fireEvent.click(screen.getByText('대시보드로 돌아가기'));
+  expect(screen.getByText('세븐틴 2025 - 인천 좌석별 가격 시각화')).toBeInTheDocument();
+});
+
+test('lists the selected performance in the report conditions', async () => {
+  window.history.replaceState(null, '', `/?${new URLSearchParams({ performance: '03.21  18:30' })}`);
+
+  try {
+    render(<App />);
+    fireEvent.click(await screen.findByText('리포트'));
+
+    expect(screen.getByText('적용한 조건: 03.21 18:30')).toBeInTheDocument();
+  } finally {
+    window.history.replaceState(null, '', '/');
+  }
+});
+
+test('keeps analysing and shows a notice when the face value table or note taxonomy cannot be loaded', async () => {
+  const respondWith = global.fetch.getMockImplementation();
+  global.fetch.mockImplementation((url) => (
+    url.endsWith('face-values.json') || url.endsWith('note-tags.json') ? Promise.resolve({ ok: false, status: 404 }) : respondWith(url)
+  ));
+
+  render(<App />);
+
+  expect(await screen.findByText('정가표를 불러오지 못해 웃돈 없이 보여줍니다: face-values.json (404)')).toBeInTheDocument();
+  expect(screen.getByText('특이사항 분류표를 불러오지 못해 태그 없이 보여줍니다: note-tags.json (404)')).toBeInTheDocument();
+  expect(screen.getAllByText('168,000원').length).toBeGreaterThan(0);
+});
+
+test('shows a notice when the saved watch rules cannot be read', async () => {
+  window.localStorage.setItem('ticketb.watchRules', '{');
+
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  expect(await screen.findByText(/^저장된 감시 규칙을 읽지 못해 빈 목록으로 시작합니다/)).toBeInTheDocument();
+});
+
+test('keeps the dashboard running when browser storage is blocked', async () => {
+  const getItem = jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+    throw new Error('SecurityError');
+  });
+  const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new Error('SecurityError');
+  });
+
+  try {
+    render(<App />);
+
+    expect(await screen.findByText('세븐틴 2025 - 인천 좌석별 가격 시각화')).toBeInTheDocument();
+    expect(await screen.findByText(/^알림을 확인한 스냅샷을 저장하지 못해/)).toBeInTheDocument();
+    expect(screen.queryByText(/데이터 로드 오류/)).not.toBeInTheDocument();
+  } finally {
+    getItem.mockRestore();
+    setItem.mockRestore();
+  }
 });
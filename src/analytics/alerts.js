@@ -0,0 +1,41 @@
+import _ from 'lodash';
+import { DEFAULT_EVENT, describeEvent, matchesEvent } from './events';
+import { DEFAULT_FILTERS, describeFilters, matchesFilters } from './filters';
+
+// 감시 규칙: 필터 바와 같은 필터 모델에 공연 범위와 정가 대비 상한을 더한 것
+// { id, name, event, filters, maxMarkupRatio } — maxMarkupRatio 0.2는 "정가 +20% 이하", null이면 제한 없음
+export const createWatchRule = ({ id, name, event = DEFAULT_EVENT, filters = DEFAULT_FILTERS, maxMarkupRatio = null }) => ({
+  id,
+  name,
+  event: { ...DEFAULT_EVENT, ...event },
+  filters: { ...DEFAULT_FILTERS, ...filters },
+  maxMarkupRatio
+});
+
+export const matchesWatchRule = (item, rule) => {
+  return (
+    matchesEvent(item, rule.event) &&
+    matchesFilters(item, rule.filters) &&
+    (rule.maxMarkupRatio === null || (typeof item.웃돈비율 === 'number' && item.웃돈비율 <= rule.maxMarkupRatio))
+  );
+};
+
+// 규칙마다 맞는 매물을 싼 순서로 모은다. 맞는 매물이 없는 규칙은 빼고 돌려준다
+export const evaluateWatchRules = (rules, items) => {
+  return rules
+    .map(rule => ({
+      rule,
+      matches: _.sortBy(items.filter(item => matchesWatchRule(item, rule)), '가격')
+    }))
+    .filter(result => result.matches.length > 0);
+};
+
+// 규칙 조건 목록 (공연 범위 + describeFilters + 정가 대비 상한). 한 줄 문구는 utils/format의 formatConditions
+export const describeWatchRule = (rule) => {
+  const conditions = [
+    ...describeEvent(rule.event),
+    ...describeFilters(rule.filters)
+  ];
+  if (rule.maxMarkupRatio !== null) conditions.push({ key: 'maxMarkupRatio', value: rule.maxMarkupRatio });
+  return conditions;
+};
@@ -0,0 +1,597 @@
+import fs from 'fs';
+import path from 'path';
+import Papa from 'papaparse';
+import {
+  DEFAULT_EVENT,
+  DEFAULT_FILTERS,
+  MAX_PARTY_SIZE,
+  MISSING_KEY,
+  addMarkup,
+  addNoteTags,
+  addQualityFlags,
+  aggregateBy,
+  applyEvent,
+  applyFilters,
+  buildPivot,
+  buildHistogram,
+  buildMarketReport,
+  checkDataQuality,
+  classifyNote,
+  compareEvents,
+  compareNoteTags,
+  createColumnStore,
+  createWatchRule,
+  describeFilters,
+  describeWatchRule,
+  evaluateWatchRules,
+  excludeOutliers,
+  findOutliers,
+  getBoxPlotStats,
+  getEventOptions,
+  getEventTitle,
+  getFaceValue,
+  getKstSnapshotDate,
+  getMarkupDistribution,
+  getOutlierFences,
+  getPerformanceDate,
+  getSnapshotTime,
+  getValidPrices,
+  median,
+  normalizeRows,
+  parseKstDateTime,
+  percentile,
+  planGroupPurchase,
+  queryColumnStore,
+  rankCorrelation,
+  resolveEvent,
+  standardDeviation,
+  summarizeListingAge,
+  summarizeMarkup,
+  summarizePrices
+} from '.';
+
+const loadFixture = (name, snapshot) => {
+  const text = fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+  const { data } = Papa.parse(text, { header: true, skipEmptyLines: true, dynamicTyping: true });
+  return normalizeRows(data, snapshot);
+};
+
+const rows = loadFixture('listings.csv');
+
+describe('normalizeRows', () => {
+  test('strips the BOM from the first header', () => {
+    expect(rows[0].카테고리1).toBe('콘서트');
+  });
+
+  test('parses formatted prices and leaves missing prices empty', () => {
+    expect(rows.map(row => row.가격)).toEqual([
+      168000, 170000, 178000, 250000, 230000, 400000, null, 10000000
+    ]);
+  });
+
+  test('keeps 열 numeric', () => {
+    expect(rows[0].열).toBe(11);
+  });
+});
+
+describe('dates', () => {
+  const snapshotTime = getSnapshotTime('2025-03-09');
+
+  test('reads times as KST and takes the year from the snapshot', () => {
+    expect(parseKstDateTime('03.20  18:30', snapshotTime)).toBe(Date.UTC(2025, 2, 20, 9, 30));
+  });
+
+  test('moves registrations across the new year into the previous year', () => {
+    const januarySnapshot = getSnapshotTime('2025-01-03');
+
+    expect(parseKstDateTime('12.28  10:00', januarySnapshot, 'past')).toBe(Date.UTC(2024, 11, 28, 1, 0));
+    expect(parseKstDateTime('12.28  10:00', getSnapshotTime('2024-12-20'))).toBe(Date.UTC(2024, 11, 28, 1, 0));
+    expect(parseKstDateTime('01.05  18:00', getSnapshotTime('2024-12-20'))).toBe(Date.UTC(2025, 0, 5, 9, 0));
+  });
+
+  test('returns null for unreadable values', () => {
+    expect(parseKstDateTime('3월 20일', snapshotTime)).toBeNull();
+    expect(parseKstDateTime('13.01  10:00', snapshotTime)).toBeNull();
+    expect(parseKstDateTime('03.20  18:30', null)).toBeNull();
+  });
+
+  test('adds listing age and days to show relative to the end of the snapshot day', () => {
+    const [row] = loadFixture('listings.csv', '2025-03-09');
+
+    expect(row.스냅샷).toBe('2025-03-09');
+    expect(row.등록시각).toBe(Date.UTC(2025, 2, 8, 3, 10));
+    expect(row.매물경과일).toBeCloseTo(1 + 11 / 24 + 50 / 1440, 6);
+    expect(row.공연까지일).toBeCloseTo(10 + 18.5 / 24, 6);
+  });
+
+  test('getKstSnapshotDate uses the KST calendar day', () => {
+    expect(getKstSnapshotDate(Date.UTC(2025, 2, 9, 16, 0))).toBe('2025-03-10');
+    expect(getKstSnapshotDate(Date.UTC(2025, 2, 9, 14, 59))).toBe('2025-03-09');
+  });
+
+  test('getPerformanceDate tolerates single spaces and one-digit months', () => {
+    expect(getPerformanceDate({ 공연일시: '3.5 18:30' })).toBe('03.05');
+    expect(getPerformanceDate({ 공연일시: '' })).toBeNull();
+  });
+});
+
+describe('summarizeListingAge', () => {
+  test('buckets priced listings by age and compares them to their floor and grade', () => {
+    const summary = summarizeListingAge(loadFixture('listings.csv', '2025-03-09'));
+
+    expect(summary.count).toBe(7);
+    expect(summary.buckets.map(bucket => [bucket.bucket, bucket.count])).toEqual([
+      ['2~3일', 2], ['4~7일', 2], ['8~14일', 3]
+    ]);
+    expect(summary.performances.map(performance => performance.date)).toEqual(['03.20', '03.21']);
+  });
+
+  test('returns an empty summary without snapshot dates', () => {
+    expect(summarizeListingAge(rows)).toMatchObject({ count: 0, correlation: null, buckets: [] });
+  });
+});
+
+describe('events', () => {
+  // 두 번째 공연은 부산 공연으로 바꾼 복사본
+  const busan = rows.slice(0, 4).map(row => ({ ...row, 공연명: '세븐틴 2025 - 부산', 공연일시: '04.05  18:00' }));
+  const tour = [...rows, ...busan];
+
+  test('narrows each level by the levels above it', () => {
+    const options = getEventOptions(tour, { ...DEFAULT_EVENT, show: '세븐틴 2025 - 부산' });
+
+    expect(options.artist).toEqual(['세븐틴']);
+    expect(options.show).toEqual(['세븐틴 2025 - 부산', '세븐틴 2025 - 인천']);
+    expect(options.performance).toEqual(['04.05  18:00']);
+  });
+
+  test('resets selections that are not in the data', () => {
+    const event = { ...DEFAULT_EVENT, artist: '세븐틴', show: '세븐틴 2025 - 서울', performance: '04.05  18:00' };
+
+    expect(resolveEvent(tour, event)).toEqual({ ...DEFAULT_EVENT, artist: '세븐틴' });
+  });
+
+  test('titles the scope by its most specific shared level', () => {
+    expect(getEventTitle(tour)).toBe('세븐틴 콘서트');
+    expect(getEventTitle(applyEvent(tour, { ...DEFAULT_EVENT, show: '세븐틴 2025 - 부산' }))).toBe('세븐틴 2025 - 부산');
+  });
+
+  test('compares median prices per grade across shows', () => {
+    const comparison = compareEvents(tour, '등급', ['세븐틴 2025 - 인천', '세븐틴 2025 - 부산']);
+    const r = comparison.find(row => row.key === 'R');
+
+    expect(r.values['세븐틴 2025 - 인천']).toEqual({ median: 325000, count: 5 });
+    expect(r.values['세븐틴 2025 - 부산']).toEqual({ median: 250000, count: 1 });
+  });
+});
+
+describe('markup', () => {
+  const table = {
+    '세븐틴 2025 - 인천': {
+      prices: [
+        { 등급: 'R', price: 200000 },
+        { 등급: 'R', 층: '플로어석 (Floor)', price: 250000 },
+        { 등급: 'S', price: 160000 }
+      ]
+    }
+  };
+  const marked = addMarkup(rows, table);
+
+  test('prefers a floor-specific face value over the grade default', () => {
+    expect(getFaceValue(rows[3], table)).toBe(200000);
+    expect(getFaceValue(rows[5], table)).toBe(250000);
+    expect(getFaceValue({ ...rows[0], 공연명: '다른 공연' }, table)).toBeNull();
+  });
+
+  test('adds the absolute premium and the markup ratio', () => {
+    expect(marked[0]).toMatchObject({ 정가: 160000, 웃돈: 8000 });
+    expect(marked[0].웃돈비율).toBeCloseTo(0.05);
+    expect(marked[6]).toMatchObject({ 정가: 250000, 웃돈: null, 웃돈비율: null });
+  });
+
+  test('summarizes and buckets listings with a face value', () => {
+    const summary = summarizeMarkup(marked.slice(0, 2));
+
+    expect(summary).toMatchObject({ faceValue: 160000, avgMarkup: 9000 });
+    expect(summary.markupRatio).toBeCloseTo(0.05625);
+    expect(summarizeMarkup(rows)).toEqual({ faceValue: null, avgMarkup: null, markupRatio: null });
+    expect(getMarkupDistribution(marked).map(bucket => bucket.count)).toEqual([0, 5, 1, 0, 0, 0, 1]);
+  });
+});
+
+describe('distribution', () => {
+  test('getOutlierFences uses 1.5 IQR around the quartiles', () => {
+    expect(getOutlierFences([1, 2, 3, 4, 5])).toEqual({ lower: -1, upper: 7 });
+    expect(getOutlierFences([1, 100])).toEqual({ lower: -Infinity, upper: Infinity });
+  });
+
+  test('finds outliers within each floor and grade', () => {
+    const listings = [
+      ...[150000, 160000, 170000, 180000, 1000000].map(가격 => ({ 층: '2층 (2F)', 등급: 'R', 가격 })),
+      { 층: 'Play＆Stay', 등급: 'Play&Stay', 가격: 1000000 }
+    ];
+
+    expect([...findOutliers(listings)]).toEqual([listings[4]]);
+    expect(excludeOutliers(listings)).toHaveLength(5);
+  });
+
+  test('buildHistogram counts prices per bin and folds the tail into the last bin', () => {
+    expect(buildHistogram([100, 150, 220], 100)).toEqual([
+      { start: 100, end: 200, count: 2 },
+      { start: 200, end: 300, count: 1 }
+    ]);
+    expect(buildHistogram([0, 50, 1000], 100, 3).map(bin => [bin.end, bin.count])).toEqual([
+      [100, 2], [200, 0], [Infinity, 1]
+    ]);
+  });
+
+  test('getBoxPlotStats keeps outliers out of the whiskers', () => {
+    const prices = [100, 110, 120, 130, 1000];
+    const stats = getBoxPlotStats(prices.map(가격 => ({ 층: '2층 (2F)', 가격 })), '층');
+
+    expect(stats).toEqual([{
+      key: '2층 (2F)',
+      count: 5,
+      whiskerLow: 100,
+      q1: 110,
+      median: 120,
+      q3: 130,
+      whiskerHigh: 130,
+      outliers: [1000]
+    }]);
+  });
+});
+
+describe('note tags', () => {
+  const taxonomy = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'public', 'note-tags.json'), 'utf8'));
+  const tagged = addNoteTags(rows, taxonomy);
+
+  test('classifies the seller notes found in the data', () => {
+    expect(classifyNote('여성명의', taxonomy)).toEqual(['명의 이전 불가', '성별 제한 명의']);
+    expect(classifyNote('판매자가 입장 도움', taxonomy)).toEqual(['판매자 동반 입장']);
+    expect(classifyNote('예매처 ID로 상품 전달', taxonomy)).toEqual(['예매처 계정 전달']);
+    expect(classifyNote('정보 없음', taxonomy)).toEqual([]);
+  });
+
+  test('uses the highest tag risk as the listing risk', () => {
+    expect(tagged[1]).toMatchObject({ 태그: ['명의 이전 불가', '성별 제한 명의'], 위험도: '높음' });
+    expect(tagged[3].위험도).toBe('보통');
+    expect(tagged[0]).toMatchObject({ 태그: [], 위험도: null });
+  });
+
+  test('compares each tag against its floor and grade median', () => {
+    const comparison = compareNoteTags(tagged, taxonomy);
+
+    expect(comparison.map(row => [row.tag, row.count])).toEqual([
+      ['명의 이전 불가', 2], ['성별 제한 명의', 2], ['판매자 동반 입장', 2], ['예매처 계정 전달', 1], ['태그 없음', 2]
+    ]);
+  });
+
+  test('filters by included and excluded tags', () => {
+    const withoutGender = applyFilters(tagged, { ...DEFAULT_FILTERS, excludedTags: ['성별 제한 명의'] });
+    const escorted = applyFilters(tagged, { ...DEFAULT_FILTERS, tags: ['판매자 동반 입장'] });
+
+    expect(withoutGender).toHaveLength(6);
+    expect(escorted.map(row => row.구역)).toEqual(['N1', 'N1']);
+  });
+});
+
+describe('watch rules', () => {
+  test('reuses the filter model and sorts matches by price', () => {
+    const rule = createWatchRule({
+      id: '1',
+      name: '2층 R 연석',
+      filters: { floors: ['2층 (2F)'], grades: ['R'], connectedOnly: true, priceMax: 240000 }
+    });
+
+    const [result] = evaluateWatchRules([rule], rows);
+    expect(result.matches.map(row => row.가격)).toEqual([230000]);
+    expect(describeWatchRule(rule)).toEqual([
+      { key: 'floors', value: '2층 (2F)' },
+      { key: 'grades', value: 'R' },
+      { key: 'connectedOnly', value: true },
+      { key: 'priceMax', value: 240000 }
+    ]);
+  });
+
+  test('limits the markup against face value and drops rules without matches', () => {
+    const marked = addMarkup(rows, { '세븐틴 2025 - 인천': { prices: [{ 등급: 'S', price: 160000 }] } });
+    const cheap = createWatchRule({ id: '1', name: '정가 +6% 이하', maxMarkupRatio: 0.06 });
+    const none = createWatchRule({ id: '2', name: '없음', filters: { zones: ['Z9'] } });
+
+    const results = evaluateWatchRules([cheap, none], marked);
+    expect(results.map(result => result.rule.id)).toEqual(['1']);
+    expect(results[0].matches.map(row => row.구역)).toEqual(['E61']);
+    expect(describeWatchRule(cheap)).toEqual([{ key: 'maxMarkupRatio', value: 0.06 }]);
+  });
+});
+
+describe('planGroupPurchase', () => {
+  const seat = (구역, 열, 가격, 연결석여부 = 'N') => ({
+    공연일시: '3.21 18:00', 구역, 열, 가격, 연결석여부, 층: '1층 (1F)', 등급: 'R'
+  });
+  const listings = [
+    seat('A1', 10, 200000),
+    seat('A1', 11, 150000),
+    seat('A1', 12, 120000),
+    seat('A1', 13, 100000),
+    seat('A1', 11, 260000, 'Y'),
+    seat('B1', '20열 뒷돌출', 240000, 'Y'),
+    seat('C1', 5, 50000),
+    seat('C1', 7, 50000)
+  ];
+
+  test('ranks connected listings and consecutive rows by total price', () => {
+    const options = planGroupPurchase(listings, { partySize: 2 });
+    expect(options.map(option => [option.zone, option.type, option.totalPrice])).toEqual([
+      ['A1', '이어진 열', 220000],
+      ['B1', '연석 매물', 240000],
+      ['A1', '연석 매물', 260000],
+      ['A1', '이어진 열', 270000],
+      ['A1', '이어진 열', 350000]
+    ]);
+    expect(options[0].rows).toEqual([12, 13]);
+    expect(options[0].perSeatPrice).toBe(110000);
+  });
+
+  test('fills the party exactly and respects the budget', () => {
+    const options = planGroupPurchase(listings, { partySize: 4, budget: 600000 });
+    expect(options.map(option => [option.rows, option.totalPrice])).toEqual([
+      [[11, 12, 13], 480000],
+      [[11, 12], 530000],
+      [[10, 11, 12, 13], 570000],
+      [[10, 11, 12], 580000]
+    ]);
+    expect(options[0].items.filter(item => item.연결석여부 === 'Y')).toHaveLength(1);
+    expect(planGroupPurchase(listings, { partySize: 4, budget: 400000 })).toEqual([]);
+  });
+
+  test('rejects party sizes that are not whole numbers from 1 to the maximum', () => {
+    const listings = [seat('A1', 11, 100000), seat('A1', 11, 120000)];
+
+    expect(planGroupPurchase(listings, { partySize: 2 })).toHaveLength(1);
+    [0, 1.5, MAX_PARTY_SIZE + 1, NaN].forEach(partySize => {
+      expect(planGroupPurchase(listings, { partySize })).toEqual([]);
+    });
+  });
+});
+
+describe('checkDataQuality', () => {
+  const listing = (구역, 열, 가격, 등록시각, extra = {}) => ({
+    스냅샷: '2025-03-09', 공연명: '세븐틴 2025 - 인천', 공연일시: '3.21 18:00',
+    구역, 열, 가격, 등록시각, 층: '2층 (2F)', 등급: 'R', 특이사항: '', 연결석여부: 'N', ...extra
+  });
+  const listings = [
+    listing('N1', 3, 200000, 1),
+    listing('N1', 3, 200000, 2),
+    listing('N1', 5, 210000, 1),
+    listing('N1', 5, 220000, 3),
+    listing('N1', 5, 300000, 2),
+    listing('N1', 7, 190000, 1),
+    listing('N1', 8, 20000, 1),
+    listing('N1', 9, 1500000, 1),
+    listing('N1', 10, 205000, 1, { 층: '플로어석' })
+  ];
+
+  test('flags later copies of a seat, mispriced listings and floors that disagree with the zone', () => {
+    const issues = checkDataQuality(listings);
+    expect(issues.map(issue => [issue.check, issue.item.열, issue.item.가격])).toEqual([
+      ['duplicate', 3, 200000],
+      ['relisting', 5, 220000],
+      ['price', 8, 20000],
+      ['price', 9, 1500000],
+      ['floorZone', 10, 205000]
+    ]);
+    expect(issues[1].original.가격).toBe(210000);
+    expect(issues[4].expectedFloor).toBe('2층 (2F)');
+  });
+
+  test('compares prices within the same grade and floor', () => {
+    const floorSeats = [1500000, 1600000, 1700000, 1600000, 1800000]
+      .map((가격, index) => listing(`F${index}`, 1, 가격, 1, { 층: '플로어석' }));
+    const upperSeats = [150000, 180000, 200000, 190000, 210000]
+      .map((가격, index) => listing(`N${index}`, 1, 가격, 1));
+    const fewSeats = listing('S1', 1, 50000, 1, { 층: '3층 (3F)' });
+
+    const issues = checkDataQuality([...floorSeats, ...upperSeats, fewSeats]);
+    expect(issues.map(issue => [issue.check, issue.item.층, issue.item.가격])).toEqual([['price', '3층 (3F)', 50000]]);
+    expect(issues[0]).toMatchObject({ basis: { 등급: 'R', 층: null }, median: 210000 });
+    expect(issues[0].ratio).toBeCloseTo(0.24);
+  });
+
+  test('does not pair listings with different sale conditions', () => {
+    const connected = listing('N1', 5, 215000, 4, { 연결석여부: 'Y' });
+    expect(checkDataQuality([...listings, connected]).filter(issue => issue.item === connected)).toEqual([]);
+  });
+
+  test('addQualityFlags labels every flagged listing', () => {
+    const flagged = addQualityFlags(listings, checkDataQuality(listings));
+    expect(flagged.map(item => item.품질.join(', '))).toEqual([
+      '', '중복 매물', '', '재등록 의심', '', '', '비정상 가격', '비정상 가격', '층·구역 불일치'
+    ]);
+  });
+});
+
+describe('buildMarketReport', () => {
+  const listing = (구역, 가격, 공연일시 = '3.21 18:00', 등록일시 = '02.20  10:00') => ({
+    공연명: '세븐틴 2025 - 인천', 공연일시, 구역, 열: 1, 층: '2층 (2F)', 등급: 'R', 가격, 등록일시
+  });
+  const previous = {
+    snapshot: '2025-03-08',
+    rows: [listing('N1', 300000), listing('N2', 200000), listing('N3', 100000, '3.20 18:00')]
+  };
+  const current = {
+    snapshot: '2025-03-09',
+    rows: [listing('N1', 320000), listing('N3', 100000, '3.20 18:00'), listing('N4', 150000, '3.20 18:00', '03.08  09:00')]
+  };
+
+  test('summarizes zones, floors, grades and performance dates of the current snapshot', () => {
+    const report = buildMarketReport({ current, top: 2 });
+    expect(report.title).toBe('세븐틴 2025 - 인천');
+    expect(report.summary).toEqual({ count: 3, priceCount: 3, min: 100000, max: 320000, mean: 190000, median: 150000 });
+    expect(report.zones.top.map(zone => zone.zone)).toEqual(['N1', 'N4']);
+    expect(report.zones.bottom.map(zone => zone.zone)).toEqual(['N3', 'N4']);
+    expect(report.dates.map(row => [row.date, row.mean])).toEqual([['03.20', 125000], ['03.21', 320000]]);
+    expect(report.stats.cells['2층 (2F)'].R).toBe(190000);
+    expect(report.changes).toBeNull();
+  });
+
+  test('compares against the previous snapshot', () => {
+    const { changes } = buildMarketReport({ current, previous });
+    expect(changes.previousSnapshot).toBe('2025-03-08');
+    expect(changes.summary).toEqual({ count: 0, mean: -10000, median: -50000, min: 0 });
+    expect(changes.listings).toEqual({ added: 1, removed: 1, repriced: 1, unchanged: 1 });
+    expect(changes.dates).toEqual([
+      { date: '03.20', previousMean: 100000, mean: 125000, delta: 25000 },
+      { date: '03.21', previousMean: 250000, mean: 320000, delta: 70000 }
+    ]);
+  });
+});
+
+describe('queryColumnStore', () => {
+  const snapshotRows = [...loadFixture('listings.csv', '2025-03-08'), ...loadFixture('listings.csv', '2025-03-09')];
+  const taxonomy = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'public', 'note-tags.json'), 'utf8'));
+  const store = createColumnStore(addNoteTags(snapshotRows, taxonomy));
+
+  test.each([
+    ['no filters', {}],
+    ['floors and grades', { floors: ['2층 (2F)', '3층 (3F)'], grades: ['R'] }],
+    ['date and price range', { date: '03.21', priceMin: 150000, priceMax: 240000 }],
+    ['tags', { tags: ['명의 이전 불가'], excludedTags: ['예매처 계정 전달'] }],
+    ['connected seats', { connectedOnly: true, priceMax: 300000 }],
+    ['zones and statuses', { zones: ['E61', 'A1'], statuses: ['판매중'] }]
+  ])('matches applyFilters for %s', (name, overrides) => {
+    const filters = { ...DEFAULT_FILTERS, ...overrides };
+    const expected = applyFilters(store.rows, filters);
+    expect(queryColumnStore(store, filters)).toEqual(expected);
+    expect(queryColumnStore(store, filters, { snapshot: '2025-03-09' }))
+      .toEqual(expected.filter(row => row.스냅샷 === '2025-03-09'));
+  });
+
+  test('narrows to the selected event', () => {
+    const event = { ...DEFAULT_EVENT, show: '세븐틴 2025 - 인천' };
+    expect(queryColumnStore(store, DEFAULT_FILTERS, { event })).toEqual(applyEvent(store.rows, event));
+  });
+});
+
+describe('buildPivot', () => {
+  test('cross-tabulates two dimensions with row and column totals', () => {
+    const pivot = buildPivot(rows, { rows: 'floor', columns: 'grade', metric: 'count' });
+
+    expect(pivot.rowKeys).toEqual(['2층 (2F)', '4층 (4F)', '플로어석 (Floor)']);
+    expect(pivot.columnKeys).toEqual(['R', 'S']);
+    expect(pivot.cells).toEqual({ '2층 (2F)': { R: 2 }, '4층 (4F)': { S: 3 }, '플로어석 (Floor)': { R: 3 } });
+    expect(pivot.columnTotals).toEqual({ R: 5, S: 3 });
+    expect(pivot.total).toBe(8);
+  });
+
+  test('computes totals from the listings, not from the cell values', () => {
+    const pivot = buildPivot(rows, { rows: 'zone', columns: null, metric: 'median' });
+
+    expect(pivot.rowKeys).toEqual(['E45', 'E57', 'E61', 'F3', 'N1', MISSING_KEY]);
+    expect(pivot.rowTotals).toMatchObject({ F3: 400000, N1: 240000, [MISSING_KEY]: 10000000 });
+    expect(pivot.cells.N1).toEqual({});
+    expect(pivot.total).toBe(230000);
+  });
+
+  test('averages the markup of listings with a face value', () => {
+    const marked = addMarkup(rows, { '세븐틴 2025 - 인천': { prices: [{ 등급: 'S', price: 160000 }] } });
+    const pivot = buildPivot(marked, { rows: 'floor', columns: null, metric: 'markup' });
+
+    expect(pivot.rowTotals).toEqual({ '2층 (2F)': null, '4층 (4F)': 12000, '플로어석 (Floor)': null });
+    expect(pivot.total).toBe(12000);
+  });
+});
+
+describe('applyFilters', () => {
+  test('combines multi-select, price range and connected-seat filters', () => {
+    const filtered = applyFilters(rows, {
+      ...DEFAULT_FILTERS,
+      grades: ['R'],
+      priceMax: 300000,
+      connectedOnly: true
+    });
+
+    expect(filtered.map(row => row.구역)).toEqual(['N1', 'N1']);
+  });
+
+  test('filters by performance date', () => {
+    const filtered = applyFilters(rows, { ...DEFAULT_FILTERS, date: '03.21' });
+
+    expect(filtered).toHaveLength(4);
+    expect(filtered.every(row => getPerformanceDate(row) === '03.21')).toBe(true);
+  });
+
+  test('describes the applied filters for report headers', () => {
+    expect(describeFilters(DEFAULT_FILTERS)).toEqual([]);
+    expect(describeFilters({ ...DEFAULT_FILTERS, floors: ['2층 (2F)'], excludedTags: ['양도'], date: '03.21', priceMin: 100000 }))
+      .toEqual([
+        { key: 'floors', value: '2층 (2F)' },
+        { key: 'excludedTags', value: '양도' },
+        { key: 'date', value: '03.21' },
+        { key: 'priceMin', value: 100000 }
+      ]);
+  });
+});
+
+describe('aggregateBy', () => {
+  test('summarizes prices per group and counts every listing', () => {
+    const groups = aggregateBy(rows, '구역');
+    const f3 = groups.find(group => group.key === 'F3');
+
+    expect(f3).toMatchObject({ count: 2, priceCount: 1, mean: 400000, min: 400000, max: 400000 });
+  });
+
+  test('puts rows without a value under the missing key', () => {
+    const groups = aggregateBy(rows, '구역');
+
+    expect(groups.find(group => group.key === MISSING_KEY).count).toBe(1);
+  });
+
+  test('accepts a function as the dimension', () => {
+    const groups = aggregateBy(rows, getPerformanceDate);
+
+    expect(groups.map(group => [group.key, group.count])).toEqual([['03.20', 4], ['03.21', 4]]);
+  });
+});
+
+describe('price statistics', () => {
+  test('median averages the two middle values for even counts', () => {
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([])).toBeNull();
+  });
+
+  test('percentile interpolates between sorted values', () => {
+    expect(percentile([1, 2, 3, 4, 5], 0.25)).toBe(2);
+    expect(percentile([10, 20], 0.75)).toBe(17.5);
+  });
+
+  test('standardDeviation is the sample standard deviation', () => {
+    expect(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBeCloseTo(2.138, 3);
+    expect(standardDeviation([5])).toBe(0);
+  });
+
+  test('summarizePrices reports every statistic for the fixture', () => {
+    const summary = summarizePrices(getValidPrices(rows));
+
+    expect(summary).toMatchObject({
+      count: 7,
+      min: 168000,
+      max: 10000000,
+      median: 230000,
+      p25: 174000,
+      p75: 325000
+    });
+    expect(summary.mean).toBeCloseTo(1628000, 0);
+  });
+
+  test('rankCorrelation uses ranks with averaged ties', () => {
+    expect(rankCorrelation([{ x: 1, y: 10 }, { x: 2, y: 20 }, { x: 3, y: 1000 }])).toBeCloseTo(1);
+    expect(rankCorrelation([{ x: 1, y: 3 }, { x: 2, y: 2 }, { x: 3, y: 1 }])).toBeCloseTo(-1);
+    expect(rankCorrelation([{ x: 1, y: 5 }, { x: 2, y: 5 }])).toBeNull();
+  });
+
+  test('summarizePrices returns empty statistics without prices', () => {
+    expect(summarizePrices([])).toMatchObject({ count: 0, min: null, median: null });
+  });
+});
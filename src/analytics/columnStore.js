@@ -0,0 +1,120 @@
+import { getPerformanceDate } from './dates';
+import { matchesEvent } from './events';
+
+// 매물 수가 많을 때(여러 투어·여러 날, 10만 행 이상) 필터를 빠르게 적용하기 위한 열 저장소
+// - 필터에 쓰는 필드를 행 객체 대신 열(배열)로 모아 둔다 (가격은 Float64Array)
+// - 층/등급/구역/공연일/스냅샷은 값별 행 번호 목록(색인)을 미리 만들어, 선택한 값의 행만 훑는다
+// 결과는 원래 행 객체를 원래 순서대로 돌려주므로 applyFilters 결과와 같다
+const INDEXED_FIELDS = {
+  floor: '층',
+  grade: '등급',
+  zone: '구역',
+  snapshot: '스냅샷'
+};
+const INDEXED_COLUMNS = [...Object.keys(INDEXED_FIELDS), 'date'];
+
+// 필터 모델의 배열 필터 → 색인 열
+const FILTER_INDEXES = {
+  floors: 'floor',
+  grades: 'grade',
+  zones: 'zone'
+};
+
+export const createColumnStore = (rows) => {
+  const length = rows.length;
+  const columns = {
+    note: new Array(length),
+    status: new Array(length),
+    connected: new Uint8Array(length),
+    price: new Float64Array(length)
+  };
+  const indexes = {};
+  INDEXED_COLUMNS.forEach(key => {
+    columns[key] = new Array(length);
+    indexes[key] = new Map();
+  });
+
+  // 공연일은 공연일시 문자열마다 한 번만 계산한다
+  const performanceDates = new Map();
+  const getDate = (item) => {
+    if (!performanceDates.has(item.공연일시)) performanceDates.set(item.공연일시, getPerformanceDate(item));
+    return performanceDates.get(item.공연일시);
+  };
+
+  const addToIndex = (key, id, value) => {
+    columns[key][id] = value;
+    if (!indexes[key].has(value)) indexes[key].set(value, []);
+    indexes[key].get(value).push(id);
+  };
+
+  rows.forEach((item, id) => {
+    columns.note[id] = item.특이사항;
+    columns.status[id] = item.상태;
+    columns.connected[id] = item.연결석여부 === 'Y' ? 1 : 0;
+    // 행 필터의 비교(item.가격 >= priceMin)와 같은 결과가 나오도록 같은 방식으로 숫자로 바꾼다 (null → 0)
+    columns.price[id] = Number(item.가격);
+    Object.entries(INDEXED_FIELDS).forEach(([key, field]) => addToIndex(key, id, item[field]));
+    addToIndex('date', id, getDate(item));
+  });
+
+  return { rows, length, columns, indexes };
+};
+
+// 색인 열에서 선택한 값들의 행 번호를 모은다 (원래 순서로 정렬)
+const lookupIds = (store, key, values) => {
+  const lists = values.map(value => store.indexes[key].get(value) || []);
+  if (lists.length === 1) return lists[0];
+  return lists.flat().sort((a, b) => a - b);
+};
+
+// filters는 필터 바의 필터 모델, snapshot·event를 주면 그 스냅샷·공연만
+export const queryColumnStore = (store, filters, { snapshot = null, event = null } = {}) => {
+  const { columns, rows } = store;
+
+  // 색인으로 걸러낼 조건: 후보가 가장 적은 조건의 행만 훑고 나머지는 열 값으로 확인한다
+  const indexed = Object.entries(FILTER_INDEXES)
+    .filter(([field]) => filters[field].length > 0)
+    .map(([field, key]) => ({ key, values: filters[field] }));
+  if (filters.date !== 'all') indexed.push({ key: 'date', values: [filters.date] });
+  if (snapshot !== null) indexed.push({ key: 'snapshot', values: [snapshot] });
+
+  const conditions = indexed.map(condition => ({ ...condition, ids: lookupIds(store, condition.key, condition.values) }));
+  conditions.sort((a, b) => a.ids.length - b.ids.length);
+  const [driver, ...rest] = conditions;
+  const checks = rest.map(condition => ({ column: columns[condition.key], values: new Set(condition.values) }));
+
+  const notes = filters.notes.length > 0 ? new Set(filters.notes) : null;
+  const statuses = filters.statuses.length > 0 ? new Set(filters.statuses) : null;
+  const hasTagFilter = filters.tags.length > 0 || filters.excludedTags.length > 0;
+  const hasEvent = event && Object.values(event).some(Boolean);
+
+  const matches = (id) => {
+    for (let index = 0; index < checks.length; index += 1) {
+      if (!checks[index].values.has(checks[index].column[id])) return false;
+    }
+    if (notes && !notes.has(columns.note[id])) return false;
+    if (statuses && !statuses.has(columns.status[id])) return false;
+    if (filters.connectedOnly && !columns.connected[id]) return false;
+    const price = columns.price[id];
+    if (filters.priceMin !== null && !(price >= filters.priceMin)) return false;
+    if (filters.priceMax !== null && !(price <= filters.priceMax)) return false;
+    if (hasTagFilter) {
+      const tags = rows[id].태그 || [];
+      if (filters.tags.length > 0 && !tags.some(tag => filters.tags.includes(tag))) return false;
+      if (tags.some(tag => filters.excludedTags.includes(tag))) return false;
+    }
+    return !hasEvent || matchesEvent(rows[id], event);
+  };
+
+  const result = [];
+  if (driver) {
+    driver.ids.forEach(id => {
+      if (matches(id)) result.push(rows[id]);
+    });
+  } else {
+    for (let id = 0; id < store.length; id += 1) {
+      if (matches(id)) result.push(rows[id]);
+    }
+  }
+  return result;
+};
@@ -0,0 +1,82 @@
+// 공연일시/등록일시("03.20  18:30")를 실제 시각으로 바꾼다
+// - 예매처 표기에는 연도가 없어 스냅샷 날짜를 기준으로 연도를 정한다
+// - 시각은 모두 한국 시간(KST, UTC+9)으로 보고 epoch 밀리초로 저장한다
+export const DAY_MS = 24 * 60 * 60 * 1000;
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+// 월.일 사이 공백이 두 칸이거나 시각이 없는 경우도 허용
+const DATE_TIME_PATTERN = /^(\d{1,2})\.(\d{1,2})(?:\s+(\d{1,2}):(\d{2}))?$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// "MM.DD HH:mm"을 { month, day, hour, minute }로 나눈다. 형식이 다르면 null
+export const parseDateTimeParts = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(DATE_TIME_PATTERN);
+  if (!match) return null;
+
+  const [month, day, hour, minute] = match.slice(1).map(part => (part === undefined ? 0 : Number(part)));
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+  return { month, day, hour, minute };
+};
+
+const toKstTime = (year, { month, day, hour, minute }) => Date.UTC(year, month - 1, day, hour, minute) - KST_OFFSET_MS;
+
+// 스냅샷(YYYY-MM-DD)은 그날 수집한 목록이므로 그날 24:00 KST를 기준 시각으로 본다
+export const getSnapshotTime = (snapshotDate) => {
+  const match = typeof snapshotDate === 'string' && snapshotDate.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  return toKstTime(year, { month, day, hour: 0, minute: 0 }) + DAY_MS;
+};
+
+// 기준 시각 앞뒤 연도 중에서 고른다
+// - 'past': 기준 시각을 넘지 않는 가장 늦은 시각 (등록일시)
+// - 'nearest': 기준 시각과 가장 가까운 시각 (공연일시)
+export const parseKstDateTime = (value, referenceTime, direction = 'nearest') => {
+  const parts = parseDateTimeParts(value);
+  if (!parts || referenceTime === null || referenceTime === undefined) return null;
+
+  const referenceYear = new Date(referenceTime + KST_OFFSET_MS).getUTCFullYear();
+  const candidates = [referenceYear - 1, referenceYear, referenceYear + 1].map(year => toKstTime(year, parts));
+
+  if (direction === 'past') {
+    const past = candidates.filter(time => time <= referenceTime);
+    return past.length > 0 ? past[past.length - 1] : null;
+  }
+  return candidates.reduce((best, time) => (
+    Math.abs(time - referenceTime) < Math.abs(best - referenceTime) ? time : best
+  ));
+};
+
+// 스냅샷 날짜가 있는 행에 시각과 경과 일수를 붙인다
+// 공연시각/등록시각: epoch ms (KST 기준), 매물경과일: 등록 후 스냅샷까지, 공연까지일: 스냅샷 후 공연까지
+export const addDateFields = (row) => {
+  const snapshotTime = getSnapshotTime(row.스냅샷);
+  const showTime = parseKstDateTime(row.공연일시, snapshotTime, 'nearest');
+  const registeredTime = parseKstDateTime(row.등록일시, snapshotTime, 'past');
+
+  return {
+    ...row,
+    공연시각: showTime,
+    등록시각: registeredTime,
+    매물경과일: registeredTime === null ? null : (snapshotTime - registeredTime) / DAY_MS,
+    공연까지일: showTime === null ? null : (showTime - snapshotTime) / DAY_MS
+  };
+};
+
+// 시각을 KST 기준 스냅샷 날짜(YYYY-MM-DD)로 표시
+export const getKstSnapshotDate = (time) => new Date(time + KST_OFFSET_MS).toISOString().substring(0, 10);
+
+// 시각을 KST 기준 "MM.DD"로 표시
+export const formatKstDate = (time) => {
+  if (time === null || time === undefined) return null;
+  const date = new Date(time + KST_OFFSET_MS);
+  return `${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`;
+};
+
+// 공연일 필터 값("MM.DD"). 연도 없이도 쓸 수 있도록 표기에서 바로 만든다
+export const getPerformanceDate = (item) => {
+  const parts = parseDateTimeParts(item.공연일시);
+  return parts ? `${pad(parts.month)}.${pad(parts.day)}` : null;
+};
@@ -0,0 +1,76 @@
+import _ from 'lodash';
+import { groupRows } from './group';
+import { getValidPrices, median, percentile } from './stats';
+
+// 상자 그림의 수염 길이 (사분위 범위의 배수)
+const IQR_MULTIPLIER = 1.5;
+
+// 사분위수로 이상치 경계를 구한다. 값이 4개 미만이면 경계를 두지 않는다
+export const getOutlierFences = (prices) => {
+  if (prices.length < 4) return { lower: -Infinity, upper: Infinity };
+  const q1 = percentile(prices, 0.25);
+  const q3 = percentile(prices, 0.75);
+  const iqr = q3 - q1;
+  return { lower: q1 - IQR_MULTIPLIER * iqr, upper: q3 + IQR_MULTIPLIER * iqr };
+};
+
+// 좌석 등급이 다른 매물끼리는 가격대가 달라 층·등급별로 경계를 따로 구한다
+const getSegmentKey = (item) => `${item.층}|${item.등급}`;
+
+// 같은 층·등급 안에서 IQR 경계를 벗어난 가격의 매물
+export const findOutliers = (items) => {
+  const outliers = new Set();
+  Object.values(_.groupBy(items, getSegmentKey)).forEach(segment => {
+    const fences = getOutlierFences(getValidPrices(segment));
+    segment.forEach(item => {
+      if (typeof item.가격 === 'number' && (item.가격 < fences.lower || item.가격 > fences.upper)) {
+        outliers.add(item);
+      }
+    });
+  });
+  return outliers;
+};
+
+export const excludeOutliers = (items) => {
+  const outliers = findOutliers(items);
+  return items.filter(item => !outliers.has(item));
+};
+
+// 구간 너비(binWidth)로 나눈 가격 분포. 구간이 maxBins를 넘으면 나머지는 마지막 구간(end: Infinity)에 모은다
+export const buildHistogram = (prices, binWidth, maxBins = 100) => {
+  if (prices.length === 0 || !(binWidth > 0)) return [];
+  const start = Math.floor(_.min(prices) / binWidth) * binWidth;
+  const neededBins = Math.floor((_.max(prices) - start) / binWidth) + 1;
+  const binCount = Math.min(neededBins, maxBins);
+  const bins = _.range(binCount).map(index => ({
+    start: start + index * binWidth,
+    end: neededBins > maxBins && index === binCount - 1 ? Infinity : start + (index + 1) * binWidth,
+    count: 0
+  }));
+  prices.forEach(price => {
+    bins[Math.min(Math.floor((price - start) / binWidth), binCount - 1)].count += 1;
+  });
+  return bins;
+};
+
+// 그룹별 상자 그림 통계. 수염은 경계 안에서 가장 먼 값까지
+export const getBoxPlotStats = (items, dimension) => {
+  return Object.entries(groupRows(items, dimension))
+    .map(([key, rows]) => {
+      const prices = getValidPrices(rows);
+      if (prices.length === 0) return null;
+      const fences = getOutlierFences(prices);
+      const [inside, outliers] = _.partition(prices, price => price >= fences.lower && price <= fences.upper);
+      return {
+        key,
+        count: prices.length,
+        whiskerLow: _.min(inside),
+        q1: percentile(prices, 0.25),
+        median: median(prices),
+        q3: percentile(prices, 0.75),
+        whiskerHigh: _.max(inside),
+        outliers: _.sortBy(outliers)
+      };
+    })
+    .filter(Boolean);
+};
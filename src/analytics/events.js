@@ -0,0 +1,81 @@
+import _ from 'lodash';
+import { groupRows } from './group';
+import { getValidPrices, median } from './stats';
+
+// 공연 선택 단계 (카테고리 → 아티스트 → 공연 → 회차). 위 단계가 아래 단계의 선택지를 좁힌다
+export const EVENT_LEVELS = [
+  { key: 'category', field: '카테고리1', label: '카테고리' },
+  { key: 'artist', field: '카테고리2', label: '아티스트' },
+  { key: 'show', field: '공연명', label: '공연' },
+  { key: 'performance', field: '공연일시', label: '회차' }
+];
+
+// 빈 문자열은 그 단계 전체
+export const DEFAULT_EVENT = {
+  category: '',
+  artist: '',
+  show: '',
+  performance: ''
+};
+
+export const matchesEvent = (item, event) => {
+  return EVENT_LEVELS.every(level => !event[level.key] || item[level.field] === event[level.key]);
+};
+
+// 선택한 단계를 조건({ key, value }) 목록으로 (리포트·감시 규칙 설명에 쓴다)
+export const describeEvent = (event) => (
+  EVENT_LEVELS.filter(level => event[level.key]).map(level => ({ key: level.key, value: event[level.key] }))
+);
+
+export const applyEvent = (items, event) => items.filter(item => matchesEvent(item, event));
+
+const uniqueSorted = (items, field) => _.sortBy(_.uniq(items.map(item => item[field])).filter(Boolean));
+
+// 단계별 선택지. 각 단계는 위 단계까지의 선택으로 좁힌 매물에서 고른다
+export const getEventOptions = (items, event) => {
+  const options = {};
+  let scoped = items;
+  EVENT_LEVELS.forEach(level => {
+    options[level.key] = uniqueSorted(scoped, level.field);
+    if (event[level.key]) scoped = scoped.filter(item => item[level.field] === event[level.key]);
+  });
+  return options;
+};
+
+// 데이터에 없는 선택(예: 다른 스냅샷에서 사라진 공연)은 그 단계부터 아래를 전체로 되돌린다
+export const resolveEvent = (items, event) => {
+  const options = getEventOptions(items, event);
+  const resolved = { ...DEFAULT_EVENT };
+  EVENT_LEVELS.every(level => {
+    const value = event[level.key];
+    if (!value) return true;
+    if (!options[level.key].includes(value)) return false;
+    resolved[level.key] = value;
+    return true;
+  });
+  return resolved;
+};
+
+// 범위 안의 매물이 모두 같은 공연이면 공연명을, 아니면 아티스트/카테고리를 제목으로 쓴다
+export const getEventTitle = (items) => {
+  const [shows, artists, categories] = ['공연명', '카테고리2', '카테고리1'].map(field => uniqueSorted(items, field));
+  if (shows.length === 1) return shows[0];
+  if (artists.length === 1) return categories.length === 1 ? `${artists[0]} ${categories[0]}` : artists[0];
+  if (categories.length === 1) return categories[0];
+  return '공연';
+};
+
+// 공연(공연명)별로 같은 기준(등급, 층 등)의 가격을 나란히 놓는다
+// rows: [{ key, values: { [공연명]: { median, count } } }]
+export const compareEvents = (items, dimension, events) => {
+  const selected = items.filter(item => events.includes(item.공연명));
+  const byEvent = groupRows(selected, '공연명');
+
+  return uniqueSorted(selected, dimension).map(key => ({
+    key,
+    values: _.fromPairs(events.map(event => {
+      const matched = (byEvent[event] || []).filter(item => item[dimension] === key);
+      return [event, { median: median(getValidPrices(matched)), count: matched.length }];
+    }))
+  }));
+};
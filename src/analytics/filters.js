@@ -0,0 +1,77 @@
+import _ from 'lodash';
+import { getPerformanceDate } from './dates';
+import { getPriceRange } from './stats';
+
+// 필터 바, 공유 링크, 알림 규칙이 함께 쓰는 필터 모델
+// 배열 필터는 비어 있으면 전체, 가격 범위는 null이면 제한 없음
+// tags는 태그 중 하나라도 있는 매물만, excludedTags는 태그가 하나라도 있으면 제외
+export const DEFAULT_FILTERS = {
+  floors: [],
+  grades: [],
+  zones: [],
+  notes: [],
+  statuses: [],
+  tags: [],
+  excludedTags: [],
+  date: 'all',
+  priceMin: null,
+  priceMax: null,
+  connectedOnly: false
+};
+
+const includesValue = (selected, value) => selected.length === 0 || selected.includes(value);
+
+const matchesTags = (item, filters) => {
+  const tags = item.태그 || [];
+  return (
+    (filters.tags.length === 0 || tags.some(tag => filters.tags.includes(tag))) &&
+    !tags.some(tag => filters.excludedTags.includes(tag))
+  );
+};
+
+// 적용한 필터를 조건 목록으로 ({ key: 필터 이름, value }). 문구는 화면에서 만든다 (utils/format의 formatCondition)
+// 예: [{ key: 'floors', value: '2층 (2F)' }, { key: 'date', value: '03.21' }, { key: 'priceMax', value: 180000 }]
+export const describeFilters = (filters) => {
+  const conditions = ['floors', 'grades', 'zones', 'notes', 'statuses', 'tags', 'excludedTags']
+    .flatMap(key => filters[key].map(value => ({ key, value })));
+  if (filters.date !== 'all') conditions.push({ key: 'date', value: filters.date });
+  if (filters.connectedOnly) conditions.push({ key: 'connectedOnly', value: true });
+  if (filters.priceMin !== null) conditions.push({ key: 'priceMin', value: filters.priceMin });
+  if (filters.priceMax !== null) conditions.push({ key: 'priceMax', value: filters.priceMax });
+  return conditions;
+};
+
+export const matchesFilters = (item, filters) => {
+  return (
+    includesValue(filters.floors, item.층) &&
+    includesValue(filters.grades, item.등급) &&
+    includesValue(filters.zones, item.구역) &&
+    includesValue(filters.notes, item.특이사항) &&
+    includesValue(filters.statuses, item.상태) &&
+    matchesTags(item, filters) &&
+    (filters.date === 'all' || getPerformanceDate(item) === filters.date) &&
+    (filters.priceMin === null || item.가격 >= filters.priceMin) &&
+    (filters.priceMax === null || item.가격 <= filters.priceMax) &&
+    (!filters.connectedOnly || item.연결석여부 === 'Y')
+  );
+};
+
+export const applyFilters = (items, filters) => items.filter(item => matchesFilters(item, filters));
+
+// 필터 바에 표시할 선택지와 가격 범위
+export const getFilterOptions = (items) => {
+  const uniqueValues = (field) => _.uniq(items.map(item => item[field])).filter(Boolean);
+  const priceRange = getPriceRange(items);
+
+  return {
+    floors: uniqueValues('층'),
+    grades: uniqueValues('등급'),
+    zones: _.sortBy(uniqueValues('구역'), [zone => String(zone).charAt(0), zone => parseInt(String(zone).substring(1), 10) || 0]),
+    notes: uniqueValues('특이사항'),
+    statuses: uniqueValues('상태'),
+    tags: _.uniq(items.flatMap(item => item.태그 || [])),
+    dates: _.sortBy(_.uniq(items.map(getPerformanceDate)).filter(Boolean)),
+    minPrice: priceRange.min,
+    maxPrice: priceRange.max
+  };
+};
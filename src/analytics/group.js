@@ -0,0 +1,30 @@
+import _ from 'lodash';
+import { getValidPrices, summarizePrices } from './stats';
+
+export const MISSING_KEY = '정보 없음';
+
+// dimension은 컬럼 이름이거나 행에서 값을 꺼내는 함수
+const toKeyGetter = (dimension) => {
+  const getValue = typeof dimension === 'function' ? dimension : (row => row[dimension]);
+  return (row) => {
+    const value = getValue(row);
+    return value === null || value === undefined || value === '' ? MISSING_KEY : String(value);
+  };
+};
+
+export const groupRows = (rows, dimension) => _.groupBy(rows, toKeyGetter(dimension));
+
+// 그룹별 가격 요약. count는 행 수, priceCount는 유효한 가격 수
+// 결과는 처음 나온 순서를 따르며, 정렬은 호출하는 쪽에서 한다
+export const aggregateBy = (rows, dimension) => {
+  return Object.entries(groupRows(rows, dimension)).map(([key, items]) => {
+    const summary = summarizePrices(getValidPrices(items));
+    return {
+      ...summary,
+      key,
+      count: items.length,
+      priceCount: summary.count,
+      rows: items
+    };
+  });
+};
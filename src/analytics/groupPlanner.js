@@ -0,0 +1,120 @@
+import _ from 'lodash';
+
+// 단체 구매 조합 찾기
+// - 연결석여부가 Y인 매물은 좌석 connectedSeats개를 묶어 파는 것으로 본다 (가격은 묶음 전체)
+// - 조합은 같은 공연일시·구역 안에서, 연석 매물 하나로 인원을 채우거나
+//   비어 있는 열 없이 이어지는 열(예: 11, 12, 13열)의 매물을 모아 정확히 인원수만큼 좌석을 채운다
+export const CONNECTED_SEATS = 2;
+// 인원수는 1~MAX_PARTY_SIZE명 정수만 받는다 (조합 계산이 인원수에 따라 커진다)
+export const MAX_PARTY_SIZE = 10;
+
+export const isValidPartySize = (partySize) => Number.isInteger(partySize) && partySize >= 1 && partySize <= MAX_PARTY_SIZE;
+
+const getRowNumber = (item) => (typeof item.열 === 'number' ? item.열 : null);
+
+const toUnit = (item, connectedSeats) => ({
+  item,
+  seats: item.연결석여부 === 'Y' ? connectedSeats : 1,
+  price: item.가격
+});
+
+// 한 열의 매물로 정확히 k석(1~partySize)을 채우는 최소 비용 조합 (0/1 배낭 문제)
+const getRowCombinations = (units, partySize) => {
+  const best = [{ cost: 0, units: [] }];
+  units.forEach(unit => {
+    for (let seats = partySize; seats >= unit.seats; seats -= 1) {
+      const previous = best[seats - unit.seats];
+      if (previous && (!best[seats] || previous.cost + unit.price < best[seats].cost)) {
+        best[seats] = { cost: previous.cost + unit.price, units: [...previous.units, unit] };
+      }
+    }
+  });
+  return best;
+};
+
+// 이어지는 열 묶음마다 열을 하나씩 더해 가며 모든 열에서 1석 이상 고른 최소 비용 조합을 찾는다
+const findConsecutiveRowOptions = (rowGroups, partySize) => {
+  const options = [];
+  rowGroups.forEach((startGroup, startIndex) => {
+    let combined = [];
+    for (let index = startIndex; index < rowGroups.length && index - startIndex < partySize; index += 1) {
+      const group = rowGroups[index];
+      if (index > startIndex && group.row !== rowGroups[index - 1].row + 1) break;
+
+      const rowBest = group.combinations;
+      const next = [];
+      if (index === startIndex) {
+        rowBest.forEach((choice, seats) => {
+          if (choice && seats > 0) next[seats] = choice;
+        });
+      } else {
+        combined.forEach((choice, seats) => {
+          if (!choice) return;
+          rowBest.forEach((rowChoice, rowSeats) => {
+            const total = seats + rowSeats;
+            if (!rowChoice || rowSeats === 0 || total > partySize) return;
+            if (!next[total] || choice.cost + rowChoice.cost < next[total].cost) {
+              next[total] = { cost: choice.cost + rowChoice.cost, units: [...choice.units, ...rowChoice.units] };
+            }
+          });
+        });
+      }
+      combined = next;
+      if (combined[partySize]) {
+        options.push({ ...combined[partySize], rows: [startGroup.row, group.row] });
+      }
+    }
+  });
+  return options;
+};
+
+const toOption = ({ units, cost }, type, partySize) => {
+  const items = units.map(unit => unit.item);
+  const rows = _.uniq(items.map(getRowNumber).filter(row => row !== null)).sort((a, b) => a - b);
+  return {
+    type,
+    performance: items[0].공연일시,
+    zone: items[0].구역,
+    floor: items[0].층,
+    grade: items[0].등급,
+    rows,
+    items,
+    totalPrice: cost,
+    perSeatPrice: cost / partySize
+  };
+};
+
+// 인원수, 예산(총액)으로 가장 싼 좌석 조합을 찾는다. 같은 매물 조합은 한 번만 나온다
+export const planGroupPurchase = (items, { partySize, budget = null, connectedSeats = CONNECTED_SEATS, maxOptions = 30 }) => {
+  if (!isValidPartySize(partySize)) return [];
+  const units = items
+    .filter(item => typeof item.가격 === 'number' && item.가격 > 0 && item.구역 && item.공연일시)
+    .map(item => toUnit(item, connectedSeats));
+
+  const options = [];
+  Object.values(_.groupBy(units, unit => `${unit.item.공연일시}|${unit.item.구역}`)).forEach(zoneUnits => {
+    // 연석 매물 하나로 인원을 모두 채우는 경우 (열 번호가 없어도 된다)
+    zoneUnits
+      .filter(unit => unit.item.연결석여부 === 'Y' && unit.seats === partySize)
+      .forEach(unit => options.push(toOption({ units: [unit], cost: unit.price }, '연석 매물', partySize)));
+
+    const rowGroups = _.sortBy(
+      Object.values(_.groupBy(zoneUnits.filter(unit => getRowNumber(unit.item) !== null), unit => getRowNumber(unit.item))),
+      group => getRowNumber(group[0].item)
+    ).map(group => ({
+      row: getRowNumber(group[0].item),
+      combinations: getRowCombinations(_.sortBy(group, 'price'), partySize)
+    }));
+    findConsecutiveRowOptions(rowGroups, partySize).forEach(option => {
+      const isSingleConnected = option.units.length === 1 && option.units[0].item.연결석여부 === 'Y';
+      if (!isSingleConnected) options.push(toOption(option, option.rows[0] === option.rows[1] ? '같은 열' : '이어진 열', partySize));
+    });
+  });
+
+  return _.sortBy(
+    _.uniqBy(options, option => option.items.map(item => items.indexOf(item)).sort((a, b) => a - b).join(',')),
+    'totalPrice'
+  )
+    .filter(option => budget === null || option.totalPrice <= budget)
+    .slice(0, maxOptions);
+};
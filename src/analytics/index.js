@@ -0,0 +1,95 @@
+// 좌석 가격 분석 함수 모음 (React와 무관한 순수 함수)
+export { normalizeRow, normalizeRows } from './normalize';
+export {
+  DEFAULT_FILTERS,
+  applyFilters,
+  describeFilters,
+  getFilterOptions,
+  matchesFilters
+} from './filters';
+export { createColumnStore, queryColumnStore } from './columnStore';
+export {
+  DAY_MS,
+  addDateFields,
+  formatKstDate,
+  getKstSnapshotDate,
+  getPerformanceDate,
+  getSnapshotTime,
+  parseDateTimeParts,
+  parseKstDateTime
+} from './dates';
+export {
+  MARKUP_BUCKETS,
+  addMarkup,
+  getFaceValue,
+  getMarkupDistribution,
+  summarizeMarkup
+} from './markup';
+export {
+  createWatchRule,
+  describeWatchRule,
+  evaluateWatchRules,
+  matchesWatchRule
+} from './alerts';
+export {
+  buildHistogram,
+  excludeOutliers,
+  findOutliers,
+  getBoxPlotStats,
+  getOutlierFences
+} from './distribution';
+export {
+  RISK_LEVELS,
+  UNTAGGED,
+  addNoteTags,
+  classifyNote,
+  compareNoteTags
+} from './notes';
+export {
+  DEFAULT_EVENT,
+  EVENT_LEVELS,
+  applyEvent,
+  compareEvents,
+  describeEvent,
+  getEventOptions,
+  getEventTitle,
+  matchesEvent,
+  resolveEvent
+} from './events';
+export { MISSING_KEY, aggregateBy, groupRows } from './group';
+export { CONNECTED_SEATS, MAX_PARTY_SIZE, isValidPartySize, planGroupPurchase } from './groupPlanner';
+export {
+  DEFAULT_PIVOT,
+  PIVOT_DIMENSIONS,
+  PIVOT_METRICS,
+  buildPivot,
+  getPivotDimension,
+  getPivotMetric
+} from './pivot';
+export {
+  AGE_BUCKETS,
+  getAgeBucket,
+  getRelativePrices,
+  summarizeListingAge
+} from './listingAge';
+export {
+  PRICE_BOUNDS,
+  QUALITY_CHECKS,
+  addQualityFlags,
+  checkDataQuality
+} from './quality';
+export { REPORT_TOP_ZONES, buildMarketReport } from './report';
+export {
+  diffSnapshots,
+  getListingKey,
+  summarizeDiffByZone
+} from './snapshotDiff';
+export {
+  getPriceRange,
+  getValidPrices,
+  median,
+  percentile,
+  rankCorrelation,
+  standardDeviation,
+  summarizePrices
+} from './stats';
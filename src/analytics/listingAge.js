@@ -0,0 +1,60 @@
+import _ from 'lodash';
+import { getPerformanceDate } from './dates';
+import { median, rankCorrelation } from './stats';
+
+// 매물 경과일(등록 후 스냅샷까지) 구간. max는 포함
+export const AGE_BUCKETS = [
+  { label: '1일 이내', max: 1 },
+  { label: '2~3일', max: 3 },
+  { label: '4~7일', max: 7 },
+  { label: '8~14일', max: 14 },
+  { label: '15~30일', max: 30 },
+  { label: '30일 초과', max: Infinity }
+];
+
+export const getAgeBucket = (age) => AGE_BUCKETS.find(bucket => age <= bucket.max).label;
+
+const hasPrice = (item) => typeof item.가격 === 'number' && item.가격 > 0;
+
+// 좌석 등급 차이를 빼기 위해 같은 층·등급 중앙값 대비 가격 비율을 쓴다 (1 = 중앙값)
+export const getRelativePrices = (items) => {
+  const priced = items.filter(hasPrice);
+  const groupMedians = _.mapValues(
+    _.groupBy(priced, item => `${item.층}|${item.등급}`),
+    group => median(group.map(item => item.가격))
+  );
+  return priced.map(item => ({ item, ratio: item.가격 / groupMedians[`${item.층}|${item.등급}`] }));
+};
+
+const summarizeGroup = (entries) => ({
+  count: entries.length,
+  medianPrice: median(entries.map(entry => entry.item.가격)),
+  medianRatio: median(entries.map(entry => entry.ratio)),
+  medianAge: median(entries.map(entry => entry.item.매물경과일).filter(age => age !== null))
+});
+
+// 매물 경과일과 가격의 관계를 요약한다
+// correlation: 경과일과 층·등급 대비 가격 비율의 순위 상관 (양수면 오래된 매물일수록 비싸다)
+export const summarizeListingAge = (items) => {
+  const entries = getRelativePrices(items).filter(entry => typeof entry.item.매물경과일 === 'number');
+  const byBucket = _.groupBy(entries, entry => getAgeBucket(entry.item.매물경과일));
+
+  const buckets = AGE_BUCKETS
+    .filter(bucket => byBucket[bucket.label])
+    .map(bucket => ({ bucket: bucket.label, ...summarizeGroup(byBucket[bucket.label]) }));
+
+  const byDate = _.groupBy(entries.filter(entry => entry.item.공연시각 !== null), entry => getPerformanceDate(entry.item));
+  const performances = _.sortBy(Object.keys(byDate), date => byDate[date][0].item.공연시각).map(date => ({
+    date,
+    daysToShow: byDate[date][0].item.공연까지일,
+    ...summarizeGroup(byDate[date])
+  }));
+
+  return {
+    count: entries.length,
+    medianAge: median(entries.map(entry => entry.item.매물경과일)),
+    correlation: rankCorrelation(entries.map(entry => ({ x: entry.item.매물경과일, y: entry.ratio }))),
+    buckets,
+    performances
+  };
+};
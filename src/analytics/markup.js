@@ -0,0 +1,56 @@
+import _ from 'lodash';
+import { median } from './stats';
+
+// 정가 대비 웃돈 비율 구간 (max 미만). 0은 정가, 1은 정가의 두 배
+export const MARKUP_BUCKETS = [
+  { label: '정가 미만', max: 0 },
+  { label: '0~50%', max: 0.5 },
+  { label: '50~100%', max: 1 },
+  { label: '100~200%', max: 2 },
+  { label: '200~300%', max: 3 },
+  { label: '300~500%', max: 5 },
+  { label: '500% 이상', max: Infinity }
+];
+
+// 정가표: { [공연명]: { prices: [{ 등급, 층?, price }] } }
+// 등급과 층이 모두 맞는 항목을 먼저 쓰고, 없으면 층이 없는 등급 항목을 쓴다
+export const getFaceValue = (item, table) => {
+  const prices = (table[item.공연명] && table[item.공연명].prices) || [];
+  const sameGrade = prices.filter(entry => entry.등급 === item.등급);
+  const entry = sameGrade.find(candidate => candidate.층 === item.층) || sameGrade.find(candidate => !candidate.층);
+  return entry ? entry.price : null;
+};
+
+// 정가, 웃돈(가격 - 정가), 웃돈비율(가격 / 정가 - 1)을 붙인다. 정가나 가격이 없으면 null
+export const addMarkup = (items, table) => {
+  return items.map(item => {
+    const faceValue = getFaceValue(item, table);
+    const hasMarkup = faceValue > 0 && typeof item.가격 === 'number' && item.가격 > 0;
+    return {
+      ...item,
+      정가: faceValue,
+      웃돈: hasMarkup ? item.가격 - faceValue : null,
+      웃돈비율: hasMarkup ? item.가격 / faceValue - 1 : null
+    };
+  });
+};
+
+const hasMarkup = (item) => item.웃돈비율 !== null && item.웃돈비율 !== undefined;
+
+// 그룹의 정가(중앙값), 평균 웃돈, 웃돈비율 중앙값. 정가가 없는 그룹은 모두 null
+export const summarizeMarkup = (items) => {
+  const marked = items.filter(hasMarkup);
+  if (marked.length === 0) return { faceValue: null, avgMarkup: null, markupRatio: null };
+
+  return {
+    faceValue: median(marked.map(item => item.정가)),
+    avgMarkup: _.meanBy(marked, '웃돈'),
+    markupRatio: median(marked.map(item => item.웃돈비율))
+  };
+};
+
+// 웃돈비율 분포 (모든 구간을 0장이라도 포함)
+export const getMarkupDistribution = (items) => {
+  const counts = _.countBy(items.filter(hasMarkup), item => MARKUP_BUCKETS.find(bucket => item.웃돈비율 < bucket.max).label);
+  return MARKUP_BUCKETS.map(bucket => ({ bucket: bucket.label, count: counts[bucket.label] || 0 }));
+};
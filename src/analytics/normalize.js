@@ -0,0 +1,31 @@
+import { addDateFields } from './dates';
+
+// 원본 CSV 행을 집계하기 좋은 형태로 다듬는다
+// - 머리글의 BOM과 공백 제거
+// - 문자열 값의 앞뒤 공백 제거
+// - 가격은 숫자(쉼표, '원' 허용), 숫자가 아니면 null
+// - 열은 숫자로 읽을 수 있으면 숫자
+// - 스냅샷 날짜를 주면 행에 붙이고 공연일시/등록일시를 시각으로 바꾼다 (dates.js)
+const parsePrice = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value === null || value === undefined) return null;
+  const digits = String(value).replace(/[^\d.]/g, '');
+  return digits ? Number(digits) : null;
+};
+
+const parseRowNumber = (value) => {
+  if (typeof value !== 'string') return value;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+export const normalizeRow = (row, snapshot) => {
+  const normalized = {};
+  Object.entries(row).forEach(([key, value]) => {
+    normalized[key.replace(/^\uFEFF/, '').trim()] = typeof value === 'string' ? value.trim() : value;
+  });
+  normalized.가격 = parsePrice(normalized.가격);
+  normalized.열 = parseRowNumber(normalized.열);
+  return snapshot ? addDateFields({ ...normalized, 스냅샷: snapshot }) : normalized;
+};
+
+export const normalizeRows = (rows, snapshot) => rows.map(row => normalizeRow(row, snapshot));
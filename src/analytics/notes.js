@@ -0,0 +1,66 @@
+import _ from 'lodash';
+import { getRelativePrices } from './listingAge';
+import { median } from './stats';
+
+// 태그 위험도. 매물의 위험도는 붙은 태그 중 가장 높은 값
+export const RISK_LEVELS = [
+  { key: 'low', label: '낮음', score: 1 },
+  { key: 'medium', label: '보통', score: 2 },
+  { key: 'high', label: '높음', score: 3 }
+];
+
+export const UNTAGGED = '태그 없음';
+
+const normalizeText = (text) => String(text ?? '').replace(/\s+/g, '').toLowerCase();
+
+const getRiskLevel = (key) => RISK_LEVELS.find(level => level.key === key) || null;
+
+// 분류표: { tags: [{ label, risk, description, patterns }] }
+// 특이사항에 패턴이 들어 있는 태그를 분류표 순서대로 돌려준다
+export const classifyNote = (note, taxonomy) => {
+  const text = normalizeText(note);
+  if (!text) return [];
+  return (taxonomy.tags || [])
+    .filter(tag => tag.patterns.some(pattern => text.includes(normalizeText(pattern))))
+    .map(tag => tag.label);
+};
+
+// 매물에 태그 목록(태그)과 위험도 라벨(위험도)을 붙인다. 태그가 없으면 위험도는 null
+export const addNoteTags = (items, taxonomy) => {
+  const tagsByLabel = _.keyBy(taxonomy.tags || [], 'label');
+  const cache = {};
+  return items.map(item => {
+    const note = item.특이사항 ?? '';
+    if (!cache[note]) {
+      const tags = classifyNote(note, taxonomy);
+      const risk = _.maxBy(tags.map(tag => getRiskLevel(tagsByLabel[tag].risk)).filter(Boolean), 'score');
+      cache[note] = { 태그: tags, 위험도: risk ? risk.label : null };
+    }
+    return { ...item, ...cache[note] };
+  });
+};
+
+// 태그별 가격 비교. 좌석 차이를 빼기 위해 같은 층·등급 중앙값 대비 비율을 쓴다
+// 태그가 없는 매물은 UNTAGGED 행으로 기준선 역할을 한다
+export const compareNoteTags = (items, taxonomy) => {
+  const entries = getRelativePrices(items);
+  const summarize = (matched) => ({
+    count: matched.length,
+    medianPrice: median(matched.map(entry => entry.item.가격)),
+    medianRatio: median(matched.map(entry => entry.ratio))
+  });
+
+  const tagRows = (taxonomy.tags || []).map(tag => ({
+    tag: tag.label,
+    risk: (getRiskLevel(tag.risk) || {}).label || null,
+    description: tag.description || '',
+    ...summarize(entries.filter(entry => (entry.item.태그 || []).includes(tag.label)))
+  }));
+  const untagged = {
+    tag: UNTAGGED,
+    risk: null,
+    description: '분류 규칙에 맞는 문구가 없는 매물',
+    ...summarize(entries.filter(entry => !entry.item.태그 || entry.item.태그.length === 0))
+  };
+  return [...tagRows, untagged].filter(row => row.count > 0);
+};
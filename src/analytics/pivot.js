@@ -0,0 +1,78 @@
+import _ from 'lodash';
+import { MISSING_KEY, groupRows } from './group';
+import { getPerformanceDate } from './dates';
+import { summarizeMarkup } from './markup';
+import { getValidPrices, median, summarizePrices } from './stats';
+
+// 피벗 표의 행/열로 고를 수 있는 차원
+export const PIVOT_DIMENSIONS = [
+  { key: 'zone', label: '구역', getValue: item => item.구역 },
+  { key: 'floor', label: '층', getValue: item => item.층 },
+  { key: 'grade', label: '등급', getValue: item => item.등급 },
+  { key: 'date', label: '공연일', getValue: getPerformanceDate },
+  { key: 'note', label: '특이사항', getValue: item => item.특이사항 },
+  { key: 'connected', label: '연결석여부', getValue: item => (item.연결석여부 === 'Y' ? '연결석' : '단독') },
+  { key: 'status', label: '상태', getValue: item => item.상태 }
+];
+
+// 칸마다 계산할 값. format은 표시 형식 (price: 원, count: 장, percent: 정가 대비 %)
+// 웃돈 지표는 정가표에 있는 매물만 쓴다 (없으면 -)
+// 매물 수는 가격이 없는 매물도 세고, 가격 통계는 유효한 가격만 쓴다 (stats.js)
+export const PIVOT_METRICS = [
+  { key: 'count', label: '매물 수', format: 'count', compute: items => items.length },
+  { key: 'mean', label: '평균 가격', format: 'price', compute: items => summarizePrices(getValidPrices(items)).mean },
+  { key: 'median', label: '중간값 가격', format: 'price', compute: items => summarizePrices(getValidPrices(items)).median },
+  { key: 'min', label: '최저 가격', format: 'price', compute: items => summarizePrices(getValidPrices(items)).min },
+  { key: 'max', label: '최고 가격', format: 'price', compute: items => summarizePrices(getValidPrices(items)).max },
+  { key: 'p25', label: '하위 25% 가격 (P25)', format: 'price', compute: items => summarizePrices(getValidPrices(items)).p25 },
+  { key: 'p75', label: '상위 25% 가격 (P75)', format: 'price', compute: items => summarizePrices(getValidPrices(items)).p75 },
+  {
+    key: 'markupRatio',
+    label: '정가 대비 (중간값)',
+    format: 'percent',
+    compute: items => median(items.map(item => item.웃돈비율).filter(ratio => typeof ratio === 'number'))
+  },
+  { key: 'markup', label: '평균 웃돈', format: 'price', compute: items => summarizeMarkup(items).avgMarkup }
+];
+
+export const DEFAULT_PIVOT = { rows: 'floor', columns: 'grade', metric: 'mean' };
+
+export const getPivotDimension = (key) => PIVOT_DIMENSIONS.find(dimension => dimension.key === key) || null;
+
+export const getPivotMetric = (key) => PIVOT_METRICS.find(metric => metric.key === key) || PIVOT_METRICS[0];
+
+// 숫자가 섞인 값(2층, E12)은 숫자 순서로, 정보 없음은 맨 뒤로
+const compareKeys = (a, b) => {
+  if (a === MISSING_KEY || b === MISSING_KEY) return (a === MISSING_KEY) - (b === MISSING_KEY);
+  return a.localeCompare(b, 'ko', { numeric: true });
+};
+
+const getSortedKeys = (groups) => Object.keys(groups).sort(compareKeys);
+
+// 행 차원 × 열 차원 표. columns가 없으면 행별 합계만 있는 표
+// 합계는 칸 값을 다시 모으지 않고 해당 매물 전체로 계산한다 (중간값, 백분위수도 정확하게)
+// 결과: { rowKeys, columnKeys, cells: { [행]: { [열]: 값 } }, rowTotals, columnTotals, total }
+export const buildPivot = (items, { rows, columns = null, metric }) => {
+  const rowDimension = getPivotDimension(rows);
+  const columnDimension = getPivotDimension(columns);
+  const { compute } = getPivotMetric(metric);
+
+  const rowGroups = groupRows(items, rowDimension.getValue);
+  const rowKeys = getSortedKeys(rowGroups);
+  const columnGroups = columnDimension ? groupRows(items, columnDimension.getValue) : {};
+  const columnKeys = getSortedKeys(columnGroups);
+
+  const cells = {};
+  rowKeys.forEach(rowKey => {
+    cells[rowKey] = columnDimension ? _.mapValues(groupRows(rowGroups[rowKey], columnDimension.getValue), compute) : {};
+  });
+
+  return {
+    rowKeys,
+    columnKeys,
+    cells,
+    rowTotals: _.mapValues(rowGroups, compute),
+    columnTotals: _.mapValues(columnGroups, compute),
+    total: compute(items)
+  };
+};
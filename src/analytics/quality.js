@@ -0,0 +1,116 @@
+import _ from 'lodash';
+import { getValidPrices, median } from './stats';
+
+// 데이터 품질 검사. 매물에는 좌석 번호와 판매자가 없으므로 같은 좌석·같은 표인지는 추정이다
+// - 좌석은 스냅샷 안에서 공연일시 + 구역 + 열이 같은 매물 (같은 열의 다른 좌석일 수도 있다)
+// - 좌석마다 먼저 등록된 매물을 기준으로 두고 뒤에 등록된 매물을 표시한다
+export const QUALITY_CHECKS = [
+  { key: 'duplicate', label: '중복 매물', description: '같은 좌석(공연일시·구역·열)에 같은 가격의 매물이 또 있음' },
+  { key: 'relisting', label: '재등록 의심', description: '같은 좌석·같은 판매 조건의 매물이 가격만 조금 바꿔 다시 올라옴' },
+  { key: 'price', label: '비정상 가격', description: '같은 공연·등급·층 중앙값에서 크게 벗어난 가격' },
+  { key: 'floorZone', label: '층·구역 불일치', description: '같은 구역의 대부분 매물과 층이 다름' }
+];
+
+// 재등록으로 볼 가격 차이 (싼 쪽 대비 10% 이내)
+const RELIST_PRICE_GAP = 0.1;
+// 등급·층 중앙값 대비 그럴듯한 가격 범위와, 중앙값을 믿을 수 있는 최소 가격 수
+export const PRICE_BOUNDS = { min: 0.3, max: 5, minCount: 5 };
+// 구역의 층을 정할 때 필요한 최소 매물 수와 다수 층의 최소 비율
+const ZONE_FLOOR_MIN_COUNT = 3;
+const ZONE_FLOOR_MIN_SHARE = 2 / 3;
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+// 열이 '미정'인 매물은 좌석을 특정할 수 없어 비교하지 않는다
+const hasKnownRow = (item) => hasValue(item.열) && !String(item.열).includes('미정');
+
+const findSeatIssues = (items) => {
+  const issues = [];
+  const seats = _.groupBy(
+    items.filter(item => hasValue(item.공연일시) && hasValue(item.구역) && hasKnownRow(item)),
+    item => [item.스냅샷, item.공연명, item.공연일시, item.구역, item.열].join('|')
+  );
+
+  Object.values(seats).filter(group => group.length > 1).forEach(group => {
+    const ordered = _.sortBy(group, item => item.등록시각 ?? Infinity);
+    ordered.forEach((item, index) => {
+      const earlier = ordered.slice(0, index);
+      const same = earlier.find(other => other.가격 === item.가격);
+      if (same) {
+        issues.push({ item, check: 'duplicate', original: same });
+        return;
+      }
+      const relisted = earlier.find(other => (
+        other.특이사항 === item.특이사항 &&
+        other.연결석여부 === item.연결석여부 &&
+        typeof other.가격 === 'number' && typeof item.가격 === 'number' &&
+        Math.abs(other.가격 - item.가격) <= Math.min(other.가격, item.가격) * RELIST_PRICE_GAP
+      ));
+      if (relisted) {
+        issues.push({ item, check: 'relisting', original: relisted });
+      }
+    });
+  });
+  return issues;
+};
+
+// 같은 등급이라도 층마다 가격대가 크게 다르므로(R 플로어석과 R 2층) 등급·층 중앙값과 비교한다
+// 등급·층의 가격이 너무 적으면 등급 전체 중앙값을 쓴다
+const findPriceIssues = (items) => {
+  const issues = [];
+  Object.values(_.groupBy(items, item => [item.스냅샷, item.공연명, item.등급].join('|'))).forEach(gradeGroup => {
+    const gradePrices = getValidPrices(gradeGroup);
+    const gradeMedian = gradePrices.length >= PRICE_BOUNDS.minCount ? median(gradePrices) : null;
+
+    Object.values(_.groupBy(gradeGroup, '층')).forEach(group => {
+      const prices = getValidPrices(group);
+      const byFloor = prices.length >= PRICE_BOUNDS.minCount;
+      const center = byFloor ? median(prices) : gradeMedian;
+      if (center === null) return;
+
+      group.forEach(item => {
+        if (typeof item.가격 !== 'number' || item.가격 <= 0) return;
+        const ratio = item.가격 / center;
+        if (ratio < PRICE_BOUNDS.min || ratio > PRICE_BOUNDS.max) {
+          issues.push({ item, check: 'price', basis: { 등급: item.등급, 층: byFloor ? item.층 : null }, median: center, ratio });
+        }
+      });
+    });
+  });
+  return issues;
+};
+
+// 구역마다 가장 많은 층을 그 구역의 층으로 보고(충분히 많을 때만), 다른 층의 매물을 표시한다
+const findFloorZoneIssues = (items) => {
+  const issues = [];
+  Object.values(_.groupBy(items.filter(item => hasValue(item.구역)), item => [item.공연명, item.구역].join('|'))).forEach(group => {
+    const counts = _.countBy(group.filter(item => hasValue(item.층)), '층');
+    const [floor, count] = _.maxBy(Object.entries(counts), ([, value]) => value) || [];
+    const known = _.sum(Object.values(counts));
+    if (!floor || count < ZONE_FLOOR_MIN_COUNT || count / known < ZONE_FLOOR_MIN_SHARE) return;
+    group.filter(item => item.층 !== floor).forEach(item => {
+      issues.push({ item, check: 'floorZone', expectedFloor: floor });
+    });
+  });
+  return issues;
+};
+
+// 결과: [{ item, check, ...근거 }] (한 매물이 여러 검사에 걸릴 수 있다)
+// - duplicate, relisting: original (같은 좌석에 먼저 등록된 매물)
+// - price: basis({ 등급, 층 }, 등급 전체와 비교했으면 층은 null), median, ratio(가격 / 중앙값)
+// - floorZone: expectedFloor (그 구역 대부분 매물의 층)
+export const checkDataQuality = (items) => [
+  ...findSeatIssues(items),
+  ...findPriceIssues(items),
+  ...findFloorZoneIssues(items)
+];
+
+// 매물마다 걸린 검사 이름을 품질 필드에 붙인다 (문제가 없으면 빈 배열)
+export const addQualityFlags = (items, issues) => {
+  const labels = new Map();
+  issues.forEach(({ item, check }) => {
+    const label = QUALITY_CHECKS.find(definition => definition.key === check).label;
+    labels.set(item, _.uniq([...(labels.get(item) || []), label]));
+  });
+  return items.map(item => ({ ...item, 품질: labels.get(item) || [] }));
+};
@@ -0,0 +1,112 @@
+import _ from 'lodash';
+import { diffSnapshots, summarizeDiffByZone } from './snapshotDiff';
+import { getPerformanceDate } from './dates';
+import { getEventTitle } from './events';
+import { MISSING_KEY, aggregateBy } from './group';
+import { DEFAULT_PIVOT, buildPivot } from './pivot';
+import { getValidPrices, summarizePrices } from './stats';
+
+// 시장 리포트 (scripts/report.mjs). 대시보드의 구역·층·등급별 평균과 세부 통계를 같은 함수로 계산한다
+// 가격은 원 단위로 반올림해 두어 리포트 파일을 git으로 비교할 때 소수점 차이가 나지 않게 한다
+
+export const REPORT_TOP_ZONES = 5;
+
+const roundPrice = (value) => (value === null || value === undefined ? null : Math.round(value));
+
+const roundDelta = (after, before) => (after === null || before === null ? null : Math.round(after - before));
+
+const summarizeRows = (rows) => {
+  const summary = summarizePrices(getValidPrices(rows));
+  return {
+    count: rows.length,
+    priceCount: summary.count,
+    min: roundPrice(summary.min),
+    max: roundPrice(summary.max),
+    mean: roundPrice(summary.mean),
+    median: roundPrice(summary.median)
+  };
+};
+
+const toGroupRow = (keyName) => (group) => ({
+  [keyName]: group.key,
+  count: group.count,
+  mean: roundPrice(group.mean),
+  median: roundPrice(group.median),
+  min: roundPrice(group.min),
+  max: roundPrice(group.max)
+});
+
+// 가격이 있는 그룹만 평균 가격이 높은 순서로
+const aggregatePrices = (rows, dimension, keyName) => aggregateBy(rows, dimension)
+  .filter(group => group.priceCount > 0)
+  .map(toGroupRow(keyName))
+  .sort((a, b) => b.mean - a.mean);
+
+// 공연일(MM.DD) 순서, 날짜가 없는 매물은 마지막
+const aggregateDates = (rows) => _.sortBy(
+  aggregateBy(rows, getPerformanceDate).map(toGroupRow('date')),
+  [row => row.date === MISSING_KEY, 'date']
+);
+
+const buildStatsTable = (rows) => {
+  const pivot = buildPivot(rows, DEFAULT_PIVOT);
+  return {
+    rows: pivot.rowKeys,
+    columns: pivot.columnKeys,
+    cells: _.mapValues(pivot.cells, values => _.mapValues(values, roundPrice)),
+    rowTotals: _.mapValues(pivot.rowTotals, roundPrice)
+  };
+};
+
+const buildChanges = (current, previous, top) => {
+  const diff = diffSnapshots(previous.rows, current.rows);
+  const before = summarizeRows(previous.rows);
+  const after = summarizeRows(current.rows);
+  const previousDates = _.keyBy(aggregateDates(previous.rows), 'date');
+
+  return {
+    previousSnapshot: previous.snapshot,
+    summary: {
+      count: after.count - before.count,
+      mean: roundDelta(after.mean, before.mean),
+      median: roundDelta(after.median, before.median),
+      min: roundDelta(after.min, before.min)
+    },
+    listings: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      repriced: diff.repriced.length,
+      unchanged: diff.unchanged.length
+    },
+    zones: summarizeDiffByZone(diff).slice(0, top).map(zone => ({
+      ...zone,
+      avgDelta: Math.round(zone.avgDelta),
+      sellThrough: Number(zone.sellThrough.toFixed(3))
+    })),
+    dates: aggregateDates(current.rows).map(row => {
+      const previousMean = previousDates[row.date] ? previousDates[row.date].mean : null;
+      return { date: row.date, previousMean, mean: row.mean, delta: roundDelta(row.mean, previousMean) };
+    })
+  };
+};
+
+// current/previous: { snapshot, rows } (rows는 normalizeRows를 거친 매물)
+// previous가 있으면 두 스냅샷 사이의 변화를 changes에 담는다
+export const buildMarketReport = ({ current, previous = null, top = REPORT_TOP_ZONES }) => {
+  const zones = aggregatePrices(current.rows.filter(item => item.구역), '구역', 'zone');
+
+  return {
+    title: getEventTitle(current.rows),
+    snapshot: current.snapshot,
+    summary: summarizeRows(current.rows),
+    zones: {
+      top: zones.slice(0, top),
+      bottom: zones.slice(-top).reverse()
+    },
+    floors: aggregatePrices(current.rows, '층', 'floor'),
+    grades: aggregatePrices(current.rows, '등급', 'grade'),
+    stats: buildStatsTable(current.rows),
+    dates: aggregateDates(current.rows),
+    changes: previous ? buildChanges(current, previous, top) : null
+  };
+};
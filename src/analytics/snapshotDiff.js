@@ -0,0 +1,86 @@
+import _ from 'lodash';
+
+// 같은 좌석으로 볼 기준 컬럼 (등록일시는 중복 매물 구분용)
+const BASE_KEY_FIELDS = ['공연일시', '구역', '열', '층', '등급'];
+
+export const getBaseKey = (item) => BASE_KEY_FIELDS.map(field => item[field]).join('|');
+
+export const getListingKey = (item) => `${getBaseKey(item)}|${item.등록일시}`;
+
+const byRegisteredAt = (item) => String(item.등록일시 || '');
+
+// 두 스냅샷의 매물을 비교해 신규/사라짐/가격 변경/변동 없음으로 분류
+export const diffSnapshots = (beforeItems, afterItems) => {
+  const added = [];
+  const removed = [];
+  const repriced = [];
+  const unchanged = [];
+
+  const pair = (before, after) => {
+    if (before.가격 === after.가격) {
+      unchanged.push({ before, after });
+    } else {
+      repriced.push({ before, after, delta: (after.가격 || 0) - (before.가격 || 0) });
+    }
+  };
+
+  // 1차: 등록일시까지 같은 매물끼리 순서대로 짝짓기
+  const afterByListing = _.groupBy(afterItems, getListingKey);
+  const leftoverBefore = [];
+  beforeItems.forEach(before => {
+    const candidates = afterByListing[getListingKey(before)];
+    if (candidates && candidates.length > 0) {
+      pair(before, candidates.shift());
+    } else {
+      leftoverBefore.push(before);
+    }
+  });
+
+  // 2차: 남은 매물은 등록일시가 달라도 같은 좌석이면 재등록으로 보고 짝짓기
+  const leftoverAfterByBase = _.groupBy(
+    _.sortBy(_.flatten(Object.values(afterByListing)), byRegisteredAt),
+    getBaseKey
+  );
+  _.sortBy(leftoverBefore, byRegisteredAt).forEach(before => {
+    const candidates = leftoverAfterByBase[getBaseKey(before)];
+    if (candidates && candidates.length > 0) {
+      pair(before, candidates.shift());
+    } else {
+      removed.push(before);
+    }
+  });
+  added.push(..._.flatten(Object.values(leftoverAfterByBase)));
+
+  return { added, removed, repriced, unchanged };
+};
+
+// 구역별 신규/사라짐/가격 변경 건수와 평균 가격 변화
+export const summarizeDiffByZone = (diff) => {
+  const zones = _.uniq([
+    ...diff.added.map(item => item.구역),
+    ...diff.removed.map(item => item.구역),
+    ...diff.repriced.map(change => change.after.구역),
+    ...diff.unchanged.map(change => change.after.구역)
+  ]).filter(Boolean);
+
+  const addedByZone = _.groupBy(diff.added, '구역');
+  const removedByZone = _.groupBy(diff.removed, '구역');
+  const repricedByZone = _.groupBy(diff.repriced, change => change.after.구역);
+  const unchangedByZone = _.countBy(diff.unchanged, change => change.after.구역);
+
+  return zones.map(zone => {
+    const added = addedByZone[zone] || [];
+    const removed = removedByZone[zone] || [];
+    const repriced = repricedByZone[zone] || [];
+    const beforeCount = removed.length + repriced.length + (unchangedByZone[zone] || 0);
+
+    return {
+      zone,
+      addedCount: added.length,
+      removedCount: removed.length,
+      repricedCount: repriced.length,
+      avgDelta: repriced.length > 0 ? _.meanBy(repriced, 'delta') : 0,
+      sellThrough: beforeCount > 0 ? removed.length / beforeCount : 0
+    };
+  }).sort((a, b) => b.removedCount - a.removedCount);
+};
@@ -0,0 +1,65 @@
+import { diffSnapshots, summarizeDiffByZone } from './snapshotDiff';
+
+const listing = (overrides) => ({
+  공연일시: '03.20  18:30',
+  구역: 'E61',
+  열: 11,
+  층: '4층 (4F)',
+  등급: 'S',
+  가격: 168000,
+  등록일시: '03.08  12:10',
+  ...overrides
+});
+
+test('classifies new, removed, repriced and unchanged listings', () => {
+  const before = [
+    listing({}),
+    listing({ 구역: 'E45', 가격: 170000 }),
+    listing({ 구역: 'E57', 가격: 178000 })
+  ];
+  const after = [
+    listing({}),
+    listing({ 구역: 'E45', 가격: 160000 }),
+    listing({ 구역: 'F1', 층: '플로어석 (Floor)', 등급: 'R', 가격: 300000 })
+  ];
+
+  const diff = diffSnapshots(before, after);
+
+  expect(diff.unchanged).toHaveLength(1);
+  expect(diff.repriced).toEqual([
+    expect.objectContaining({ delta: -10000 })
+  ]);
+  expect(diff.removed.map(item => item.구역)).toEqual(['E57']);
+  expect(diff.added.map(item => item.구역)).toEqual(['F1']);
+});
+
+test('uses 등록일시 to tell duplicate seats apart and pairs re-listings', () => {
+  const before = [
+    listing({ 등록일시: '03.01  10:00', 가격: 200000 }),
+    listing({ 등록일시: '03.02  10:00', 가격: 210000 })
+  ];
+  const after = [
+    listing({ 등록일시: '03.02  10:00', 가격: 210000 }),
+    listing({ 등록일시: '03.09  09:00', 가격: 190000 })
+  ];
+
+  const diff = diffSnapshots(before, after);
+
+  expect(diff.unchanged).toHaveLength(1);
+  expect(diff.repriced).toHaveLength(1);
+  expect(diff.repriced[0].before.가격).toBe(200000);
+  expect(diff.repriced[0].after.가격).toBe(190000);
+  expect(diff.added).toHaveLength(0);
+  expect(diff.removed).toHaveLength(0);
+});
+
+test('summarizes changes and sell-through per zone', () => {
+  const diff = diffSnapshots(
+    [listing({}), listing({ 열: 12 })],
+    [listing({})]
+  );
+
+  expect(summarizeDiffByZone(diff)).toEqual([
+    expect.objectContaining({ zone: 'E61', removedCount: 1, addedCount: 0, sellThrough: 0.5 })
+  ]);
+});
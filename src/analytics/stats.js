@@ -0,0 +1,87 @@
+import _ from 'lodash';
+
+// 집계에 쓸 수 있는 가격만 고른다 (0, 빈 값, 숫자가 아닌 값 제외)
+export const getValidPrices = (rows) => {
+  return rows.map(row => row.가격).filter(price => typeof price === 'number' && price > 0);
+};
+
+// 짝수 개일 때는 가운데 두 값의 평균
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = _.sortBy(values);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+// p(0~1) 백분위수. 정렬된 값 사이를 선형 보간한다
+export const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const sorted = _.sortBy(values);
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// 표본 표준편차 (값이 하나면 0)
+export const standardDeviation = (values) => {
+  if (values.length === 0) return null;
+  if (values.length === 1) return 0;
+  const mean = _.mean(values);
+  return Math.sqrt(_.sumBy(values, value => (value - mean) ** 2) / (values.length - 1));
+};
+
+// 가격 목록의 요약 통계. 값이 없으면 count 0과 null 통계
+export const summarizePrices = (prices) => {
+  if (prices.length === 0) {
+    return { count: 0, min: null, max: null, mean: null, median: null, p25: null, p75: null, stddev: null };
+  }
+
+  return {
+    count: prices.length,
+    min: _.min(prices),
+    max: _.max(prices),
+    mean: _.mean(prices),
+    median: median(prices),
+    p25: percentile(prices, 0.25),
+    p75: percentile(prices, 0.75),
+    stddev: standardDeviation(prices)
+  };
+};
+
+// 동률은 평균 순위를 준다 (1부터 시작)
+const rank = (values) => {
+  const order = _.sortBy(values.map((value, index) => ({ value, index })), 'value');
+  const ranks = new Array(values.length);
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end += 1;
+    const averageRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i += 1) ranks[order[i].index] = averageRank;
+    start = end + 1;
+  }
+  return ranks;
+};
+
+// 스피어만 순위 상관계수 (-1~1). 이상치에 덜 민감해 가격 비교에 쓴다
+// 점이 둘 미만이거나 한쪽 값이 모두 같으면 null
+export const rankCorrelation = (points) => {
+  if (points.length < 2) return null;
+  const xs = rank(points.map(point => point.x));
+  const ys = rank(points.map(point => point.y));
+  const meanX = _.mean(xs);
+  const meanY = _.mean(ys);
+  const covariance = _.sum(xs.map((x, i) => (x - meanX) * (ys[i] - meanY)));
+  const spreadX = Math.sqrt(_.sumBy(xs, x => (x - meanX) ** 2));
+  const spreadY = Math.sqrt(_.sumBy(ys, y => (y - meanY) ** 2));
+  return spreadX === 0 || spreadY === 0 ? null : covariance / (spreadX * spreadY);
+};
+
+export const getPriceRange = (rows) => {
+  const prices = getValidPrices(rows);
+  return {
+    min: prices.length > 0 ? _.min(prices) : 0,
+    max: prices.length > 0 ? _.max(prices) : 0
+  };
+};
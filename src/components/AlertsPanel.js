@@ -0,0 +1,65 @@
+import React from 'react';
+import { formatConditions, formatPercent, formatPrice, formatSnapshotDate } from '../utils/format';
+import { describeWatchRule } from '../analytics';
+
+// 규칙마다 보여줄 최대 매물 수 (싼 순서)
+const MAX_MATCHES = 10;
+
+// 새 스냅샷에서 감시 규칙에 맞은 매물 알림
+const AlertsPanel = ({ alerts, onDismiss }) => {
+  return (
+    <div className="mb-4 p-4 bg-yellow-50 border border-yellow-300 rounded shadow">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold">
+          {formatSnapshotDate(alerts.snapshot)} 스냅샷 알림 ({alerts.results.length}개 규칙)
+        </h2>
+        <button type="button" onClick={onDismiss} className="text-sm text-gray-500 hover:text-gray-800">닫기</button>
+      </div>
+
+      {alerts.results.length === 0 && (
+        <p className="text-sm text-gray-600">저장한 규칙에 맞는 매물이 없습니다.</p>
+      )}
+
+      {alerts.results.map(({ rule, matches }) => (
+        <div key={rule.id} className="mb-4">
+          <h3 className="text-md font-semibold">
+            {rule.name} <span className="text-sm font-normal text-gray-600">— {matches.length}장, 최저 {formatPrice(matches[0].가격)}</span>
+          </h3>
+          <p className="text-xs text-gray-500 mb-1">{formatConditions(describeWatchRule(rule))}</p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white text-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-1 px-4 text-left">공연일시</th>
+                  <th className="py-1 px-4 text-left">구역</th>
+                  <th className="py-1 px-4 text-right">열</th>
+                  <th className="py-1 px-4 text-left">층</th>
+                  <th className="py-1 px-4 text-left">등급</th>
+                  <th className="py-1 px-4 text-right">가격</th>
+                  <th className="py-1 px-4 text-right">정가 대비</th>
+                  <th className="py-1 px-4 text-left">특이사항</th>
+                </tr>
+              </thead>
+              <tbody>
+                {matches.slice(0, MAX_MATCHES).map((item, index) => (
+                  <tr key={index} className="border-b">
+                    <td className="py-1 px-4">{item.공연일시}</td>
+                    <td className="py-1 px-4">{item.구역}</td>
+                    <td className="py-1 px-4 text-right">{item.열}</td>
+                    <td className="py-1 px-4">{item.층}</td>
+                    <td className="py-1 px-4">{item.등급}</td>
+                    <td className="py-1 px-4 text-right">{formatPrice(item.가격)}</td>
+                    <td className="py-1 px-4 text-right">{formatPercent(item.웃돈비율)}</td>
+                    <td className="py-1 px-4">{item.특이사항}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AlertsPanel;
@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import _ from 'lodash';
+import { addDateFields, getKstSnapshotDate } from '../analytics';
+import {
+  EXPECTED_COLUMNS,
+  applyColumnMapping,
+  guessColumnMapping,
+  parseCsvFile,
+  validateRows
+} from '../utils/csvSchema';
+
+// 보고서에 표시할 최대 문제 수
+const MAX_ISSUES = 100;
+
+// 스냅샷 날짜는 KST 기준 (UTC로 자르면 오전 9시 전에는 전날이 된다)
+const today = () => getKstSnapshotDate(Date.now());
+
+// 업로드한 파일 이름에 MMDD가 있으면 스냅샷 날짜로 쓴다 (예: 0310.csv)
+// 파일 이름에는 연도가 없으므로 가장 최근 스냅샷의 연도를 쓰고, 스냅샷이 없으면 비워 두어 직접 고르게 한다
+const guessSnapshotDate = (filename, snapshots) => {
+  const match = filename.match(/(\d{2})(\d{2})\.csv$/i);
+  if (!match) return today();
+  const latest = snapshots[snapshots.length - 1];
+  return latest ? `${latest.date.substring(0, 4)}-${match[1]}-${match[2]}` : '';
+};
+
+const CsvUploadPanel = ({ snapshots, onAddSnapshot }) => {
+  const [file, setFile] = useState(null);
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [snapshotDate, setSnapshotDate] = useState(today());
+  const [report, setReport] = useState(null);
+  const [parsing, setParsing] = useState(false);
+  const [error, setError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+
+  const handleFile = async (selectedFile) => {
+    if (!selectedFile) return;
+
+    try {
+      setFile(selectedFile);
+      setParsed(null);
+      setReport(null);
+      setError(null);
+      setParsing(true);
+      const result = await parseCsvFile(selectedFile);
+      setParsed(result);
+      setMapping(guessColumnMapping(result.headers));
+      setSnapshotDate(guessSnapshotDate(selectedFile.name, snapshots));
+    } catch (error) {
+      setError(`파일 로드 오류: ${error.message}`);
+    } finally {
+      setParsing(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  const missingRequired = EXPECTED_COLUMNS.filter(column => column.required && !mapping[column.key]);
+
+  const handleValidate = () => {
+    setReport(validateRows(applyColumnMapping(parsed.rows, mapping)));
+  };
+
+  const handleAdd = () => {
+    onAddSnapshot(
+      { date: snapshotDate, file: file.name, source: 'upload' },
+      report.validRows.map(row => addDateFields({ ...row, 스냅샷: snapshotDate }))
+    );
+    setFile(null);
+    setParsed(null);
+    setReport(null);
+  };
+
+  const errorRowCount = report ? _.uniqBy(report.issues.filter(issue => issue.level === 'error'), 'rowNumber').length : 0;
+  const issueSummary = report ? _.countBy(report.issues, issue => `${issue.field}: ${issue.message}`) : {};
+
+  return (
+    <div className="mb-4 p-4 bg-white rounded shadow">
+      <h2 className="text-lg font-semibold mb-4">CSV 업로드</h2>
+
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        className={`block p-6 border-2 border-dashed rounded text-center cursor-pointer ${dragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+      >
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={(e) => handleFile(e.target.files[0])}
+          className="hidden"
+        />
+        {parsing ? 'CSV를 파싱 중입니다...' : file ? file.name : 'CSV 파일을 끌어다 놓거나 눌러서 선택하세요'}
+      </label>
+
+      {error && <div className="mt-2 text-red-600">{error}</div>}
+
+      {parsed && (
+        <div className="mt-4">
+          <h3 className="text-md font-semibold mb-2">컬럼 매핑 ({parsed.rows.length}행)</h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-4 gap-4">
+            {EXPECTED_COLUMNS.map(column => (
+              <div key={column.key}>
+                <label className="block text-sm font-medium mb-1">
+                  {column.key}{column.required && <span className="text-red-600"> *</span>}:
+                </label>
+                <select
+                  value={mapping[column.key] || ''}
+                  onChange={(e) => {
+                    setMapping({ ...mapping, [column.key]: e.target.value });
+                    setReport(null);
+                  }}
+                  className="w-full p-2 border rounded"
+                >
+                  <option value="">(없음)</option>
+                  {parsed.headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-4 flex flex-wrap items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">스냅샷 날짜:</label>
+              <input
+                type="date"
+                value={snapshotDate}
+                onChange={(e) => setSnapshotDate(e.target.value)}
+                className="p-2 border rounded"
+              />
+            </div>
+            {!snapshotDate && (
+              <span className="text-sm text-yellow-700">파일 이름에 연도가 없어 스냅샷 날짜를 직접 고르세요.</span>
+            )}
+            <button
+              type="button"
+              onClick={handleValidate}
+              disabled={missingRequired.length > 0}
+              className="px-4 py-2 border rounded hover:bg-gray-100 disabled:opacity-50"
+            >
+              검증
+            </button>
+            {missingRequired.length > 0 && (
+              <span className="text-sm text-red-600">
+                필수 컬럼을 지정하세요: {missingRequired.map(column => column.key).join(', ')}
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+
+      {report && (
+        <div className="mt-4">
+          <h3 className="text-md font-semibold mb-2">검증 보고서</h3>
+          <p className="mb-2 text-sm">
+            전체 {parsed.rows.length}행 중 {report.validRows.length}행 사용 가능,
+            가격 오류로 제외되는 행 {errorRowCount}개, 문제 {report.issues.length}건
+          </p>
+
+          {Object.keys(issueSummary).length > 0 && (
+            <ul className="mb-2 text-sm list-disc list-inside">
+              {Object.entries(issueSummary).map(([summary, count]) => (
+                <li key={summary}>{summary} ({count}건)</li>
+              ))}
+            </ul>
+          )}
+
+          {report.issues.length > 0 && (
+            <div className="overflow-x-auto max-h-64 overflow-y-auto">
+              <table className="min-w-full bg-white text-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-4 text-right">행</th>
+                    <th className="py-2 px-4 text-left">구분</th>
+                    <th className="py-2 px-4 text-left">컬럼</th>
+                    <th className="py-2 px-4 text-left">값</th>
+                    <th className="py-2 px-4 text-left">내용</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.issues.slice(0, MAX_ISSUES).map((issue, index) => (
+                    <tr key={index} className="border-b">
+                      <td className="py-1 px-4 text-right">{issue.rowNumber}</td>
+                      <td className={`py-1 px-4 ${issue.level === 'error' ? 'text-red-600' : 'text-yellow-700'}`}>
+                        {issue.level === 'error' ? '제외' : '경고'}
+                      </td>
+                      <td className="py-1 px-4">{issue.field}</td>
+                      <td className="py-1 px-4">{String(issue.value ?? '')}</td>
+                      <td className="py-1 px-4">{issue.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {report.issues.length > MAX_ISSUES && (
+                <p className="mt-1 text-xs text-gray-500">처음 {MAX_ISSUES}건만 표시합니다.</p>
+              )}
+            </div>
+          )}
+
+          <div className="mt-4 flex items-center gap-4">
+            <button
+              type="button"
+              onClick={handleAdd}
+              disabled={report.validRows.length === 0 || !snapshotDate}
+              className="px-4 py-2 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              스냅샷으로 추가
+            </button>
+            {snapshots.some(snapshot => snapshot.date === snapshotDate) && (
+              <span className="text-sm text-yellow-700">같은 날짜의 스냅샷을 대체합니다.</span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CsvUploadPanel;
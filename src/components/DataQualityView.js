@@ -0,0 +1,119 @@
+import React, { useMemo, useState } from 'react';
+import _ from 'lodash';
+import ExportButtons from './ExportButtons';
+import { formatPrice } from '../utils/format';
+import { QUALITY_CHECKS } from '../analytics';
+
+const EXPORT_COLUMNS = [
+  { key: 'check', label: '검사' },
+  { key: '공연일시', label: '공연일시' },
+  { key: '구역', label: '구역' },
+  { key: '열', label: '열' },
+  { key: '층', label: '층' },
+  { key: '등급', label: '등급' },
+  { key: '가격', label: '가격' },
+  { key: '등록일시', label: '등록일시' },
+  { key: '특이사항', label: '특이사항' },
+  { key: 'detail', label: '내용' }
+];
+
+const getCheck = (key) => QUALITY_CHECKS.find(check => check.key === key);
+
+const describeSeat = (item) => `${item.공연일시} ${item.구역} ${item.열}열`;
+
+const describeBasis = (basis) => (
+  basis.층 === null ? basis.등급 || '등급 없음' : `${basis.등급 || '등급 없음'} ${basis.층 || '층 정보 없음'}`
+);
+
+// 검사가 돌려준 근거로 '내용' 칸의 설명을 만든다
+const ISSUE_DESCRIPTIONS = {
+  duplicate: ({ item, original }) => `${describeSeat(item)} · ${original.등록일시 || '등록일시 없음'} 매물과 같은 ${formatPrice(item.가격)}`,
+  relisting: ({ item, original }) => `${describeSeat(item)} · ${formatPrice(original.가격)} → ${formatPrice(item.가격)}`,
+  price: ({ item, basis, median, ratio }) => `${describeBasis(basis)} 중앙값 ${formatPrice(Math.round(median))}의 ${ratio.toFixed(1)}배 (${formatPrice(item.가격)})`,
+  floorZone: ({ item, expectedFloor }) => `${item.구역} 구역은 보통 ${expectedFloor}인데 ${item.층 || '층 정보 없음'}`
+};
+
+const describeIssue = (issue) => ISSUE_DESCRIPTIONS[issue.check](issue);
+
+// 검사별로 걸린 매물 목록. 제외 스위치는 요약 카드 위에 있다 (SeatPriceVisualization)
+const DataQualityView = ({ issues, excluded }) => {
+  const [selectedCheck, setSelectedCheck] = useState('all');
+  const counts = useMemo(() => _.countBy(issues, 'check'), [issues]);
+  const rows = useMemo(() => _.sortBy(
+    issues.filter(issue => selectedCheck === 'all' || issue.check === selectedCheck),
+    [issue => QUALITY_CHECKS.findIndex(check => check.key === issue.check), issue => issue.item.공연일시, issue => issue.item.구역]
+  ), [issues, selectedCheck]);
+  const exportRows = rows.map(issue => ({ ...issue.item, check: getCheck(issue.check).label, detail: describeIssue(issue) }));
+  const flaggedCount = new Set(issues.map(issue => issue.item)).size;
+
+  return (
+    <div className="bg-white p-4 rounded shadow mb-6">
+      <h2 className="text-lg font-semibold mb-1">데이터 품질</h2>
+      <p className="text-xs text-gray-500 mb-4">
+        매물에 좌석 번호와 판매자가 없어 중복과 재등록은 같은 공연일시·구역·열로 추정합니다. 먼저 등록된 매물은 그대로 두고 뒤에 올라온 매물을 표시합니다.
+        {excluded ? ` 표시된 매물 ${flaggedCount}장은 모든 보기와 집계에서 빠져 있습니다.` : ` 표시된 매물 ${flaggedCount}장이 집계에 포함되어 있습니다.`}
+      </p>
+
+      <div className="mb-4 grid grid-cols-2 md:grid-cols-4 gap-4">
+        {QUALITY_CHECKS.map(check => (
+          <button
+            key={check.key}
+            onClick={() => setSelectedCheck(selectedCheck === check.key ? 'all' : check.key)}
+            className={`p-4 rounded text-left ${selectedCheck === check.key ? 'bg-blue-50 ring-2 ring-blue-400' : 'bg-gray-50 hover:bg-gray-100'}`}
+          >
+            <h3 className="text-sm font-medium text-gray-500">{check.label}</h3>
+            <p className="text-xl font-bold">{counts[check.key] || 0}건</p>
+            <p className="text-xs text-gray-500">{check.description}</p>
+          </button>
+        ))}
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-gray-500">발견된 문제가 없습니다.</p>
+      ) : (
+        <>
+          <div className="mb-2 flex items-center justify-between text-sm">
+            <span className="text-gray-500">
+              {selectedCheck === 'all' ? '전체' : getCheck(selectedCheck).label} {rows.length}건
+            </span>
+            <ExportButtons filename="데이터_품질" rows={exportRows} columns={EXPORT_COLUMNS} />
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-2 px-4 text-left">검사</th>
+                  <th className="py-2 px-4 text-left">공연일시</th>
+                  <th className="py-2 px-4 text-left">구역</th>
+                  <th className="py-2 px-4 text-right">열</th>
+                  <th className="py-2 px-4 text-left">층</th>
+                  <th className="py-2 px-4 text-left">등급</th>
+                  <th className="py-2 px-4 text-right">가격</th>
+                  <th className="py-2 px-4 text-left">등록일시</th>
+                  <th className="py-2 px-4 text-left">내용</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((issue, index) => (
+                  <tr key={index} className="border-b hover:bg-gray-50">
+                    <td className="py-2 px-4 whitespace-nowrap">{getCheck(issue.check).label}</td>
+                    <td className="py-2 px-4 whitespace-nowrap">{issue.item.공연일시}</td>
+                    <td className="py-2 px-4">{issue.item.구역}</td>
+                    <td className="py-2 px-4 text-right">{issue.item.열}</td>
+                    <td className="py-2 px-4 whitespace-nowrap">{issue.item.층}</td>
+                    <td className="py-2 px-4">{issue.item.등급}</td>
+                    <td className="py-2 px-4 text-right">{issue.item.가격 ? formatPrice(issue.item.가격) : '-'}</td>
+                    <td className="py-2 px-4 whitespace-nowrap">{issue.item.등록일시}</td>
+                    <td className="py-2 px-4 text-sm text-gray-600">{describeIssue(issue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DataQualityView;
@@ -0,0 +1,103 @@
+import React, { useState, useMemo } from 'react';
+import _ from 'lodash';
+import ExportButtons from './ExportButtons';
+import { formatPercent, formatPrice } from '../utils/format';
+import { estimateFairValues } from '../utils/fairValue';
+import { LISTING_COLUMNS } from '../utils/exportData';
+
+// -Infinity는 할인 여부와 관계없이 모든 매물을 할인율순으로 보여준다
+const DISCOUNT_THRESHOLDS = [0.1, 0.2, 0.3, 0.5, -Infinity];
+
+const MAX_DEALS = 50;
+
+const DealsView = ({ data }) => {
+  const [threshold, setThreshold] = useState(0.2);
+
+  const estimates = useMemo(() => estimateFairValues(data), [data]);
+  const deals = _.sortBy(estimates.filter(estimate => estimate.discount <= -threshold), 'discount');
+
+  return (
+    <div className="bg-white p-4 rounded shadow mb-6">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-lg font-semibold">적정가 대비 매물 순위</h2>
+        <ExportButtons
+          filename="적정가_대비_매물"
+          rows={deals.map(({ item, expectedPrice, discount }) => ({
+            ...item,
+            적정가격: Math.round(expectedPrice),
+            적정가대비: Number(discount.toFixed(3))
+          }))}
+          columns={[
+            ...LISTING_COLUMNS,
+            { key: '적정가격', label: '적정 가격' },
+            { key: '적정가대비', label: '적정가 대비' }
+          ]}
+        />
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        적정 가격은 층·등급별 중앙값에 구역, 공연일시, 연결석여부, 특이사항, 같은 구역 내 열 위치의 효과를 반영한 추정치입니다.
+      </p>
+
+      <div className="mb-4 max-w-xs">
+        <label className="block text-sm font-medium mb-1">최소 할인율:</label>
+        <select
+          value={threshold}
+          onChange={(e) => setThreshold(Number(e.target.value))}
+          className="w-full p-2 border rounded"
+        >
+          {DISCOUNT_THRESHOLDS.map(value => (
+            <option key={value} value={value}>{value === -Infinity ? '전체 매물' : `${value * 100}% 이상`}</option>
+          ))}
+        </select>
+      </div>
+
+      <p className="mb-2 text-sm">
+        전체 {estimates.length}장 중 {deals.length}장{deals.length > MAX_DEALS ? ` (상위 ${MAX_DEALS}개 표시)` : ''}
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-right">순위</th>
+              <th className="py-2 px-4 text-left">공연일시</th>
+              <th className="py-2 px-4 text-left">구역</th>
+              <th className="py-2 px-4 text-right">열</th>
+              <th className="py-2 px-4 text-left">층</th>
+              <th className="py-2 px-4 text-left">등급</th>
+              <th className="py-2 px-4 text-right">가격</th>
+              <th className="py-2 px-4 text-right">적정 가격</th>
+              <th className="py-2 px-4 text-right">적정가 대비</th>
+              <th className="py-2 px-4 text-right">정가 대비</th>
+              <th className="py-2 px-4 text-left">특이사항</th>
+            </tr>
+          </thead>
+          <tbody>
+            {deals.slice(0, MAX_DEALS).map(({ item, expectedPrice, discount }, index) => (
+              <tr key={index} className="border-b hover:bg-gray-50">
+                <td className="py-2 px-4 text-right">{index + 1}</td>
+                <td className="py-2 px-4">{item.공연일시}</td>
+                <td className="py-2 px-4">{item.구역}</td>
+                <td className="py-2 px-4 text-right">{item.열}</td>
+                <td className="py-2 px-4">{item.층}</td>
+                <td className="py-2 px-4">{item.등급}</td>
+                <td className="py-2 px-4 text-right">{formatPrice(item.가격)}</td>
+                <td className="py-2 px-4 text-right">{formatPrice(Math.round(expectedPrice))}</td>
+                <td className={`py-2 px-4 text-right ${discount < 0 ? 'text-blue-600' : 'text-red-600'}`}>{formatPercent(discount)}</td>
+                <td className="py-2 px-4 text-right">{formatPercent(item.웃돈비율)}</td>
+                <td className="py-2 px-4">{item.특이사항}</td>
+              </tr>
+            ))}
+            {deals.length === 0 && (
+              <tr>
+                <td colSpan={11} className="py-2 px-4 text-center text-gray-500">조건에 맞는 매물이 없습니다.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default DealsView;
@@ -0,0 +1,187 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import _ from 'lodash';
+import ExportButtons from './ExportButtons';
+import { formatPrice } from '../utils/format';
+import { buildHistogram, getBoxPlotStats, getValidPrices } from '../analytics';
+
+const BIN_WIDTHS = [10000, 50000, 100000, 200000, 500000];
+
+const DIMENSIONS = [
+  { key: '층', label: '층' },
+  { key: '등급', label: '등급' },
+  { key: '구역', label: '구역' },
+  { key: '특이사항', label: '특이사항' }
+];
+
+// 구역처럼 그룹이 많으면 매물 수 기준 상위 그룹만 그린다
+const MAX_BOXES = 30;
+
+// 상자 그림 크기 (SVG 좌표)
+const CHART_WIDTH = 800;
+const LABEL_WIDTH = 140;
+const ROW_HEIGHT = 28;
+const AXIS_HEIGHT = 24;
+
+const BOX_COLUMNS = [
+  { key: 'key', label: '그룹' },
+  { key: 'count', label: '매물 수' },
+  { key: 'whiskerLow', label: '최저 (이상치 제외)' },
+  { key: 'q1', label: '1사분위' },
+  { key: 'median', label: '중간값' },
+  { key: 'q3', label: '3사분위' },
+  { key: 'whiskerHigh', label: '최고 (이상치 제외)' },
+  { key: 'outlierCount', label: '이상치 수' }
+];
+
+const formatShortPrice = (price) => (price >= 10000 ? `${Math.round(price / 10000)}만` : String(price));
+
+// 가로 상자 그림. 축 범위는 수염 끝까지이고, 범위를 벗어난 이상치는 개수로만 표시한다
+const BoxPlotChart = ({ boxes }) => {
+  const domainMin = _.min(boxes.map(box => box.whiskerLow));
+  const domainMax = _.max(boxes.map(box => box.whiskerHigh));
+  const plotWidth = CHART_WIDTH - LABEL_WIDTH - 40;
+  const scale = (price) => LABEL_WIDTH + (domainMax > domainMin ? ((price - domainMin) / (domainMax - domainMin)) * plotWidth : plotWidth / 2);
+  const height = boxes.length * ROW_HEIGHT + AXIS_HEIGHT;
+  const ticks = _.range(5).map(index => domainMin + ((domainMax - domainMin) * index) / 4);
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${height}`} className="w-full" role="img" aria-label="가격 상자 그림">
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={scale(tick)} x2={scale(tick)} y1={0} y2={height - AXIS_HEIGHT} stroke="#e5e7eb" />
+          <text x={scale(tick)} y={height - 6} fontSize="11" textAnchor="middle" fill="#6b7280">{formatShortPrice(Math.round(tick))}</text>
+        </g>
+      ))}
+      {boxes.map((box, index) => {
+        const y = index * ROW_HEIGHT + ROW_HEIGHT / 2;
+        const visibleOutliers = box.outliers.filter(price => price >= domainMin && price <= domainMax);
+        const hiddenOutliers = box.outliers.length - visibleOutliers.length;
+        return (
+          <g key={box.key}>
+            <title>
+              {`${box.key}: 중간값 ${formatPrice(Math.round(box.median))}, 사분위 ${formatPrice(Math.round(box.q1))}~${formatPrice(Math.round(box.q3))}, 이상치 ${box.outliers.length}장`}
+            </title>
+            <text x={LABEL_WIDTH - 8} y={y + 4} fontSize="12" textAnchor="end">{box.key}</text>
+            <line x1={scale(box.whiskerLow)} x2={scale(box.whiskerHigh)} y1={y} y2={y} stroke="#6b7280" />
+            <line x1={scale(box.whiskerLow)} x2={scale(box.whiskerLow)} y1={y - 6} y2={y + 6} stroke="#6b7280" />
+            <line x1={scale(box.whiskerHigh)} x2={scale(box.whiskerHigh)} y1={y - 6} y2={y + 6} stroke="#6b7280" />
+            <rect
+              x={scale(box.q1)}
+              y={y - 9}
+              width={Math.max(scale(box.q3) - scale(box.q1), 1)}
+              height={18}
+              fill="#c7d2fe"
+              stroke="#4f46e5"
+            />
+            <line x1={scale(box.median)} x2={scale(box.median)} y1={y - 9} y2={y + 9} stroke="#312e81" strokeWidth="2" />
+            {visibleOutliers.map((price, outlierIndex) => (
+              <circle key={outlierIndex} cx={scale(price)} cy={y} r={2.5} fill="#ef4444" />
+            ))}
+            {hiddenOutliers > 0 && (
+              <text x={CHART_WIDTH - 36} y={y + 4} fontSize="11" fill="#ef4444">+{hiddenOutliers}</text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const DistributionView = ({ data, outlierCount, excludeOutliers, onExcludeOutliersChange }) => {
+  const [binWidth, setBinWidth] = useState(100000);
+  const [dimension, setDimension] = useState('층');
+
+  const histogram = useMemo(() => buildHistogram(getValidPrices(data), binWidth).map(bin => ({
+    ...bin,
+    label: bin.end === Infinity ? `${formatShortPrice(bin.start)} 이상` : formatShortPrice(bin.start)
+  })), [data, binWidth]);
+
+  const boxes = useMemo(() => {
+    const stats = getBoxPlotStats(data, dimension);
+    return _.sortBy(_.sortBy(stats, box => -box.count).slice(0, MAX_BOXES), box => -box.median);
+  }, [data, dimension]);
+
+  const dimensionLabel = DIMENSIONS.find(item => item.key === dimension).label;
+
+  return (
+    <div className="bg-white p-4 rounded shadow mb-6">
+      <h2 className="text-lg font-semibold mb-1">가격 분포</h2>
+      <p className="text-xs text-gray-500 mb-4">
+        이상치는 같은 층·등급 안에서 1사분위 - 1.5×IQR보다 낮거나 3사분위 + 1.5×IQR보다 높은 가격입니다.
+      </p>
+
+      <div className="mb-6 grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium mb-1">구간 너비:</label>
+          <select
+            value={binWidth}
+            onChange={(e) => setBinWidth(Number(e.target.value))}
+            className="w-full p-2 border rounded"
+          >
+            {BIN_WIDTHS.map(width => (
+              <option key={width} value={width}>{formatPrice(width)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">상자 그림 기준:</label>
+          <select
+            value={dimension}
+            onChange={(e) => setDimension(e.target.value)}
+            className="w-full p-2 border rounded"
+          >
+            {DIMENSIONS.map(item => (
+              <option key={item.key} value={item.key}>{item.label}</option>
+            ))}
+          </select>
+        </div>
+        <label className="flex items-center text-sm font-medium">
+          <input
+            type="checkbox"
+            checked={excludeOutliers}
+            onChange={(e) => onExcludeOutliersChange(e.target.checked)}
+            className="mr-2"
+          />
+          평균 계산에서 이상치 {outlierCount}장 제외
+        </label>
+      </div>
+
+      <h3 className="text-md font-semibold mb-2">가격 히스토그램</h3>
+      <div className="h-72 mb-6">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={histogram} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis allowDecimals={false} />
+            <Tooltip
+              formatter={(value) => `${value}장`}
+              labelFormatter={(label, payload) => {
+                const bin = payload && payload[0] && payload[0].payload;
+                if (!bin) return label;
+                return bin.end === Infinity ? `${formatPrice(bin.start)} 이상` : `${formatPrice(bin.start)} ~ ${formatPrice(bin.end)}`;
+              }}
+            />
+            <Bar dataKey="count" name="매물 수" fill="#8884d8" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-md font-semibold">{dimensionLabel}별 상자 그림</h3>
+        <ExportButtons
+          filename={`${dimensionLabel}별_가격_분포`}
+          rows={boxes.map(box => ({ ...box, median: Math.round(box.median), q1: Math.round(box.q1), q3: Math.round(box.q3), outlierCount: box.outliers.length }))}
+          columns={BOX_COLUMNS}
+        />
+      </div>
+      {boxes.length > 0 ? (
+        <BoxPlotChart boxes={boxes} />
+      ) : (
+        <p className="text-sm text-gray-500">가격이 있는 매물이 없습니다.</p>
+      )}
+    </div>
+  );
+};
+
+export default DistributionView;
@@ -0,0 +1,128 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import _ from 'lodash';
+import MultiSelect from './MultiSelect';
+import ExportButtons from './ExportButtons';
+import { formatPrice } from '../utils/format';
+import { SERIES_COLORS } from '../utils/color';
+import { compareEvents } from '../analytics';
+
+// 공연장마다 구역 이름이 달라 등급과 층으로만 비교한다
+const DIMENSIONS = [
+  { key: '등급', label: '등급' },
+  { key: '층', label: '층' }
+];
+
+const EventComparisonView = ({ data }) => {
+  const [dimension, setDimension] = useState('등급');
+  const [selectedEvents, setSelectedEvents] = useState([]);
+
+  const eventOptions = useMemo(() => _.sortBy(_.uniq(data.map(item => item.공연명)).filter(Boolean)), [data]);
+  // 선택하지 않으면 모든 공연을 비교
+  const events = useMemo(
+    () => (selectedEvents.length > 0 ? selectedEvents.filter(event => eventOptions.includes(event)) : eventOptions),
+    [selectedEvents, eventOptions]
+  );
+  const rows = useMemo(() => compareEvents(data, dimension, events), [data, dimension, events]);
+
+  const dimensionLabel = DIMENSIONS.find(item => item.key === dimension).label;
+  const chartData = rows.map(row => ({
+    key: row.key,
+    ..._.mapValues(row.values, value => value.median)
+  }));
+  const exportRows = rows.map(row => {
+    const exportRow = { key: row.key };
+    events.forEach(event => {
+      const value = row.values[event];
+      exportRow[`${event} 중간값`] = value.median === null ? null : Math.round(value.median);
+      exportRow[`${event} 매물 수`] = value.count;
+    });
+    return exportRow;
+  });
+
+  return (
+    <div className="bg-white p-4 rounded shadow mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">공연별 가격 비교</h2>
+        <ExportButtons
+          filename={`공연별_${dimensionLabel}_가격_비교`}
+          rows={exportRows}
+          columns={[
+            { key: 'key', label: dimensionLabel },
+            ...events.flatMap(event => [
+              { key: `${event} 중간값`, label: `${event} 중간값 가격` },
+              { key: `${event} 매물 수`, label: `${event} 매물 수` }
+            ])
+          ]}
+        />
+      </div>
+
+      <div className="mb-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <MultiSelect label="비교할 공연" options={eventOptions} selected={selectedEvents} onChange={setSelectedEvents} />
+        <div>
+          <label className="block text-sm font-medium mb-1">비교 기준:</label>
+          <select
+            value={dimension}
+            onChange={(e) => setDimension(e.target.value)}
+            className="w-full p-2 border rounded"
+          >
+            {DIMENSIONS.map(item => (
+              <option key={item.key} value={item.key}>{item.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {events.length < 2 && (
+        <p className="mb-4 text-sm text-gray-500">
+          비교하려면 공연이 두 개 이상 있어야 합니다. 다른 공연의 CSV를 업로드하거나 스냅샷에 추가하세요.
+        </p>
+      )}
+
+      <div className="h-80 mb-6">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={chartData} margin={{ top: 5, right: 30, left: 80, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="key" />
+            <YAxis tickFormatter={(value) => formatPrice(value)} />
+            <Tooltip formatter={(value) => formatPrice(Math.round(value))} />
+            <Legend />
+            {events.map((event, index) => (
+              <Bar key={event} dataKey={event} name={event} fill={SERIES_COLORS[index % SERIES_COLORS.length]} />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-left">{dimensionLabel}</th>
+              {events.map(event => (
+                <th key={event} className="py-2 px-4 text-right">{event}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key} className="border-b hover:bg-gray-50">
+                <td className="py-2 px-4">{row.key}</td>
+                {events.map(event => {
+                  const value = row.values[event];
+                  return (
+                    <td key={event} className="py-2 px-4 text-right">
+                      {value.median === null ? '-' : `${formatPrice(Math.round(value.median))} (${value.count}장)`}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default EventComparisonView;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { EVENT_LEVELS } from '../analytics';
+
+// 카테고리 → 아티스트 → 공연 → 회차 선택. 위 단계를 바꾸면 아래 단계는 전체로 돌아간다
+const EventPicker = ({ event, options, onChange }) => {
+  const handleChange = (levelIndex, value) => {
+    const next = { ...event, [EVENT_LEVELS[levelIndex].key]: value };
+    EVENT_LEVELS.slice(levelIndex + 1).forEach(level => {
+      next[level.key] = '';
+    });
+    onChange(next);
+  };
+
+  return (
+    <div className="mb-4 p-4 bg-white rounded shadow grid grid-cols-1 md:grid-cols-4 gap-4">
+      {EVENT_LEVELS.map((level, index) => (
+        <div key={level.key}>
+          <label className="block text-sm font-medium mb-1">{level.label}:</label>
+          <select
+            value={event[level.key]}
+            onChange={(e) => handleChange(index, e.target.value)}
+            className="w-full p-2 border rounded"
+          >
+            <option value="">전체 ({options[level.key].length})</option>
+            {options[level.key].map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default EventPicker;
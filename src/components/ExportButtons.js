@@ -0,0 +1,37 @@
+import React, { useState } from 'react';
+import { downloadCsv, downloadXlsx } from '../utils/exportData';
+
+const ExportButtons = ({ filename, rows, columns }) => {
+  const [error, setError] = useState(null);
+
+  const handleXlsx = async () => {
+    try {
+      setError(null);
+      await downloadXlsx(filename, rows, columns);
+    } catch (error) {
+      setError(`XLSX 내보내기 오류: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="inline-flex items-center gap-1 text-sm">
+      <button
+        type="button"
+        onClick={() => downloadCsv(filename, rows, columns)}
+        className="px-2 py-1 border rounded hover:bg-gray-100"
+      >
+        CSV
+      </button>
+      <button
+        type="button"
+        onClick={handleXlsx}
+        className="px-2 py-1 border rounded hover:bg-gray-100"
+      >
+        XLSX
+      </button>
+      {error && <span className="ml-2 text-red-600">{error}</span>}
+    </div>
+  );
+};
+
+export default ExportButtons;
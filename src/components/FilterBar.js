@@ -0,0 +1,69 @@
+import React from 'react';
+import MultiSelect from './MultiSelect';
+import PriceRangeSlider from './PriceRangeSlider';
+import { DEFAULT_FILTERS } from '../analytics';
+
+const FilterBar = ({ filters, options, onChange }) => {
+  const updateFilter = (key) => (value) => onChange({ ...filters, [key]: value });
+
+  return (
+    <div className="mb-6 p-4 bg-white rounded shadow">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <MultiSelect label="층" options={options.floors} selected={filters.floors} onChange={updateFilter('floors')} />
+        <MultiSelect label="등급" options={options.grades} selected={filters.grades} onChange={updateFilter('grades')} />
+        <MultiSelect label="구역" options={options.zones} selected={filters.zones} onChange={updateFilter('zones')} />
+        <MultiSelect label="특이사항" options={options.notes} selected={filters.notes} onChange={updateFilter('notes')} />
+        <MultiSelect label="상태" options={options.statuses} selected={filters.statuses} onChange={updateFilter('statuses')} />
+        <MultiSelect label="태그" options={options.tags} selected={filters.tags} onChange={updateFilter('tags')} />
+        <MultiSelect label="제외할 태그" options={options.tags} selected={filters.excludedTags} onChange={updateFilter('excludedTags')} emptyLabel="없음" />
+
+        <div>
+          <label className="block text-sm font-medium mb-1">공연일:</label>
+          <select
+            value={filters.date}
+            onChange={(e) => updateFilter('date')(e.target.value)}
+            className="w-full p-2 border rounded"
+          >
+            <option value="all">전체</option>
+            {options.dates.map(date => (
+              <option key={date} value={date}>{date}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <div className="md:col-span-2">
+          <PriceRangeSlider
+            min={options.minPrice}
+            max={options.maxPrice}
+            valueMin={filters.priceMin}
+            valueMax={filters.priceMax}
+            onChange={(priceMin, priceMax) => onChange({ ...filters, priceMin, priceMax })}
+          />
+        </div>
+
+        <div className="flex items-center justify-between">
+          <label className="flex items-center text-sm font-medium">
+            <input
+              type="checkbox"
+              checked={filters.connectedOnly}
+              onChange={(e) => updateFilter('connectedOnly')(e.target.checked)}
+              className="mr-2"
+            />
+            연결석만 보기
+          </label>
+          <button
+            type="button"
+            onClick={() => onChange(DEFAULT_FILTERS)}
+            className="text-sm text-gray-500 hover:text-gray-800"
+          >
+            필터 초기화
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FilterBar;
@@ -0,0 +1,169 @@
+import React, { useMemo, useState } from 'react';
+import _ from 'lodash';
+import ExportButtons from './ExportButtons';
+import { formatPrice } from '../utils/format';
+import { CONNECTED_SEATS, MAX_PARTY_SIZE, getPerformanceDate, isValidPartySize, planGroupPurchase } from '../analytics';
+
+const OPTION_COLUMNS = [
+  { key: 'rank', label: '순위' },
+  { key: 'performance', label: '공연일시' },
+  { key: 'zone', label: '구역' },
+  { key: 'rows', label: '열' },
+  { key: 'type', label: '구성' },
+  { key: 'listings', label: '매물 수' },
+  { key: 'totalPrice', label: '총액' },
+  { key: 'perSeatPrice', label: '1인당' }
+];
+
+const formatRows = (rows) => {
+  if (rows.length === 0) return '-';
+  return rows.length === 1 ? `${rows[0]}열` : `${rows[0]}~${rows[rows.length - 1]}열`;
+};
+
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+// 인원수·날짜·예산으로 함께 앉을 수 있는 가장 싼 매물 조합을 찾는다
+const GroupPlannerView = ({ data }) => {
+  const [partySize, setPartySize] = useState('2');
+  const [date, setDate] = useState('all');
+  const [budget, setBudget] = useState('');
+  const [connectedSeats, setConnectedSeats] = useState(String(CONNECTED_SEATS));
+  const [expanded, setExpanded] = useState(null);
+
+  const dates = useMemo(() => _.sortBy(_.uniq(data.map(getPerformanceDate)).filter(Boolean)), [data]);
+
+  const options = useMemo(() => planGroupPurchase(
+    data.filter(item => date === 'all' || getPerformanceDate(item) === date),
+    {
+      partySize: Number(partySize),
+      budget: toNumberOrNull(budget),
+      connectedSeats: Number(connectedSeats) || CONNECTED_SEATS
+    }
+  ), [data, date, partySize, budget, connectedSeats]);
+
+  return (
+    <div className="bg-white p-4 rounded shadow mb-6">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-lg font-semibold">단체 구매 플래너</h2>
+        <ExportButtons
+          filename="단체_구매_조합"
+          rows={options.map((option, index) => ({
+            ...option,
+            rank: index + 1,
+            rows: formatRows(option.rows),
+            listings: option.items.length,
+            perSeatPrice: Math.round(option.perSeatPrice)
+          }))}
+          columns={OPTION_COLUMNS}
+        />
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        같은 공연일시·구역에서 연석 매물(연결석여부 Y) 하나로 인원을 채우거나, 빠진 열 없이 이어지는 열의 매물을 모아
+        정확히 인원수만큼 좌석을 채우는 조합을 총액이 싼 순서로 보여줍니다. 필터 바의 조건도 함께 적용됩니다.
+      </p>
+
+      <div className="mb-4 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-1">인원수:</label>
+          <input
+            type="number"
+            min="1"
+            max={MAX_PARTY_SIZE}
+            value={partySize}
+            onChange={(e) => setPartySize(e.target.value)}
+            className="w-full p-2 border rounded"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">공연 날짜:</label>
+          <select value={date} onChange={(e) => setDate(e.target.value)} className="w-full p-2 border rounded">
+            <option value="all">전체</option>
+            {dates.map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">예산 (총액, 원):</label>
+          <input
+            type="number"
+            min="0"
+            value={budget}
+            onChange={(e) => setBudget(e.target.value)}
+            placeholder="제한 없음"
+            className="w-full p-2 border rounded"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">연석 매물 1건의 좌석 수:</label>
+          <input
+            type="number"
+            min="2"
+            value={connectedSeats}
+            onChange={(e) => setConnectedSeats(e.target.value)}
+            className="w-full p-2 border rounded"
+          />
+        </div>
+      </div>
+
+      {!isValidPartySize(Number(partySize)) ? (
+        <p className="text-gray-500">인원수는 1~{MAX_PARTY_SIZE}명 사이의 정수로 입력하세요.</p>
+      ) : options.length === 0 ? (
+        <p className="text-gray-500">조건에 맞는 조합이 없습니다. 인원수를 줄이거나 예산·필터를 넓혀 보세요.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-2 px-4 text-right">순위</th>
+                <th className="py-2 px-4 text-left">공연일시</th>
+                <th className="py-2 px-4 text-left">구역</th>
+                <th className="py-2 px-4 text-left">층 / 등급</th>
+                <th className="py-2 px-4 text-left">열</th>
+                <th className="py-2 px-4 text-left">구성</th>
+                <th className="py-2 px-4 text-right">총액</th>
+                <th className="py-2 px-4 text-right">1인당</th>
+                <th className="py-2 px-4"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {options.map((option, index) => (
+                <React.Fragment key={index}>
+                  <tr className="border-b hover:bg-gray-50">
+                    <td className="py-2 px-4 text-right">{index + 1}</td>
+                    <td className="py-2 px-4">{option.performance}</td>
+                    <td className="py-2 px-4">{option.zone}</td>
+                    <td className="py-2 px-4">{option.floor} / {option.grade}</td>
+                    <td className="py-2 px-4">{formatRows(option.rows)}</td>
+                    <td className="py-2 px-4">{option.type} ({option.items.length}건)</td>
+                    <td className="py-2 px-4 text-right font-medium">{formatPrice(option.totalPrice)}</td>
+                    <td className="py-2 px-4 text-right">{formatPrice(Math.round(option.perSeatPrice))}</td>
+                    <td className="py-2 px-4 text-right">
+                      <button
+                        type="button"
+                        onClick={() => setExpanded(expanded === index ? null : index)}
+                        className="text-sm text-blue-600 hover:underline"
+                      >
+                        {expanded === index ? '접기' : '매물 보기'}
+                      </button>
+                    </td>
+                  </tr>
+                  {expanded === index && option.items.map((item, itemIndex) => (
+                    <tr key={`${index}-${itemIndex}`} className="border-b bg-gray-50 text-sm">
+                      <td className="py-1 px-4"></td>
+                      <td className="py-1 px-4" colSpan={3}>{item.특이사항 || '-'}</td>
+                      <td className="py-1 px-4">{item.열}</td>
+                      <td className="py-1 px-4">{item.연결석여부 === 'Y' ? '연석' : '단석'}</td>
+                      <td className="py-1 px-4 text-right">{formatPrice(item.가격)}</td>
+                      <td className="py-1 px-4" colSpan={2}>{item.등록일시}</td>
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GroupPlannerView;
@@ -0,0 +1,150 @@
+import React, { useMemo } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import ExportButtons from './ExportButtons';
+import { formatPrice } from '../utils/format';
+import { summarizeListingAge } from '../analytics';
+
+const GROUP_COLUMNS = [
+  { key: 'count', label: '매물 수' },
+  { key: 'medianPrice', label: '중간값 가격' },
+  { key: 'medianRatio', label: '층·등급 중앙값 대비' },
+  { key: 'medianAge', label: '경과일 중앙값' }
+];
+
+const formatDays = (days) => (days === null || days === undefined ? '-' : `${days.toFixed(1)}일`);
+const formatRatio = (ratio) => (ratio === null || ratio === undefined ? '-' : `${ratio >= 1 ? '+' : ''}${((ratio - 1) * 100).toFixed(1)}%`);
+
+// 상관계수를 읽는 법 (|r| < 0.1은 관계 없음으로 본다)
+const describeCorrelation = (correlation) => {
+  if (correlation === null) return '비교할 매물이 부족합니다.';
+  if (correlation >= 0.1) return '오래 팔리지 않은 매물일수록 비쌉니다. 판매자가 가격을 내릴 여지가 있습니다.';
+  if (correlation <= -0.1) return '오래된 매물일수록 저렴합니다. 판매자들이 이미 가격을 내리고 있습니다.';
+  return '등록 후 경과일과 가격 사이에 뚜렷한 관계가 없습니다.';
+};
+
+const toExportRow = (row) => ({
+  ...row,
+  medianPrice: row.medianPrice === null ? null : Math.round(row.medianPrice),
+  medianRatio: row.medianRatio === null ? null : Number(row.medianRatio.toFixed(3)),
+  medianAge: row.medianAge === null ? null : Number(row.medianAge.toFixed(1))
+});
+
+const ListingAgeView = ({ data }) => {
+  const summary = useMemo(() => summarizeListingAge(data), [data]);
+
+  if (summary.count === 0) {
+    return (
+      <div className="bg-white p-4 rounded shadow mb-6 text-gray-500">
+        등록일시와 스냅샷 날짜가 있는 매물이 없습니다.
+      </div>
+    );
+  }
+
+  const chartData = summary.buckets.map(bucket => ({
+    bucket: bucket.bucket,
+    count: bucket.count,
+    premium: Number(((bucket.medianRatio - 1) * 100).toFixed(1))
+  }));
+
+  return (
+    <div className="bg-white p-4 rounded shadow mb-6">
+      <h2 className="text-lg font-semibold mb-1">매물 경과일 분석</h2>
+      <p className="text-xs text-gray-500 mb-4">
+        경과일은 등록일시부터 스냅샷 수집일까지, 남은 일수는 스냅샷부터 공연일시까지입니다 (한국 시간 기준).
+        가격은 좌석 차이를 빼기 위해 같은 층·등급 중앙값 대비 비율로 비교합니다.
+      </p>
+
+      <div className="mb-6 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-gray-50 p-4 rounded">
+          <h3 className="text-sm font-medium text-gray-500">경과일 중앙값</h3>
+          <p className="text-xl font-bold">{formatDays(summary.medianAge)}</p>
+        </div>
+        <div className="bg-gray-50 p-4 rounded">
+          <h3 className="text-sm font-medium text-gray-500">공연까지 남은 일수</h3>
+          <p className="text-xl font-bold">
+            {summary.performances.map(performance => `${performance.date} ${formatDays(performance.daysToShow)}`).join(' / ') || '-'}
+          </p>
+        </div>
+        <div className="bg-gray-50 p-4 rounded">
+          <h3 className="text-sm font-medium text-gray-500">경과일-가격 순위 상관계수</h3>
+          <p className="text-xl font-bold">{summary.correlation === null ? '-' : summary.correlation.toFixed(2)}</p>
+          <p className="text-xs text-gray-500">{describeCorrelation(summary.correlation)}</p>
+        </div>
+      </div>
+
+      <div className="h-80 mb-6">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="bucket" />
+            <YAxis yAxisId="count" allowDecimals={false} />
+            <YAxis yAxisId="premium" orientation="right" tickFormatter={(value) => `${value}%`} />
+            <Tooltip formatter={(value, name) => (name === '매물 수' ? `${value}장` : `${value}%`)} />
+            <Legend />
+            <Bar yAxisId="count" dataKey="count" name="매물 수" fill="#8884d8" />
+            <Line yAxisId="premium" dataKey="premium" name="층·등급 중앙값 대비" stroke="#ff7f50" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-md font-semibold">경과일 구간별 가격</h3>
+        <ExportButtons
+          filename="매물_경과일별_가격"
+          rows={summary.buckets.map(toExportRow)}
+          columns={[{ key: 'bucket', label: '경과일' }, ...GROUP_COLUMNS]}
+        />
+      </div>
+      <div className="overflow-x-auto mb-6">
+        <table className="min-w-full bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-left">경과일</th>
+              <th className="py-2 px-4 text-right">매물 수</th>
+              <th className="py-2 px-4 text-right">중간값 가격</th>
+              <th className="py-2 px-4 text-right">층·등급 중앙값 대비</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.buckets.map(bucket => (
+              <tr key={bucket.bucket} className="border-b hover:bg-gray-50">
+                <td className="py-2 px-4">{bucket.bucket}</td>
+                <td className="py-2 px-4 text-right">{bucket.count}장</td>
+                <td className="py-2 px-4 text-right">{formatPrice(Math.round(bucket.medianPrice))}</td>
+                <td className="py-2 px-4 text-right">{formatRatio(bucket.medianRatio)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h3 className="text-md font-semibold mb-2">공연일별</h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-left">공연일</th>
+              <th className="py-2 px-4 text-right">공연까지</th>
+              <th className="py-2 px-4 text-right">매물 수</th>
+              <th className="py-2 px-4 text-right">중간값 가격</th>
+              <th className="py-2 px-4 text-right">경과일 중앙값</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.performances.map(performance => (
+              <tr key={performance.date} className="border-b hover:bg-gray-50">
+                <td className="py-2 px-4">{performance.date}</td>
+                <td className="py-2 px-4 text-right">{formatDays(performance.daysToShow)}</td>
+                <td className="py-2 px-4 text-right">{performance.count}장</td>
+                <td className="py-2 px-4 text-right">{formatPrice(Math.round(performance.medianPrice))}</td>
+                <td className="py-2 px-4 text-right">{formatDays(performance.medianAge)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ListingAgeView;
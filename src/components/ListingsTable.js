@@ -0,0 +1,204 @@
+import React, { useState, useMemo } from 'react';
+import _ from 'lodash';
+import ExportButtons from './ExportButtons';
+import { formatPercent, formatPrice } from '../utils/format';
+import { LISTING_COLUMNS } from '../utils/exportData';
+
+const COLUMNS = [
+  { key: '공연일시', label: '공연일시' },
+  { key: '구역', label: '구역' },
+  { key: '열', label: '열', numeric: true },
+  { key: '층', label: '층' },
+  { key: '등급', label: '등급' },
+  { key: '가격', label: '가격', numeric: true },
+  { key: '웃돈비율', label: '정가 대비', numeric: true },
+  { key: '등록일시', label: '등록일시' },
+  { key: '상태', label: '상태' },
+  { key: '연결석여부', label: '연결석' },
+  { key: '특이사항', label: '특이사항' },
+  { key: '위험도', label: '위험도' },
+  { key: '품질', label: '품질' }
+];
+
+const PAGE_SIZES = [50, 100, 200];
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+const inRange = (value, min, max) => {
+  if (min === '' && max === '') return true;
+  if (value === null) return false;
+  return (min === '' || value >= Number(min)) && (max === '' || value <= Number(max));
+};
+
+const renderCell = (key, item) => {
+  if (key === '가격' && item.가격) return formatPrice(item.가격);
+  if (key === '웃돈비율') return formatPercent(item.웃돈비율);
+  if (key === '품질') return (item.품질 || []).join(', ');
+  return item[key];
+};
+
+const ListingsTable = ({ data }) => {
+  const [sortKey, setSortKey] = useState('가격');
+  const [sortDirection, setSortDirection] = useState('asc');
+  const [search, setSearch] = useState('');
+  const [priceRange, setPriceRange] = useState({ min: '', max: '' });
+  const [rowRange, setRowRange] = useState({ min: '', max: '' });
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const [page, setPage] = useState(0);
+
+  const rows = useMemo(() => {
+    const keyword = search.trim().toLowerCase();
+    const column = COLUMNS.find(item => item.key === sortKey);
+
+    const matched = data.filter(item => (
+      (!keyword ||
+        String(item.구역 ?? '').toLowerCase().includes(keyword) ||
+        String(item.특이사항 ?? '').toLowerCase().includes(keyword)) &&
+      inRange(toNumber(item.가격), priceRange.min, priceRange.max) &&
+      inRange(toNumber(item.열), rowRange.min, rowRange.max)
+    ));
+
+    // 값이 없는 행은 정렬 방향과 관계없이 마지막에 둔다
+    const [withValue, withoutValue] = _.partition(matched, item => item[sortKey] !== null && item[sortKey] !== undefined && item[sortKey] !== '');
+    const getSortValue = column.numeric ? (item => toNumber(item[sortKey]) ?? 0) : (item => String(item[sortKey]));
+    return [..._.orderBy(withValue, [getSortValue], [sortDirection]), ...withoutValue];
+  }, [data, search, priceRange, rowRange, sortKey, sortDirection]);
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = rows.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+  const handleSort = (key) => {
+    if (key === sortKey) {
+      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortKey(key);
+      setSortDirection('asc');
+    }
+  };
+
+  // 조건이 바뀌면 첫 페이지부터 보여준다
+  const updateFilter = (setter) => (value) => {
+    setter(value);
+    setPage(0);
+  };
+
+  const renderRangeInputs = (label, range, onChange) => (
+    <div>
+      <label className="block text-sm font-medium mb-1">{label}:</label>
+      <div className="flex items-center">
+        <input
+          type="number"
+          value={range.min}
+          onChange={(e) => onChange({ ...range, min: e.target.value })}
+          placeholder="최소"
+          className="w-full p-2 border rounded"
+        />
+        <span className="mx-2">~</span>
+        <input
+          type="number"
+          value={range.max}
+          onChange={(e) => onChange({ ...range, max: e.target.value })}
+          placeholder="최대"
+          className="w-full p-2 border rounded"
+        />
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white p-4 rounded shadow mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">전체 매물 목록</h2>
+        <ExportButtons filename="매물_목록" rows={rows} columns={LISTING_COLUMNS} />
+      </div>
+
+      <div className="mb-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-1">검색 (구역/특이사항):</label>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => updateFilter(setSearch)(e.target.value)}
+            placeholder="예: E61, 여성명의"
+            className="w-full p-2 border rounded"
+          />
+        </div>
+        {renderRangeInputs('가격 범위', priceRange, updateFilter(setPriceRange))}
+        {renderRangeInputs('열 범위', rowRange, updateFilter(setRowRange))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              {COLUMNS.map(column => (
+                <th
+                  key={column.key}
+                  onClick={() => handleSort(column.key)}
+                  className={`py-2 px-4 cursor-pointer select-none hover:bg-gray-200 ${column.numeric ? 'text-right' : 'text-left'}`}
+                >
+                  {column.label}
+                  {sortKey === column.key && (sortDirection === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map((item, index) => (
+              <tr key={currentPage * pageSize + index} className="border-b hover:bg-gray-50">
+                {COLUMNS.map(column => (
+                  <td key={column.key} className={`py-2 px-4 ${column.numeric ? 'text-right' : ''}`}>
+                    {renderCell(column.key, item)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {pageRows.length === 0 && (
+              <tr>
+                <td colSpan={COLUMNS.length} className="py-2 px-4 text-center text-gray-500">조건에 맞는 매물이 없습니다.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-center justify-between gap-2 text-sm">
+        <div>
+          {rows.length}장 중 {rows.length === 0 ? 0 : currentPage * pageSize + 1}-{Math.min(rows.length, (currentPage + 1) * pageSize)}
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={pageSize}
+            onChange={(e) => updateFilter(setPageSize)(Number(e.target.value))}
+            className="p-1 border rounded"
+          >
+            {PAGE_SIZES.map(size => (
+              <option key={size} value={size}>{size}개씩</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+            className="px-3 py-1 border rounded disabled:opacity-50"
+          >
+            이전
+          </button>
+          <span>{currentPage + 1} / {pageCount}</span>
+          <button
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage >= pageCount - 1}
+            className="px-3 py-1 border rounded disabled:opacity-50"
+          >
+            다음
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ListingsTable;
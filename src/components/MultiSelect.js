@@ -0,0 +1,66 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// 체크박스 드롭다운. 아무것도 선택하지 않으면 전체를 뜻한다 (제외 목록처럼 뜻이 다르면 emptyLabel로 바꾼다)
+const MultiSelect = ({ label, options, selected, onChange, emptyLabel = '전체' }) => {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const toggleOption = (option) => {
+    onChange(selected.includes(option)
+      ? selected.filter(value => value !== option)
+      : [...selected, option]);
+  };
+
+  const summary = selected.length === 0
+    ? emptyLabel
+    : selected.length === 1 ? selected[0] : `${selected[0]} 외 ${selected.length - 1}개`;
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <label className="block text-sm font-medium mb-1">{label}:</label>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full p-2 border rounded text-left bg-white truncate"
+      >
+        {summary}
+      </button>
+      {open && (
+        <div className="absolute z-10 mt-1 w-full max-h-64 overflow-y-auto bg-white border rounded shadow">
+          <button
+            type="button"
+            onClick={() => onChange([])}
+            className="w-full px-3 py-1 text-left text-sm text-gray-500 hover:bg-gray-100"
+          >
+            선택 해제
+          </button>
+          {options.map(option => (
+            <label key={option} className="flex items-center px-3 py-1 text-sm hover:bg-gray-100">
+              <input
+                type="checkbox"
+                checked={selected.includes(option)}
+                onChange={() => toggleOption(option)}
+                className="mr-2"
+              />
+              {option}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MultiSelect;
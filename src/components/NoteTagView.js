@@ -0,0 +1,130 @@
+import React, { useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import _ from 'lodash';
+import ExportButtons from './ExportButtons';
+import { formatPercent, formatPrice } from '../utils/format';
+import { compareNoteTags } from '../analytics';
+
+const RISK_CLASSES = {
+  낮음: 'bg-green-100 text-green-800',
+  보통: 'bg-yellow-100 text-yellow-800',
+  높음: 'bg-red-100 text-red-800'
+};
+
+const TAG_COLUMNS = [
+  { key: 'tag', label: '태그' },
+  { key: 'risk', label: '위험도' },
+  { key: 'count', label: '매물 수' },
+  { key: 'medianPrice', label: '중간값 가격' },
+  { key: 'medianRatio', label: '층·등급 중앙값 대비' }
+];
+
+const RiskBadge = ({ risk }) => (risk ? (
+  <span className={`px-2 py-0.5 rounded text-xs ${RISK_CLASSES[risk] || 'bg-gray-100'}`}>{risk}</span>
+) : '-');
+
+const NoteTagView = ({ data, taxonomy }) => {
+  const tagRows = useMemo(() => compareNoteTags(data, taxonomy), [data, taxonomy]);
+
+  // 원문 특이사항이 어떤 태그로 분류됐는지 보여준다
+  const noteRows = useMemo(() => _.sortBy(
+    Object.values(_.groupBy(data, item => item.특이사항 ?? '')).map(items => ({
+      note: items[0].특이사항 || '(없음)',
+      tags: items[0].태그 || [],
+      risk: items[0].위험도,
+      count: items.length
+    })),
+    row => -row.count
+  ), [data]);
+
+  const chartData = tagRows.map(row => ({ tag: row.tag, premium: Number(((row.medianRatio - 1) * 100).toFixed(1)) }));
+
+  return (
+    <div className="bg-white p-4 rounded shadow mb-6">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-lg font-semibold">판매 조건(특이사항)별 가격</h2>
+        <ExportButtons
+          filename="판매_조건별_가격"
+          rows={tagRows.map(row => ({
+            ...row,
+            medianPrice: Math.round(row.medianPrice),
+            medianRatio: Number(row.medianRatio.toFixed(3))
+          }))}
+          columns={TAG_COLUMNS}
+        />
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        특이사항 문구를 public/note-tags.json의 규칙으로 분류합니다. 한 매물에 태그가 여러 개 붙을 수 있으며,
+        가격은 같은 층·등급 중앙값 대비 비율로 비교합니다.
+      </p>
+
+      <div className="h-64 mb-6">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="tag" />
+            <YAxis tickFormatter={(value) => `${value}%`} />
+            <Tooltip formatter={(value) => `${value > 0 ? '+' : ''}${value}%`} />
+            <ReferenceLine y={0} stroke="#6b7280" />
+            <Bar dataKey="premium" name="층·등급 중앙값 대비" fill="#8884d8" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto mb-6">
+        <table className="min-w-full bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-left">태그</th>
+              <th className="py-2 px-4 text-left">위험도</th>
+              <th className="py-2 px-4 text-left">설명</th>
+              <th className="py-2 px-4 text-right">매물 수</th>
+              <th className="py-2 px-4 text-right">중간값 가격</th>
+              <th className="py-2 px-4 text-right">층·등급 중앙값 대비</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tagRows.map(row => (
+              <tr key={row.tag} className="border-b hover:bg-gray-50">
+                <td className="py-2 px-4">{row.tag}</td>
+                <td className="py-2 px-4"><RiskBadge risk={row.risk} /></td>
+                <td className="py-2 px-4 text-sm text-gray-600">{row.description}</td>
+                <td className="py-2 px-4 text-right">{row.count}장</td>
+                <td className="py-2 px-4 text-right">{formatPrice(Math.round(row.medianPrice))}</td>
+                <td className={`py-2 px-4 text-right ${row.medianRatio < 1 ? 'text-blue-600' : 'text-red-600'}`}>
+                  {formatPercent(row.medianRatio - 1)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h3 className="text-md font-semibold mb-2">특이사항 분류 결과</h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-left">특이사항</th>
+              <th className="py-2 px-4 text-left">태그</th>
+              <th className="py-2 px-4 text-left">위험도</th>
+              <th className="py-2 px-4 text-right">매물 수</th>
+            </tr>
+          </thead>
+          <tbody>
+            {noteRows.map(row => (
+              <tr key={row.note} className="border-b hover:bg-gray-50">
+                <td className="py-2 px-4">{row.note}</td>
+                <td className="py-2 px-4">{row.tags.length > 0 ? row.tags.join(', ') : '-'}</td>
+                <td className="py-2 px-4"><RiskBadge risk={row.risk} /></td>
+                <td className="py-2 px-4 text-right">{row.count}장</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default NoteTagView;
@@ -0,0 +1,157 @@
+import React, { useMemo } from 'react';
+import ExportButtons from './ExportButtons';
+import { formatPercent, formatPrice } from '../utils/format';
+import { getHeatColorClass } from '../utils/color';
+import {
+  PIVOT_DIMENSIONS,
+  PIVOT_METRICS,
+  buildPivot,
+  getPivotDimension,
+  getPivotMetric
+} from '../analytics';
+
+const formatValue = (value, format) => {
+  if (value === null || value === undefined) return '-';
+  if (format === 'count') return `${value}장`;
+  if (format === 'percent') return formatPercent(value);
+  return formatPrice(Math.round(value));
+};
+
+// 내보낼 때는 원 단위로 반올림, 비율은 소수 셋째 자리까지
+const toExportValue = (value, format) => {
+  if (value === null || value === undefined) return null;
+  if (format === 'percent') return Number(value.toFixed(3));
+  return Math.round(value);
+};
+
+// 행·열 차원과 지표를 골라 만드는 교차표 (칸 색은 칸 값의 범위 안에서의 위치)
+// pivot({ rows, columns, metric })은 공유 링크에 담기도록 SeatPriceVisualization이 가진다
+const PivotTableView = ({ data, pivot, onChange }) => {
+  const metric = getPivotMetric(pivot.metric);
+  const rowDimension = getPivotDimension(pivot.rows);
+  const columnDimension = getPivotDimension(pivot.columns);
+
+  const table = useMemo(() => buildPivot(data, pivot), [data, pivot]);
+  // 가격 지표일 때 칸마다 매물 수를 함께 보여준다
+  const counts = useMemo(
+    () => (metric.format === 'count' ? null : buildPivot(data, { ...pivot, metric: 'count' })),
+    [data, pivot, metric.format]
+  );
+
+  const cellValues = columnDimension
+    ? table.rowKeys.flatMap(rowKey => Object.values(table.cells[rowKey]))
+    : Object.values(table.rowTotals);
+  const numbers = cellValues.filter(value => value !== null);
+  const minValue = Math.min(...numbers);
+  const maxValue = Math.max(...numbers);
+
+  const updatePivot = (key, value) => onChange({ ...pivot, [key]: value });
+
+  const exportColumns = [
+    { key: 'key', label: rowDimension.label },
+    ...table.columnKeys.map(columnKey => ({ key: `column:${columnKey}`, label: columnKey })),
+    { key: 'total', label: '합계' }
+  ];
+  const exportRows = [
+    ...table.rowKeys.map(rowKey => ({
+      key: rowKey,
+      ...Object.fromEntries(table.columnKeys.map(columnKey => (
+        [`column:${columnKey}`, toExportValue(table.cells[rowKey][columnKey], metric.format)]
+      ))),
+      total: toExportValue(table.rowTotals[rowKey], metric.format)
+    })),
+    {
+      key: '합계',
+      ...Object.fromEntries(table.columnKeys.map(columnKey => (
+        [`column:${columnKey}`, toExportValue(table.columnTotals[columnKey], metric.format)]
+      ))),
+      total: toExportValue(table.total, metric.format)
+    }
+  ];
+
+  const renderCell = (value, count, colored) => (
+    <div className={colored && value !== null && value !== undefined ? `${getHeatColorClass(value, minValue, maxValue)} p-1 rounded` : 'p-1'}>
+      {formatValue(value, metric.format)}
+      {count !== undefined && count !== null && <div className="text-xs">({count}장)</div>}
+    </div>
+  );
+
+  const renderSelect = (label, key, options, allowEmpty = false) => (
+    <div>
+      <label className="block text-sm font-medium mb-1">{label}:</label>
+      <select
+        value={pivot[key] || ''}
+        onChange={(e) => updatePivot(key, e.target.value || null)}
+        className="w-full p-2 border rounded"
+      >
+        {allowEmpty && <option value="">없음 (합계만)</option>}
+        {options.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-md font-semibold">
+          {rowDimension.label}{columnDimension ? `×${columnDimension.label}` : ''}별 {metric.label}
+        </h3>
+        <ExportButtons
+          filename={`${rowDimension.label}${columnDimension ? `_${columnDimension.label}` : ''}별_${metric.label}`}
+          rows={exportRows}
+          columns={exportColumns}
+        />
+      </div>
+
+      <div className="mb-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+        {renderSelect('행', 'rows', PIVOT_DIMENSIONS)}
+        {renderSelect('열', 'columns', PIVOT_DIMENSIONS, true)}
+        {renderSelect('지표', 'metric', PIVOT_METRICS)}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-left">{rowDimension.label}</th>
+              {table.columnKeys.map(columnKey => (
+                <th key={columnKey} className="py-2 px-4 text-right">{columnKey}</th>
+              ))}
+              <th className="py-2 px-4 text-right">합계</th>
+            </tr>
+          </thead>
+          <tbody>
+            {table.rowKeys.map(rowKey => (
+              <tr key={rowKey} className="border-b hover:bg-gray-50">
+                <td className="py-2 px-4">{rowKey}</td>
+                {table.columnKeys.map(columnKey => (
+                  <td key={columnKey} className="py-2 px-4 text-right">
+                    {columnKey in table.cells[rowKey]
+                      ? renderCell(table.cells[rowKey][columnKey], counts && counts.cells[rowKey][columnKey], true)
+                      : '-'}
+                  </td>
+                ))}
+                <td className="py-2 px-4 text-right font-medium">
+                  {renderCell(table.rowTotals[rowKey], counts && counts.rowTotals[rowKey], !columnDimension)}
+                </td>
+              </tr>
+            ))}
+            <tr className="bg-gray-50 font-medium">
+              <td className="py-2 px-4">합계</td>
+              {table.columnKeys.map(columnKey => (
+                <td key={columnKey} className="py-2 px-4 text-right">
+                  {renderCell(table.columnTotals[columnKey], counts && counts.columnTotals[columnKey], false)}
+                </td>
+              ))}
+              <td className="py-2 px-4 text-right">
+                {renderCell(table.total, counts && counts.total, false)}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PivotTableView;
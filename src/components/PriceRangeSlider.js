@@ -0,0 +1,62 @@
+import React from 'react';
+import { formatPrice } from '../utils/format';
+
+const SLIDER_STEPS = 1000;
+
+const PRICE_UNIT = 1000;
+
+// 수백만 원대 이상치가 있어도 일반 가격대를 세밀하게 고를 수 있도록 로그 눈금을 쓴다
+const toPosition = (price, min, max) => {
+  if (max <= min || min <= 0) return 0;
+  return Math.round((Math.log(price / min) / Math.log(max / min)) * SLIDER_STEPS);
+};
+
+const toPrice = (position, min, max) => {
+  if (max <= min || min <= 0) return min;
+  const price = min * Math.pow(max / min, position / SLIDER_STEPS);
+  return Math.min(max, Math.max(min, Math.round(price / PRICE_UNIT) * PRICE_UNIT));
+};
+
+// 최저/최고 가격 슬라이더. 범위 끝에 놓이면 제한 없음(null)으로 본다
+const PriceRangeSlider = ({ min, max, valueMin, valueMax, onChange }) => {
+  const lower = valueMin ?? min;
+  const upper = valueMax ?? max;
+
+  const handleLowerChange = (position) => {
+    const next = Math.min(toPrice(Number(position), min, max), upper);
+    onChange(next <= min ? null : next, valueMax);
+  };
+
+  const handleUpperChange = (position) => {
+    const next = Math.max(toPrice(Number(position), min, max), lower);
+    onChange(valueMin, next >= max ? null : next);
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-1">
+        가격: {formatPrice(lower)} ~ {formatPrice(upper)}
+      </label>
+      <input
+        type="range"
+        min={0}
+        max={SLIDER_STEPS}
+        value={toPosition(lower, min, max)}
+        onChange={(e) => handleLowerChange(e.target.value)}
+        aria-label="최저 가격"
+        className="w-full"
+      />
+      <input
+        type="range"
+        min={0}
+        max={SLIDER_STEPS}
+        value={toPosition(upper, min, max)}
+        onChange={(e) => handleUpperChange(e.target.value)}
+        aria-label="최고 가격"
+        className="w-full"
+      />
+    </div>
+  );
+};
+
+export default PriceRangeSlider;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import _ from 'lodash';
+import ExportButtons from './ExportButtons';
+import { formatPrice, formatSnapshotDate } from '../utils/format';
+import { SERIES_COLORS } from '../utils/color';
+import { getValidPrices, summarizePrices } from '../analytics';
+
+const DIMENSIONS = [
+  { key: '구역', label: '구역' },
+  { key: '층', label: '층' },
+  { key: '등급', label: '등급' }
+];
+
+// key는 summarizePrices 결과의 필드
+const METRICS = [
+  { key: 'mean', label: '평균 가격' },
+  { key: 'min', label: '최저 가격' },
+  { key: 'median', label: '중간값 가격' }
+];
+
+// 구역은 종류가 많아 매물 수 기준 상위 구역만 표시
+const MAX_SERIES = 10;
+
+const getMetricValue = (items, metric) => summarizePrices(getValidPrices(items))[metric];
+
+const PriceTrendView = ({ data, snapshots }) => {
+  const [dimension, setDimension] = useState('층');
+  const [metric, setMetric] = useState('mean');
+
+  const series = _.chain(data)
+    .filter(item => item[dimension])
+    .countBy(dimension)
+    .toPairs()
+    .sortBy(([, count]) => -count)
+    .take(MAX_SERIES)
+    .map(([key]) => key)
+    .value();
+
+  // 스냅샷별로 한 행, 그룹별로 한 열
+  const chartData = snapshots.map(snapshot => {
+    const snapshotItems = data.filter(item => item.스냅샷 === snapshot.date);
+    const grouped = _.groupBy(snapshotItems, dimension);
+    const point = { snapshot: formatSnapshotDate(snapshot.date) };
+    series.forEach(key => {
+      point[key] = grouped[key] ? getMetricValue(grouped[key], metric) : null;
+    });
+    return point;
+  });
+
+  const firstPoint = chartData[0] || {};
+  const lastPoint = chartData[chartData.length - 1] || {};
+  const metricLabel = METRICS.find(item => item.key === metric).label;
+
+  return (
+    <div className="bg-white p-4 rounded shadow mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">스냅샷별 가격 추이</h2>
+        <ExportButtons
+          filename={`${dimension}별_${metricLabel.replace(/ /g, '_')}_추이`}
+          rows={chartData.map(point => _.mapValues(point, value => (typeof value === 'number' ? Math.round(value) : value)))}
+          columns={[{ key: 'snapshot', label: '스냅샷' }, ...series.map(key => ({ key, label: key }))]}
+        />
+      </div>
+
+      <div className="mb-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-1">기준:</label>
+          <select
+            value={dimension}
+            onChange={(e) => setDimension(e.target.value)}
+            className="w-full p-2 border rounded"
+          >
+            {DIMENSIONS.map(item => (
+              <option key={item.key} value={item.key}>{item.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium mb-1">지표:</label>
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="w-full p-2 border rounded"
+          >
+            {METRICS.map(item => (
+              <option key={item.key} value={item.key}>{item.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {snapshots.length < 2 && (
+        <p className="mb-4 text-sm text-gray-500">스냅샷이 하나뿐이라 추이를 비교할 수 없습니다. snapshots.json에 날짜별 CSV를 추가하세요.</p>
+      )}
+
+      <div className="h-96">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData} margin={{ top: 5, right: 30, left: 80, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="snapshot" />
+            <YAxis tickFormatter={(value) => formatPrice(value)} domain={['auto', 'auto']} />
+            <Tooltip formatter={(value) => formatPrice(Math.round(value))} />
+            <Legend />
+            {series.map((key, index) => (
+              <Line
+                key={key}
+                type="monotone"
+                dataKey={key}
+                name={key}
+                stroke={SERIES_COLORS[index % SERIES_COLORS.length]}
+                connectNulls
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="mt-6 overflow-x-auto">
+        <h3 className="text-md font-semibold mb-2">{dimension}별 {metricLabel} 변화</h3>
+        <table className="min-w-full bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-left">{dimension}</th>
+              <th className="py-2 px-4 text-right">{firstPoint.snapshot}</th>
+              <th className="py-2 px-4 text-right">{lastPoint.snapshot}</th>
+              <th className="py-2 px-4 text-right">변화율</th>
+            </tr>
+          </thead>
+          <tbody>
+            {series.map(key => {
+              const first = firstPoint[key];
+              const last = lastPoint[key];
+              const change = first && last ? (last - first) / first : null;
+
+              return (
+                <tr key={key} className="border-b hover:bg-gray-50">
+                  <td className="py-2 px-4">{key}</td>
+                  <td className="py-2 px-4 text-right">{first ? formatPrice(Math.round(first)) : '-'}</td>
+                  <td className="py-2 px-4 text-right">{last ? formatPrice(Math.round(last)) : '-'}</td>
+                  <td className={`py-2 px-4 text-right ${change > 0 ? 'text-red-600' : change < 0 ? 'text-blue-600' : ''}`}>
+                    {change === null ? '-' : `${change > 0 ? '+' : ''}${(change * 100).toFixed(1)}%`}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PriceTrendView;
@@ -0,0 +1,156 @@
+import React, { useRef, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Legend } from 'recharts';
+import { formatPercent, formatPrice, formatSnapshotDate } from '../utils/format';
+import { downloadChartPng } from '../utils/exportData';
+
+// 인쇄(PDF 저장)용 리포트. 화면 대시보드 대신 이 화면만 그리며, 도구 막대는 인쇄되지 않는다 (print:hidden)
+// 인쇄와 PNG 저장 결과가 화면 크기에 따라 달라지지 않도록 차트는 고정 크기로, 애니메이션 없이 그린다
+const CHART_WIDTH = 720;
+const ZONE_CHART_LIMIT = 15;
+
+const ZONE_BARS = [
+  { dataKey: 'avgPrice', name: '평균 가격', color: '#8884d8' },
+  { dataKey: 'maxPrice', name: '최고 가격', color: '#82ca9d' },
+  { dataKey: 'minPrice', name: '최저 가격', color: '#ffc658' }
+];
+const AVG_BARS = ZONE_BARS.slice(0, 1);
+
+const REPORT_CHARTS = [
+  { key: 'zone', label: `구역별 평균 가격 (상위 ${ZONE_CHART_LIMIT}개)`, filename: '구역별_평균_가격', bars: ZONE_BARS, axisWidth: 50 },
+  { key: 'floor', label: '층별 평균 가격', filename: '층별_평균_가격', bars: AVG_BARS, axisWidth: 120 },
+  { key: 'grade', label: '등급별 평균 가격', filename: '등급별_평균_가격', bars: AVG_BARS, axisWidth: 80 }
+];
+
+const ReportChart = ({ chart, data, filename }) => {
+  const containerRef = useRef(null);
+  const [error, setError] = useState(null);
+  const height = Math.max(160, data.length * (chart.bars.length * 10 + 16) + 60);
+
+  const handlePng = async () => {
+    try {
+      setError(null);
+      await downloadChartPng(containerRef.current.querySelector('svg'), filename, {
+        title: chart.label,
+        legend: chart.bars.map(bar => ({ name: bar.name, color: bar.color }))
+      });
+    } catch (error) {
+      setError(`PNG 저장 오류: ${error.message}`);
+    }
+  };
+
+  return (
+    <section className="mb-6 break-inside-avoid">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold">{chart.label}</h2>
+        <div className="print:hidden text-sm">
+          {error && <span className="mr-2 text-red-600">{error}</span>}
+          <button type="button" onClick={handlePng} className="px-2 py-1 border rounded hover:bg-gray-100">PNG</button>
+        </div>
+      </div>
+      <div ref={containerRef}>
+        <BarChart width={CHART_WIDTH} height={height} data={data} layout="vertical" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis type="number" tickFormatter={(value) => formatPrice(value)} />
+          <YAxis type="category" dataKey={chart.key} width={chart.axisWidth} />
+          <Legend />
+          {chart.bars.map(bar => (
+            <Bar key={bar.dataKey} dataKey={bar.dataKey} name={bar.name} fill={bar.color} isAnimationActive={false} />
+          ))}
+        </BarChart>
+      </div>
+    </section>
+  );
+};
+
+// notes: 필터 외에 집계에 영향을 준 선택 (이상치·품질 문제 매물 제외 등)
+const PrintReportView = ({ title, snapshot, filters, notes, priceStats, zones, floors, grades, hasFaceValues, onClose }) => {
+  const [selectedCharts, setSelectedCharts] = useState(REPORT_CHARTS.map(chart => chart.key));
+  const chartData = { zone: zones.slice(0, ZONE_CHART_LIMIT), floor: floors, grade: grades };
+  const conditions = [...filters, ...notes];
+
+  const toggleChart = (key) => {
+    setSelectedCharts(selectedCharts.includes(key) ? selectedCharts.filter(item => item !== key) : [...selectedCharts, key]);
+  };
+
+  return (
+    <div className="p-4 max-w-4xl mx-auto bg-white print:p-0 print:max-w-none">
+      <div className="mb-6 p-3 bg-gray-100 rounded flex flex-wrap items-center gap-4 text-sm print:hidden">
+        <span className="font-medium">넣을 차트:</span>
+        {REPORT_CHARTS.map(chart => (
+          <label key={chart.key} className="flex items-center">
+            <input
+              type="checkbox"
+              checked={selectedCharts.includes(chart.key)}
+              onChange={() => toggleChart(chart.key)}
+              className="mr-1"
+            />
+            {chart.label}
+          </label>
+        ))}
+        <div className="ml-auto flex gap-2">
+          <button onClick={() => window.print()} className="px-3 py-2 rounded bg-blue-600 text-white hover:bg-blue-700">
+            인쇄 / PDF 저장
+          </button>
+          <button onClick={onClose} className="px-3 py-2 border rounded bg-white hover:bg-gray-100">
+            대시보드로 돌아가기
+          </button>
+        </div>
+      </div>
+
+      <header className="mb-6 border-b pb-4">
+        <h1 className="text-2xl font-bold">{title} 좌석 가격 리포트</h1>
+        <p className="text-sm text-gray-600 mt-1">
+          {formatSnapshotDate(snapshot)} 스냅샷 · 작성 {new Date().toLocaleDateString('ko-KR')}
+        </p>
+        <p className="text-sm text-gray-600 mt-1">
+          적용한 조건: {conditions.length > 0 ? conditions.join(' · ') : '없음 (전체 매물)'}
+        </p>
+      </header>
+
+      <div className="mb-6 grid grid-cols-4 gap-4 break-inside-avoid">
+        {[['최저 가격', priceStats.min], ['평균 가격', priceStats.avg], ['중간값 가격', priceStats.median], ['최고 가격', priceStats.max]].map(([label, value]) => (
+          <div key={label} className="p-4 rounded border">
+            <h3 className="text-sm font-medium text-gray-500">{label}</h3>
+            <p className="text-xl font-bold">{formatPrice(Math.round(value))}</p>
+          </div>
+        ))}
+      </div>
+
+      {REPORT_CHARTS.filter(chart => selectedCharts.includes(chart.key)).map(chart => (
+        <ReportChart key={chart.key} chart={chart} data={chartData[chart.key]} filename={`${chart.filename}_${snapshot}`} />
+      ))}
+
+      <section className="mb-6">
+        <h2 className="text-lg font-semibold mb-2">구역별 가격 (전체 {zones.length}개 구역)</h2>
+        <table className="min-w-full bg-white text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-left">구역</th>
+              <th className="py-2 px-4 text-right">평균 가격</th>
+              <th className="py-2 px-4 text-right">최저 가격</th>
+              <th className="py-2 px-4 text-right">최고 가격</th>
+              <th className="py-2 px-4 text-right">티켓 수</th>
+              {hasFaceValues && <th className="py-2 px-4 text-right">평균 웃돈</th>}
+              {hasFaceValues && <th className="py-2 px-4 text-right">정가 대비</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {zones.map(item => (
+              <tr key={item.zone} className="border-b break-inside-avoid">
+                <td className="py-2 px-4">{item.zone}</td>
+                <td className="py-2 px-4 text-right">{formatPrice(Math.round(item.avgPrice))}</td>
+                <td className="py-2 px-4 text-right">{formatPrice(item.minPrice)}</td>
+                <td className="py-2 px-4 text-right">{formatPrice(item.maxPrice)}</td>
+                <td className="py-2 px-4 text-right">{item.count}</td>
+                {hasFaceValues && <td className="py-2 px-4 text-right">{item.avgMarkup === null ? '-' : formatPrice(Math.round(item.avgMarkup))}</td>}
+                {hasFaceValues && <td className="py-2 px-4 text-right">{formatPercent(item.markupRatio)}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+};
+
+export default PrintReportView;
@@ -1,197 +1,588 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import Papa from 'papaparse';
 import _ from 'lodash';
+import PriceTrendView from './PriceTrendView';
+import SnapshotChangesView from './SnapshotChangesView';
+import VenueSeatMap from './VenueSeatMap';
+import DealsView from './DealsView';
+import ListingsTable from './ListingsTable';
+import ListingAgeView from './ListingAgeView';
+import PivotTableView from './PivotTableView';
+import GroupPlannerView from './GroupPlannerView';
+import DataQualityView from './DataQualityView';
+import PrintReportView from './PrintReportView';
+import DistributionView from './DistributionView';
+import NoteTagView from './NoteTagView';
+import ZoneDetailPanel from './ZoneDetailPanel';
+import EventPicker from './EventPicker';
+import EventComparisonView from './EventComparisonView';
+import FilterBar from './FilterBar';
+import CsvUploadPanel from './CsvUploadPanel';
+import WatchRulesPanel from './WatchRulesPanel';
+import AlertsPanel from './AlertsPanel';
+import SnapshotManagerPanel from './SnapshotManagerPanel';
+import ExportButtons from './ExportButtons';
+import { formatCondition, formatPercent, formatPrice, formatSnapshotDate } from '../utils/format';
+import { getPriceColorClass } from '../utils/color';
+import { getDataSource } from '../utils/dataSources';
+import { saveStoredSnapshot } from '../utils/snapshotStore';
+import { loadFaceValues } from '../utils/faceValues';
+import { loadNoteTaxonomy } from '../utils/noteTags';
+import {
+  loadLastAlertSnapshot,
+  loadWatchRules,
+  saveLastAlertSnapshot,
+  saveWatchRules,
+  showBrowserNotification
+} from '../utils/watchRules';
+import {
+  MISSING_KEY,
+  addMarkup,
+  addNoteTags,
+  addQualityFlags,
+  aggregateBy,
+  applyEvent,
+  checkDataQuality,
+  createColumnStore,
+  describeEvent,
+  describeFilters,
+  evaluateWatchRules,
+  findOutliers,
+  getEventOptions,
+  getEventTitle,
+  getFilterOptions,
+  getMarkupDistribution,
+  getPriceRange,
+  getValidPrices,
+  matchesEvent,
+  queryColumnStore,
+  resolveEvent,
+  summarizeMarkup,
+  summarizePrices
+} from '../analytics';
+import { LISTING_COLUMNS } from '../utils/exportData';
+import { parseUrlState, serializeUrlState } from '../utils/urlState';
 
-const formatPrice = (price) => {
-  return new Intl.NumberFormat('ko-KR').format(price) + '원';
-};
+// 보이지 않는 보기의 데이터 (메모이즈한 값이 바뀌지 않도록 같은 배열을 쓴다)
+const EMPTY_ROWS = [];
+
+// 표 내보내기 컬럼
+const MARKUP_EXPORT_COLUMNS = [
+  { key: 'faceValue', label: '정가' },
+  { key: 'avgMarkup', label: '평균 웃돈' },
+  { key: 'markupRatio', label: '정가 대비' }
+];
+const AVG_PRICE_COLUMNS = [
+  { key: 'avgPrice', label: '평균 가격' },
+  { key: 'count', label: '티켓 수' },
+  ...MARKUP_EXPORT_COLUMNS
+];
+const ZONE_EXPORT_COLUMNS = [
+  { key: 'zone', label: '구역' },
+  { key: 'avgPrice', label: '평균 가격' },
+  { key: 'minPrice', label: '최저 가격' },
+  { key: 'maxPrice', label: '최고 가격' },
+  { key: 'count', label: '티켓 수' },
+  ...MARKUP_EXPORT_COLUMNS
+];
+
+// 분석 결과를 차트와 표에서 쓰는 형태로 변환 (정가표가 있으면 웃돈 요약 포함)
+const toPriceRow = (keyName) => (group) => ({
+  [keyName]: group.key,
+  avgPrice: group.mean ?? 0,
+  minPrice: group.min ?? 0,
+  maxPrice: group.max ?? 0,
+  count: group.count,
+  ...summarizeMarkup(group.rows)
+});
+
+const byAvgPriceDesc = (a, b) => b.avgPrice - a.avgPrice;
+
+// 평균 가격과 웃돈은 원 단위로 반올림해서 내보낸다
+const roundAvgPrice = (rows) => rows.map(row => ({
+  ...row,
+  avgPrice: Math.round(row.avgPrice),
+  avgMarkup: row.avgMarkup === null ? null : Math.round(row.avgMarkup),
+  markupRatio: row.markupRatio === null ? null : Number(row.markupRatio.toFixed(3))
+}));
+
+// 평균 웃돈과 정가 대비 비율 칸 (정가표가 있는 공연만 표시)
+const renderMarkupHeaders = () => (
+  <>
+    <th className="py-2 px-4 text-right">평균 웃돈</th>
+    <th className="py-2 px-4 text-right">정가 대비</th>
+  </>
+);
+
+const renderMarkupCells = (item) => (
+  <>
+    <td className="py-2 px-4 text-right">{item.avgMarkup === null ? '-' : formatPrice(Math.round(item.avgMarkup))}</td>
+    <td className="py-2 px-4 text-right">{formatPercent(item.markupRatio)}</td>
+  </>
+);
+
+// 빌드 환경 변수로 고른 데이터 소스 (정적 CSV, 매물 API, 업로드한 파일)
+const dataSource = getDataSource();
+
+// 슬라이더를 움직이는 동안 방문 기록이 쌓이지 않도록 URL 갱신을 늦춘다
+const URL_SYNC_DELAY = 400;
 
 const SeatPriceVisualization = () => {
+  // 공유 링크로 들어온 경우 URL의 보기 모드와 필터를 복원
+  const [initialUrlState] = useState(() => parseUrlState(window.location.search));
   const [data, setData] = useState([]);
+  const [snapshots, setSnapshots] = useState([]);
+  const [selectedSnapshot, setSelectedSnapshot] = useState(initialUrlState.snapshot);
   const [loading, setLoading] = useState(true);
+  // CSV 파싱 진행률 (0~1)
+  const [loadProgress, setLoadProgress] = useState(0);
   const [error, setError] = useState(null);
-  const [viewMode, setViewMode] = useState('zonePrice');
-  const [selectedFloor, setSelectedFloor] = useState('all');
-  const [selectedGrade, setSelectedGrade] = useState('all');
-  const [selectedDate, setSelectedDate] = useState('all');
+  const [viewMode, setViewMode] = useState(initialUrlState.viewMode);
+  const [event, setEvent] = useState(initialUrlState.event);
+  const [filters, setFilters] = useState(initialUrlState.filters);
+  const [outliersExcluded, setOutliersExcluded] = useState(initialUrlState.excludeOutliers);
+  const [flaggedExcluded, setFlaggedExcluded] = useState(initialUrlState.excludeFlagged);
+  const [pivot, setPivot] = useState(initialUrlState.pivot);
+  const [showUpload, setShowUpload] = useState(false);
+  const [showStorage, setShowStorage] = useState(false);
+  // 인쇄용 리포트 화면 (PrintReportView)
+  const [showReport, setShowReport] = useState(false);
+  // 스냅샷 목록을 받지 못해 브라우저에 저장된 스냅샷만 보여주는 중
+  const [offline, setOffline] = useState(false);
+  const [initialWatchRules] = useState(loadWatchRules);
+  // 분석은 계속하지만 알려야 하는 부가 데이터 오류 ({ 출처: 문구 }, 다시 성공하면 null로 지운다)
+  const [warnings, setWarnings] = useState({ watchRules: initialWatchRules.error });
+  const [selectedZone, setSelectedZone] = useState(null);
+  const [faceValues, setFaceValues] = useState({});
+  const [noteTaxonomy, setNoteTaxonomy] = useState({ tags: [] });
+  const [watchRules, setWatchRules] = useState(initialWatchRules.rules);
+  const [showRules, setShowRules] = useState(false);
+  const [alerts, setAlerts] = useState(null);
+  // 감시 규칙으로 확인할 스냅샷 (새 스냅샷이 들어오면 설정)
+  const [pendingAlertSnapshot, setPendingAlertSnapshot] = useState(null);
   
-  useEffect(() => {
-    const loadData = async () => {
-      try {
+  // 데이터 소스의 스냅샷과 정가표, 특이사항 분류표를 불러온다 (오류 화면의 다시 시도에서도 부른다)
+  // background: 주기적 확인으로 다시 불러올 때는 로딩 화면 없이 바꾸고, 실패하면 보던 데이터를 그대로 둔다
+  const loadData = useCallback(async ({ background = false } = {}) => {
+    try {
+      if (!background) {
         setLoading(true);
-        // 파일 경로를 공용 폴더 내의 CSV 파일로 지정
-        const response = await fetch(`${process.env.PUBLIC_URL}/0309.csv`);
-        const text = await response.text();
-        
-        Papa.parse(text, {
-          header: true,
-          skipEmptyLines: true,
-          dynamicTyping: true,
-          complete: (results) => {
-            if (results.data && results.data.length > 0) {
-              setData(results.data);
-            } else {
-              setError('데이터를 로드할 수 없습니다.');
-            }
-            setLoading(false);
-          },
-          error: (error) => {
-            setError(`CSV 파싱 오류: ${error.message}`);
-            setLoading(false);
-          }
-        });
-      } catch (error) {
-        setError(`파일 로드 오류: ${error.message}`);
-        setLoading(false);
+        setError(null);
+        setLoadProgress(0);
       }
-    };
-
-    loadData();
+      const [{ snapshots: manifest, rows, offline, storeError }, faceValueResult, taxonomyResult] = await Promise.all([
+        dataSource.load(background ? () => {} : setLoadProgress),
+        loadFaceValues(),
+        loadNoteTaxonomy()
+      ]);
+      setFaceValues(faceValueResult.faceValues);
+      setWarnings(current => ({
+        ...current,
+        faceValues: faceValueResult.error,
+        noteTags: taxonomyResult.error,
+        snapshotStore: storeError && `${storeError} (브라우저에 저장하지 않고 계속합니다)`
+      }));
+      setNoteTaxonomy(taxonomyResult.taxonomy);
+      setOffline(offline);
+      
+      if (rows.length > 0) {
+        const latestSnapshot = manifest[manifest.length - 1].date;
+        setSnapshots(manifest);
+        setSelectedSnapshot(current => (
+          manifest.some(snapshot => snapshot.date === current) ? current : latestSnapshot
+        ));
+        setData(rows);
+        const lastAlert = loadLastAlertSnapshot();
+        if (lastAlert.error) {
+          setWarnings(current => ({ ...current, watchRules: lastAlert.error }));
+        }
+        if (latestSnapshot > (lastAlert.date || '')) {
+          setPendingAlertSnapshot(latestSnapshot);
+        }
+      } else if (!background) {
+        setError('불러올 매물이 없습니다.');
+      }
+      setLoading(false);
+    } catch (error) {
+      if (background) return;
+      setError(`데이터 로드 오류: ${error.message}`);
+      setLoading(false);
+    }
   }, []);
   
-  // 필터링된 데이터 계산
-  const filteredData = data.filter(item => {
-    return (
-      (selectedFloor === 'all' || item.층 === selectedFloor) &&
-      (selectedGrade === 'all' || item.등급 === selectedGrade) &&
-      (selectedDate === 'all' || (item.공연일시 && item.공연일시.includes(selectedDate)))
-    );
-  });
-  
-  // 고유한 층, 등급, 공연일시 목록
-  const floors = _.uniq(data.map(item => item.층)).filter(Boolean);
-  const grades = _.uniq(data.map(item => item.등급)).filter(Boolean);
-  const dates = _.uniq(data.map(item => {
-    if (item.공연일시 && typeof item.공연일시 === 'string') {
-      return item.공연일시.substring(0, 5);
-    }
-    return null;
-  })).filter(Boolean);
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
   
-  // 구역별 평균 가격 계산
-  const getZonePriceData = () => {
-    const groupedByZone = _.groupBy(filteredData, '구역');
+  // 매물 API는 스냅샷 목록을 주기적으로 확인해 새 스냅샷이나 바뀐 리비전이 있을 때만 다시 불러온다
+  useEffect(() => {
+    if (!dataSource.pollInterval || loading || error) return undefined;
     
-    return Object.entries(groupedByZone).map(([zone, items]) => {
-      const prices = items.map(item => item.가격).filter(Boolean);
-      const avgPrice = prices.length > 0 ? _.mean(prices) : 0;
-      const maxPrice = prices.length > 0 ? _.max(prices) : 0;
-      const minPrice = prices.length > 0 ? _.min(prices) : 0;
-      
-      return {
-        zone,
-        avgPrice,
-        maxPrice,
-        minPrice,
-        count: items.length
-      };
-    }).sort((a, b) => b.avgPrice - a.avgPrice);
+    const timer = setInterval(async () => {
+      if (await dataSource.hasChanges(snapshots)) loadData({ background: true });
+    }, dataSource.pollInterval);
+    return () => clearInterval(timer);
+  }, [loading, error, snapshots, loadData]);
+  
+  // 업로드한 CSV를 스냅샷으로 추가 (같은 날짜의 스냅샷은 대체, 브라우저에도 저장)
+  const handleAddSnapshot = (snapshot, rows) => {
+    saveStoredSnapshot(snapshot, rows).catch(error => {
+      setWarnings(current => ({ ...current, snapshotStore: `${error.message} (업로드한 스냅샷은 이번 방문 동안만 남습니다)` }));
+    });
+    setError(null);
+    setData(current => [...current.filter(item => item.스냅샷 !== snapshot.date), ...rows]);
+    setSnapshots(current => _.sortBy([...current.filter(item => item.date !== snapshot.date), snapshot], 'date'));
+    setSelectedSnapshot(snapshot.date);
+    setShowUpload(false);
+    setPendingAlertSnapshot(snapshot.date);
   };
   
-  // 층별 평균 가격 계산
-  const getFloorPriceData = () => {
-    const groupedByFloor = _.groupBy(filteredData, '층');
-    
-    return Object.entries(groupedByFloor).map(([floor, items]) => {
-      const prices = items.map(item => item.가격).filter(Boolean);
-      const avgPrice = prices.length > 0 ? _.mean(prices) : 0;
-      
-      return {
-        floor,
-        avgPrice,
-        count: items.length
-      };
-    }).sort((a, b) => b.avgPrice - a.avgPrice);
+  // 저장소에서 지운 업로드 스냅샷을 화면에서도 뺀다
+  const handleRemoveUploads = (dates) => {
+    const removed = snapshots.filter(snapshot => snapshot.source === 'upload' && dates.includes(snapshot.date));
+    if (removed.length === 0) return;
+    const remaining = snapshots.filter(snapshot => !removed.includes(snapshot));
+    setData(current => current.filter(item => !removed.some(snapshot => snapshot.date === item.스냅샷)));
+    setSnapshots(remaining);
+    setSelectedSnapshot(current => (
+      remaining.some(snapshot => snapshot.date === current) || remaining.length === 0 ? current : remaining[remaining.length - 1].date
+    ));
   };
   
-  // 등급별 평균 가격 계산
-  const getGradePriceData = () => {
-    const groupedByGrade = _.groupBy(filteredData, '등급');
-    
-    return Object.entries(groupedByGrade).map(([grade, items]) => {
-      const prices = items.map(item => item.가격).filter(Boolean);
-      const avgPrice = prices.length > 0 ? _.mean(prices) : 0;
-      
-      return {
-        grade,
-        avgPrice,
-        count: items.length
-      };
-    }).sort((a, b) => b.avgPrice - a.avgPrice);
+  // 저장 공간이 없거나 막혀 있으면 이번 방문 동안만 규칙을 쓴다
+  const updateWatchRules = (rules) => {
+    setWatchRules(rules);
+    try {
+      saveWatchRules(rules);
+      setWarnings(current => ({ ...current, watchRules: null }));
+    } catch (error) {
+      setWarnings(current => ({ ...current, watchRules: `감시 규칙을 브라우저에 저장하지 못했습니다 (이번 방문 동안만 유지): ${error.message}` }));
+    }
   };
   
-  // 구역별 가격 분포 히트맵 데이터
-  const getZonePriceHeatMapData = () => {
-    // 플로어석과 일반석 분리
-    const floorSeats = filteredData.filter(item => item.층 && item.층.includes('플로어'));
-    const regularSeats = filteredData.filter(item => !item.층 || !item.층.includes('플로어'));
-    
-    // 플로어석 구역만 추출
-    const floorZones = _.uniq(floorSeats.map(item => item.구역)).filter(Boolean);
+  // 정가표로 매물마다 정가와 웃돈을, 분류표로 특이사항 태그와 위험도를 계산
+  const markedData = useMemo(
+    () => addNoteTags(addMarkup(data, faceValues), noteTaxonomy),
+    [data, faceValues, noteTaxonomy]
+  );
+  
+  // 중복·재등록 의심·비정상 가격·층/구역 불일치 매물에 품질 표시를 붙인다
+  // 제외를 선택하면 열 저장소에 넣기 전에 빼므로 모든 보기와 집계에서 빠진다
+  const qualityIssues = useMemo(() => checkDataQuality(markedData), [markedData]);
+  const checkedData = useMemo(() => addQualityFlags(markedData, qualityIssues), [markedData, qualityIssues]);
+  const analysisData = useMemo(
+    () => (flaggedExcluded ? checkedData.filter(item => item.품질.length === 0) : checkedData),
+    [checkedData, flaggedExcluded]
+  );
+  
+  // 선택한 공연으로 모든 보기의 범위를 좁힌다 (데이터에 없는 선택은 전체로 되돌림)
+  const activeEvent = useMemo(() => resolveEvent(markedData, event), [markedData, event]);
+  const eventOptions = useMemo(() => getEventOptions(markedData, activeEvent), [markedData, activeEvent]);
+  const eventData = useMemo(() => applyEvent(markedData, activeEvent), [markedData, activeEvent]);
+  const title = getEventTitle(eventData);
+  
+  useEffect(() => {
+    document.title = `1열의 행복 - ${title}`;
+  }, [title]);
+  
+  // 새 스냅샷을 감시 규칙으로 확인해 알림 패널과 브라우저 알림을 띄운다
+  useEffect(() => {
+    if (!pendingAlertSnapshot) return;
     
-    // 일반석 구역만 추출
-    const regularZones = _.uniq(regularSeats.map(item => item.구역)).filter(Boolean);
+    setPendingAlertSnapshot(null);
+    if (pendingAlertSnapshot > (loadLastAlertSnapshot().date || '')) {
+      try {
+        saveLastAlertSnapshot(pendingAlertSnapshot);
+      } catch (error) {
+        setWarnings(current => ({ ...current, watchRules: `알림을 확인한 스냅샷을 저장하지 못해 다음 방문에 다시 알릴 수 있습니다: ${error.message}` }));
+      }
+    }
+    if (watchRules.length === 0) return;
     
-    return {
-      floorZones,
-      regularZones,
-      floorSeats,
-      regularSeats
-    };
-  };
+    // 품질 문제 매물을 제외했으면 알림에서도 뺀다
+    const results = evaluateWatchRules(watchRules, analysisData.filter(item => item.스냅샷 === pendingAlertSnapshot));
+    setAlerts({ snapshot: pendingAlertSnapshot, results });
+    if (results.length > 0) {
+      showBrowserNotification(
+        `${formatSnapshotDate(pendingAlertSnapshot)} 스냅샷: ${results.length}개 규칙에 맞는 매물`,
+        results.map(({ rule, matches }) => `${rule.name}: ${matches.length}장, 최저 ${formatPrice(matches[0].가격)}`).join('\n')
+      );
+    }
+  }, [pendingAlertSnapshot, analysisData, watchRules]);
   
-  // 가격 범위에 따른 색상 계산
-  const getPriceColor = (price) => {
-    const allPrices = filteredData.map(item => item.가격).filter(Boolean);
-    const maxPrice = allPrices.length > 0 ? _.max(allPrices) : 0;
-    const minPrice = allPrices.length > 0 ? _.min(allPrices) : 0;
+  // 보기 상태를 URL에 반영 (첫 반영은 현재 기록을 교체해 뒤로 가기가 빈 화면으로 가지 않게 한다)
+  const isFirstUrlSync = useRef(true);
+  useEffect(() => {
+    if (loading) return undefined;
     
-    if (!price) return 'bg-gray-200';
+    const timer = setTimeout(() => {
+      const search = serializeUrlState({
+        viewMode,
+        snapshot: selectedSnapshot,
+        event: activeEvent,
+        filters,
+        excludeOutliers: outliersExcluded,
+        excludeFlagged: flaggedExcluded,
+        pivot
+      });
+      if (search !== window.location.search) {
+        const url = `${window.location.pathname}${search}${window.location.hash}`;
+        if (isFirstUrlSync.current) {
+          window.history.replaceState(null, '', url);
+        } else {
+          window.history.pushState(null, '', url);
+        }
+      }
+      isFirstUrlSync.current = false;
+    }, isFirstUrlSync.current ? 0 : URL_SYNC_DELAY);
     
-    const ratio = (price - minPrice) / (maxPrice - minPrice);
+    return () => clearTimeout(timer);
+  }, [loading, viewMode, selectedSnapshot, activeEvent, filters, outliersExcluded, flaggedExcluded, pivot]);
+  
+  // 뒤로/앞으로 가기 시 URL의 상태를 복원
+  useEffect(() => {
+    const handlePopState = () => {
+      const urlState = parseUrlState(window.location.search);
+      const latestSnapshot = snapshots.length > 0 ? snapshots[snapshots.length - 1].date : null;
+      setViewMode(urlState.viewMode);
+      setEvent(urlState.event);
+      setFilters(urlState.filters);
+      setOutliersExcluded(urlState.excludeOutliers);
+      setFlaggedExcluded(urlState.excludeFlagged);
+      setPivot(urlState.pivot);
+      setSelectedSnapshot(
+        snapshots.some(snapshot => snapshot.date === urlState.snapshot) ? urlState.snapshot : latestSnapshot
+      );
+    };
     
-    if (ratio < 0.2) return 'bg-blue-900 text-white';
-    if (ratio < 0.4) return 'bg-blue-700 text-white';
-    if (ratio < 0.6) return 'bg-blue-500 text-white';
-    if (ratio < 0.8) return 'bg-red-500 text-white';
-    return 'bg-red-700 text-white';
-  };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [snapshots]);
+  
+  // 품질 보기와 제외 스위치는 선택한 스냅샷·공연의 문제만 센다
+  const scopedIssues = useMemo(
+    () => qualityIssues.filter(issue => issue.item.스냅샷 === selectedSnapshot && matchesEvent(issue.item, activeEvent)),
+    [qualityIssues, selectedSnapshot, activeEvent]
+  );
+  const flaggedCount = useMemo(() => new Set(scopedIssues.map(issue => issue.item)).size, [scopedIssues]);
+  
+  // 필터링된 데이터 계산 (추이/변화 보기는 모든 스냅샷, 나머지는 선택한 스냅샷만 사용)
+  // 매물이 많아도 필터 변경이 빠르도록 열 저장소의 색인으로 거른다 (analytics/columnStore.js)
+  const columnStore = useMemo(() => createColumnStore(analysisData), [analysisData]);
+  const usesAllSnapshots = viewMode === 'trend' || viewMode === 'changes';
+  const allSnapshotsData = useMemo(
+    () => (usesAllSnapshots ? queryColumnStore(columnStore, filters, { event: activeEvent }) : EMPTY_ROWS),
+    [usesAllSnapshots, columnStore, filters, activeEvent]
+  );
+  const filteredData = useMemo(
+    () => queryColumnStore(columnStore, filters, { snapshot: selectedSnapshot, event: activeEvent }),
+    [columnStore, filters, selectedSnapshot, activeEvent]
+  );
+  
+  // 필터 선택지 (고유한 층, 등급, 구역, 특이사항, 상태, 공연일 목록과 가격 범위)
+  const filterOptions = useMemo(() => getFilterOptions(eventData), [eventData]);
+  
+  // 공연별 비교는 공연 선택과 관계없이 선택한 스냅샷의 모든 공연을 쓴다
+  const comparisonData = useMemo(
+    () => (viewMode === 'compare' ? queryColumnStore(columnStore, filters, { snapshot: selectedSnapshot }) : EMPTY_ROWS),
+    [viewMode, columnStore, selectedSnapshot, filters]
+  );
+  
+  // 좌석 배치도를 찾을 공연명 (범위 안에 공연이 하나일 때만)
+  const showNames = _.uniq(eventData.map(item => item.공연명)).filter(Boolean);
+  const showName = showNames.length === 1 ? showNames[0] : null;
+  
+  // 층·등급별 IQR 이상치. 선택하면 요약 카드와 평균 가격 집계에서 뺀다 (매물 목록에는 남김)
+  const outliers = useMemo(() => findOutliers(filteredData), [filteredData]);
+  const statsData = useMemo(
+    () => (outliersExcluded ? filteredData.filter(item => !outliers.has(item)) : filteredData),
+    [filteredData, outliers, outliersExcluded]
+  );
   
   // 가격 통계 계산
-  const getPriceStats = () => {
-    const prices = filteredData.map(item => item.가격).filter(Boolean);
-    
-    if (prices.length === 0) return { min: 0, max: 0, avg: 0, median: 0 };
+  const priceStats = useMemo(() => {
+    const summary = summarizePrices(getValidPrices(statsData));
+    return {
+      min: summary.min ?? 0,
+      max: summary.max ?? 0,
+      avg: summary.mean ?? 0,
+      median: summary.median ?? 0
+    };
+  }, [statsData]);
+  
+  // 구역별, 층별, 등급별 평균 가격 계산 (세부 통계의 교차표는 PivotTableView가 계산)
+  const zonePriceData = useMemo(
+    () => aggregateBy(statsData, '구역').map(toPriceRow('zone')).sort(byAvgPriceDesc),
+    [statsData]
+  );
+  const floorPriceData = useMemo(
+    () => aggregateBy(statsData, '층').map(toPriceRow('floor')).sort(byAvgPriceDesc),
+    [statsData]
+  );
+  const gradePriceData = useMemo(
+    () => aggregateBy(statsData, '등급').map(toPriceRow('grade')).sort(byAvgPriceDesc),
+    [statsData]
+  );
+  
+  // 구역별 가격 분포 히트맵 데이터 (플로어석과 일반석 분리)
+  const heatMapData = useMemo(() => {
+    const [floorSeats, regularSeats] = _.partition(statsData, item => item.층 && item.층.includes('플로어'));
+    const toZoneRows = (items) => aggregateBy(items, '구역')
+      .filter(group => group.key !== MISSING_KEY)
+      .map(toPriceRow('zone'));
     
     return {
-      min: _.min(prices),
-      max: _.max(prices),
-      avg: _.mean(prices),
-      median: _.sortBy(prices)[Math.floor(prices.length / 2)]
+      floorZones: toZoneRows(floorSeats),
+      regularZones: toZoneRows(regularSeats)
     };
-  };
+  }, [statsData]);
+  
+  // 정가 대비 웃돈 분포 (다른 가격 집계처럼 이상치를 뺐으면 뺀 매물로)
+  const hasFaceValues = useMemo(() => statsData.some(item => item.웃돈비율 !== null), [statsData]);
+  const markupDistribution = useMemo(() => getMarkupDistribution(statsData), [statsData]);
+  const markupSummary = useMemo(() => summarizeMarkup(statsData), [statsData]);
+  
+  // 가격 범위에 따른 색상 계산
+  const priceRange = useMemo(() => getPriceRange(statsData), [statsData]);
+  const getPriceColor = (price) => getPriceColorClass(price, priceRange.min, priceRange.max);
   
   if (loading) {
-    return <div className="p-6 text-center">데이터를 로드 중입니다...</div>;
+    return (
+      <div className="p-6 text-center">
+        <p>데이터를 로드 중입니다... {Math.round(loadProgress * 100)}%</p>
+        <div className="mt-2 mx-auto max-w-xs h-2 bg-gray-200 rounded">
+          <div className="h-2 bg-blue-600 rounded" style={{ width: `${loadProgress * 100}%` }} />
+        </div>
+      </div>
+    );
   }
   
+  // 데이터를 하나도 불러오지 못한 경우: 다시 시도하거나 CSV를 직접 올릴 수 있다
   if (error) {
-    return <div className="p-6 text-center text-red-600">{error}</div>;
+    return (
+      <div className="p-6 max-w-3xl mx-auto">
+        <div className="mb-4 p-4 bg-red-50 border border-red-300 rounded text-center">
+          <p className="text-red-600 font-medium mb-1">{error}</p>
+          <p className="text-sm text-gray-600 mb-4">
+            데이터 소스: {dataSource.label}. 네트워크 연결을 확인하고 다시 시도하거나, CSV 파일을 직접 올려 보세요.
+          </p>
+          <div className="flex justify-center gap-2">
+            <button 
+              onClick={() => loadData()} 
+              className="px-4 py-2 rounded bg-blue-600 text-white hover:bg-blue-700"
+            >
+              다시 시도
+            </button>
+            <button 
+              onClick={() => setShowUpload(!showUpload)} 
+              className="px-4 py-2 border rounded bg-white hover:bg-gray-100"
+            >
+              {showUpload ? '업로드 닫기' : 'CSV 업로드'}
+            </button>
+          </div>
+        </div>
+        {showUpload && (
+          <CsvUploadPanel snapshots={snapshots} onAddSnapshot={handleAddSnapshot} />
+        )}
+      </div>
+    );
   }
   
-  const priceStats = getPriceStats();
-  const zonePriceData = getZonePriceData();
-  const floorPriceData = getFloorPriceData();
-  const gradePriceData = getGradePriceData();
-  const heatMapData = getZonePriceHeatMapData();
+  // 지금 보고 있는 공연·스냅샷·필터로 인쇄용 리포트를 만든다 (구역 표는 잘라내지 않는다)
+  if (showReport) {
+    return (
+      <PrintReportView 
+        title={title} 
+        snapshot={selectedSnapshot} 
+        filters={[...describeEvent(activeEvent), ...describeFilters(filters)].map(formatCondition)} 
+        notes={[
+          ...(outliersExcluded ? [`요약과 평균에서 이상치 ${outliers.size}장 제외`] : []),
+          ...(flaggedExcluded ? [`품질 문제 매물 ${flaggedCount}장 제외`] : [])
+        ]} 
+        priceStats={priceStats} 
+        zones={zonePriceData} 
+        floors={floorPriceData} 
+        grades={gradePriceData} 
+        hasFaceValues={hasFaceValues} 
+        onClose={() => setShowReport(false)} 
+      />
+    );
+  }
   
   return (
     <div className="p-4 max-w-6xl mx-auto">
-      <h1 className="text-2xl font-bold mb-6">세븐틴 콘서트 좌석별 가격 시각화</h1>
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold">{title} 좌석별 가격 시각화</h1>
+        <div className="flex gap-2">
+          <button 
+            onClick={() => setShowReport(true)} 
+            className="px-3 py-2 text-sm border rounded bg-white hover:bg-gray-100"
+          >
+            리포트
+          </button>
+          <button 
+            onClick={() => setShowRules(!showRules)} 
+            className="px-3 py-2 text-sm border rounded bg-white hover:bg-gray-100"
+          >
+            {showRules ? '알림 규칙 닫기' : `알림 규칙 (${watchRules.length})`}
+          </button>
+          <button 
+            onClick={() => setShowStorage(!showStorage)} 
+            className="px-3 py-2 text-sm border rounded bg-white hover:bg-gray-100"
+          >
+            {showStorage ? '저장된 스냅샷 닫기' : '저장된 스냅샷'}
+          </button>
+          <button 
+            onClick={() => setShowUpload(!showUpload)} 
+            className="px-3 py-2 text-sm border rounded bg-white hover:bg-gray-100"
+          >
+            {showUpload ? '업로드 닫기' : 'CSV 업로드'}
+          </button>
+        </div>
+      </div>
       
-      {/* 필터 컨트롤 */}
-      <div className="mb-6 p-4 bg-white rounded shadow grid grid-cols-1 md:grid-cols-4 gap-4">
+      {offline && (
+        <div className="mb-4 p-3 bg-gray-100 border rounded text-sm text-gray-700 flex items-center justify-between">
+          <span>{dataSource.label}에 연결할 수 없어 이 브라우저에 저장된 스냅샷을 보여줍니다.</span>
+          <button onClick={() => loadData()} className="px-3 py-1 border rounded bg-white hover:bg-gray-100">다시 시도</button>
+        </div>
+      )}
+      
+      {Object.values(warnings).some(Boolean) && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-300 rounded text-sm text-gray-700">
+          {Object.entries(warnings).filter(([, message]) => message).map(([key, message]) => (
+            <p key={key}>{message}</p>
+          ))}
+        </div>
+      )}
+      
+      {alerts && (
+        <AlertsPanel alerts={alerts} onDismiss={() => setAlerts(null)} />
+      )}
+      
+      {showRules && (
+        <WatchRulesPanel 
+          rules={watchRules} 
+          event={activeEvent} 
+          filters={filters} 
+          onChange={updateWatchRules} 
+          onCheckNow={() => setPendingAlertSnapshot(selectedSnapshot)} 
+        />
+      )}
+      
+      {showStorage && (
+        <SnapshotManagerPanel onRemoveUpload={handleRemoveUploads} />
+      )}
+      
+      {showUpload && (
+        <CsvUploadPanel snapshots={snapshots} onAddSnapshot={handleAddSnapshot} />
+      )}
+      
+      {/* 공연 선택 */}
+      <EventPicker event={activeEvent} options={eventOptions} onChange={setEvent} />
+      
+      {/* 보기 모드와 스냅샷 선택 */}
+      <div className="mb-4 p-4 bg-white rounded shadow grid grid-cols-1 md:grid-cols-2 gap-4">
         <div>
           <label className="block text-sm font-medium mb-1">보기 모드:</label>
           <select 
@@ -203,54 +594,66 @@ const SeatPriceVisualization = () => {
             <option value="floorPrice">층별 평균 가격</option>
             <option value="gradePrice">등급별 평균 가격</option>
             <option value="heatMap">가격 히트맵</option>
+            <option value="seatMap">좌석 배치도</option>
             <option value="stats">세부 통계</option>
+            <option value="distribution">가격 분포</option>
+            <option value="trend">가격 추이</option>
+            <option value="changes">매물 변화</option>
+            <option value="compare">공연별 비교</option>
+            <option value="noteTags">판매 조건별 가격</option>
+            <option value="deals">저평가 매물</option>
+            <option value="listingAge">매물 경과일</option>
+            <option value="groupPlanner">단체 구매 플래너</option>
+            <option value="quality">데이터 품질</option>
+            <option value="listings">전체 매물 목록</option>
           </select>
         </div>
         
         <div>
-          <label className="block text-sm font-medium mb-1">층:</label>
-          <select 
-            value={selectedFloor} 
-            onChange={(e) => setSelectedFloor(e.target.value)}
-            className="w-full p-2 border rounded"
-          >
-            <option value="all">전체</option>
-            {floors.map(floor => (
-              <option key={floor} value={floor}>{floor}</option>
-            ))}
-          </select>
-        </div>
-        
-        <div>
-          <label className="block text-sm font-medium mb-1">등급:</label>
-          <select 
-            value={selectedGrade} 
-            onChange={(e) => setSelectedGrade(e.target.value)}
-            className="w-full p-2 border rounded"
-          >
-            <option value="all">전체</option>
-            {grades.map(grade => (
-              <option key={grade} value={grade}>{grade}</option>
-            ))}
-          </select>
-        </div>
-        
-        <div>
-          <label className="block text-sm font-medium mb-1">공연일:</label>
+          <label className="block text-sm font-medium mb-1">스냅샷:</label>
           <select 
-            value={selectedDate} 
-            onChange={(e) => setSelectedDate(e.target.value)}
+            value={selectedSnapshot || ''} 
+            onChange={(e) => setSelectedSnapshot(e.target.value)}
+            disabled={usesAllSnapshots}
             className="w-full p-2 border rounded"
           >
-            <option value="all">전체</option>
-            {dates.map(date => (
-              <option key={date} value={date}>{date}</option>
+            {snapshots.map(snapshot => (
+              <option key={snapshot.date} value={snapshot.date}>{formatSnapshotDate(snapshot.date)}</option>
             ))}
           </select>
         </div>
       </div>
       
+      {/* 필터 컨트롤 */}
+      <FilterBar filters={filters} options={filterOptions} onChange={setFilters} />
+      
+      {/* 필터된 매물 내보내기 */}
+      <div className="mb-4 flex items-center justify-end gap-2 text-sm">
+        <span className="text-gray-500">필터된 매물 {filteredData.length}장 내보내기:</span>
+        <ExportButtons filename="매물_목록" rows={filteredData} columns={LISTING_COLUMNS} />
+      </div>
+      
       {/* 가격 요약 정보 */}
+      <div className="mb-2 flex justify-end gap-4">
+        <label className="flex items-center text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={flaggedExcluded}
+            onChange={(e) => setFlaggedExcluded(e.target.checked)}
+            className="mr-2"
+          />
+          모든 보기에서 품질 문제 매물 {flaggedCount}장 제외
+        </label>
+        <label className="flex items-center text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={outliersExcluded}
+            onChange={(e) => setOutliersExcluded(e.target.checked)}
+            className="mr-2"
+          />
+          요약과 평균에서 이상치 {outliers.size}장 제외
+        </label>
+      </div>
       <div className="mb-6 grid grid-cols-2 md:grid-cols-4 gap-4">
         <div className="bg-white p-4 rounded shadow">
           <h3 className="text-sm font-medium text-gray-500">최저 가격</h3>
@@ -262,7 +665,7 @@ const SeatPriceVisualization = () => {
         </div>
         <div className="bg-white p-4 rounded shadow">
           <h3 className="text-sm font-medium text-gray-500">중간값 가격</h3>
-          <p className="text-xl font-bold">{formatPrice(priceStats.median)}</p>
+          <p className="text-xl font-bold">{formatPrice(Math.round(priceStats.median))}</p>
         </div>
         <div className="bg-white p-4 rounded shadow">
           <h3 className="text-sm font-medium text-gray-500">최고 가격</h3>
@@ -294,7 +697,10 @@ const SeatPriceVisualization = () => {
           </div>
           
           <div className="mt-6">
-            <h3 className="text-md font-semibold mb-2">구역별 평균 가격 표</h3>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-md font-semibold">구역별 평균 가격 표 (구역을 누르면 열별 상세)</h3>
+              <ExportButtons filename="구역별_평균_가격" rows={roundAvgPrice(zonePriceData)} columns={ZONE_EXPORT_COLUMNS} />
+            </div>
             <div className="overflow-x-auto">
               <table className="min-w-full bg-white">
                 <thead className="bg-gray-100">
@@ -304,29 +710,46 @@ const SeatPriceVisualization = () => {
                     <th className="py-2 px-4 text-right">최저 가격</th>
                     <th className="py-2 px-4 text-right">최고 가격</th>
                     <th className="py-2 px-4 text-right">티켓 수</th>
+                    {hasFaceValues && renderMarkupHeaders()}
                   </tr>
                 </thead>
                 <tbody>
                   {zonePriceData.slice(0, 20).map((item) => (
-                    <tr key={item.zone} className="border-b hover:bg-gray-50">
+                    <tr 
+                      key={item.zone} 
+                      onClick={() => setSelectedZone(item.zone)}
+                      className={`border-b cursor-pointer hover:bg-gray-50 ${selectedZone === item.zone ? 'bg-yellow-50' : ''}`}
+                    >
                       <td className="py-2 px-4">{item.zone}</td>
                       <td className="py-2 px-4 text-right">{formatPrice(Math.round(item.avgPrice))}</td>
                       <td className="py-2 px-4 text-right">{formatPrice(item.minPrice)}</td>
                       <td className="py-2 px-4 text-right">{formatPrice(item.maxPrice)}</td>
                       <td className="py-2 px-4 text-right">{item.count}</td>
+                      {hasFaceValues && renderMarkupCells(item)}
                     </tr>
                   ))}
                 </tbody>
               </table>
             </div>
           </div>
+          
+          {selectedZone && (
+            <ZoneDetailPanel 
+              zone={selectedZone} 
+              items={filteredData.filter(item => item.구역 === selectedZone)} 
+              onClose={() => setSelectedZone(null)} 
+            />
+          )}
         </div>
       )}
       
       {/* 층별 평균 가격 */}
       {viewMode === 'floorPrice' && (
         <div className="bg-white p-4 rounded shadow mb-6">
-          <h2 className="text-lg font-semibold mb-4">층별 평균 가격</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold">층별 평균 가격</h2>
+            <ExportButtons filename="층별_평균_가격" rows={roundAvgPrice(floorPriceData)} columns={[{ key: 'floor', label: '층' }, ...AVG_PRICE_COLUMNS]} />
+          </div>
           <div className="h-80">
             <ResponsiveContainer width="100%" height="100%">
               <BarChart 
@@ -351,6 +774,7 @@ const SeatPriceVisualization = () => {
                   <th className="py-2 px-4 text-left">층</th>
                   <th className="py-2 px-4 text-right">평균 가격</th>
                   <th className="py-2 px-4 text-right">티켓 수</th>
+                  {hasFaceValues && renderMarkupHeaders()}
                 </tr>
               </thead>
               <tbody>
@@ -359,6 +783,7 @@ const SeatPriceVisualization = () => {
                     <td className="py-2 px-4">{item.floor}</td>
                     <td className="py-2 px-4 text-right">{formatPrice(Math.round(item.avgPrice))}</td>
                     <td className="py-2 px-4 text-right">{item.count}</td>
+                    {hasFaceValues && renderMarkupCells(item)}
                   </tr>
                 ))}
               </tbody>
@@ -370,7 +795,10 @@ const SeatPriceVisualization = () => {
       {/* 등급별 평균 가격 */}
       {viewMode === 'gradePrice' && (
         <div className="bg-white p-4 rounded shadow mb-6">
-          <h2 className="text-lg font-semibold mb-4">등급별 평균 가격</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold">등급별 평균 가격</h2>
+            <ExportButtons filename="등급별_평균_가격" rows={roundAvgPrice(gradePriceData)} columns={[{ key: 'grade', label: '등급' }, ...AVG_PRICE_COLUMNS]} />
+          </div>
           <div className="h-80">
             <ResponsiveContainer width="100%" height="100%">
               <BarChart 
@@ -381,9 +809,10 @@ const SeatPriceVisualization = () => {
                 <CartesianGrid strokeDasharray="3 3" />
                 <XAxis type="number" tickFormatter={(value) => formatPrice(value)} />
                 <YAxis type="category" dataKey="grade" width={100} />
-                <Tooltip formatter={(value) => formatPrice(value)} />
+                <Tooltip formatter={(value) => formatPrice(Math.round(value))} />
                 <Legend />
                 <Bar dataKey="avgPrice" name="평균 가격" fill="#8884d8" />
+                {hasFaceValues && <Bar dataKey="faceValue" name="정가" fill="#82ca9d" />}
               </BarChart>
             </ResponsiveContainer>
           </div>
@@ -395,6 +824,7 @@ const SeatPriceVisualization = () => {
                   <th className="py-2 px-4 text-left">등급</th>
                   <th className="py-2 px-4 text-right">평균 가격</th>
                   <th className="py-2 px-4 text-right">티켓 수</th>
+                  {hasFaceValues && renderMarkupHeaders()}
                 </tr>
               </thead>
               <tbody>
@@ -403,6 +833,7 @@ const SeatPriceVisualization = () => {
                     <td className="py-2 px-4">{item.grade}</td>
                     <td className="py-2 px-4 text-right">{formatPrice(Math.round(item.avgPrice))}</td>
                     <td className="py-2 px-4 text-right">{item.count}</td>
+                    {hasFaceValues && renderMarkupCells(item)}
                   </tr>
                 ))}
               </tbody>
@@ -414,49 +845,40 @@ const SeatPriceVisualization = () => {
       {/* 가격 히트맵 */}
       {viewMode === 'heatMap' && (
         <div className="bg-white p-4 rounded shadow mb-6">
-          <h2 className="text-lg font-semibold mb-4">구역별 가격 히트맵</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold">구역별 가격 히트맵</h2>
+            <ExportButtons filename="구역별_평균_가격" rows={roundAvgPrice(zonePriceData)} columns={ZONE_EXPORT_COLUMNS} />
+          </div>
           
           <div className="mb-4">
             <h3 className="text-md font-semibold mb-2">플로어석 구역</h3>
             <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-2">
-              {heatMapData.floorZones.map(zone => {
-                const zoneItems = heatMapData.floorSeats.filter(item => item.구역 === zone);
-                const prices = zoneItems.map(item => item.가격).filter(Boolean);
-                const avgPrice = prices.length > 0 ? _.mean(prices) : 0;
-                
-                return (
-                  <div 
-                    key={zone} 
-                    className={`p-3 rounded ${getPriceColor(avgPrice)}`}
-                  >
-                    <div className="font-bold">{zone}</div>
-                    <div>{formatPrice(Math.round(avgPrice))}</div>
-                    <div className="text-xs">{zoneItems.length}장</div>
-                  </div>
-                );
-              })}
+              {heatMapData.floorZones.map(item => (
+                <div 
+                  key={item.zone} 
+                  className={`p-3 rounded ${getPriceColor(item.avgPrice)}`}
+                >
+                  <div className="font-bold">{item.zone}</div>
+                  <div>{formatPrice(Math.round(item.avgPrice))}</div>
+                  <div className="text-xs">{item.count}장</div>
+                </div>
+              ))}
             </div>
           </div>
           
           <div>
             <h3 className="text-md font-semibold mb-2">일반석 구역 (상위 30개)</h3>
             <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-2">
-              {heatMapData.regularZones.slice(0, 30).map(zone => {
-                const zoneItems = heatMapData.regularSeats.filter(item => item.구역 === zone);
-                const prices = zoneItems.map(item => item.가격).filter(Boolean);
-                const avgPrice = prices.length > 0 ? _.mean(prices) : 0;
-                
-                return (
-                  <div 
-                    key={zone} 
-                    className={`p-3 rounded ${getPriceColor(avgPrice)}`}
-                  >
-                    <div className="font-bold">{zone}</div>
-                    <div>{formatPrice(Math.round(avgPrice))}</div>
-                    <div className="text-xs">{zoneItems.length}장</div>
-                  </div>
-                );
-              })}
+              {heatMapData.regularZones.slice(0, 30).map(item => (
+                <div 
+                  key={item.zone} 
+                  className={`p-3 rounded ${getPriceColor(item.avgPrice)}`}
+                >
+                  <div className="font-bold">{item.zone}</div>
+                  <div>{formatPrice(Math.round(item.avgPrice))}</div>
+                  <div className="text-xs">{item.count}장</div>
+                </div>
+              ))}
             </div>
           </div>
           
@@ -473,139 +895,100 @@ const SeatPriceVisualization = () => {
         </div>
       )}
       
+      {/* 좌석 배치도 */}
+      {viewMode === 'seatMap' && (showName ? (
+        <VenueSeatMap data={statsData} showName={showName} />
+      ) : (
+        <div className="bg-white p-4 rounded shadow mb-6 text-center text-gray-500">
+          좌석 배치도를 보려면 공연을 하나 선택하세요.
+        </div>
+      ))}
+      
       {/* 세부 통계 */}
       {viewMode === 'stats' && (
         <div className="bg-white p-4 rounded shadow mb-6">
           <h2 className="text-lg font-semibold mb-4">세부 가격 통계</h2>
           
-          <div className="mb-6">
-            <h3 className="text-md font-semibold mb-2">층별/등급별 평균 가격</h3>
-            <div className="overflow-x-auto">
-              <table className="min-w-full bg-white">
-                <thead className="bg-gray-100">
-                  <tr>
-                    <th className="py-2 px-4 text-left">층</th>
-                    {grades.map(grade => (
-                      <th key={grade} className="py-2 px-4 text-right">{grade}</th>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {floors.map(floor => {
-                    const floorItems = filteredData.filter(item => item.층 === floor);
-                    
-                    return (
-                      <tr key={floor} className="border-b hover:bg-gray-50">
-                        <td className="py-2 px-4">{floor}</td>
-                        {grades.map(grade => {
-                          const gradeItems = floorItems.filter(item => item.등급 === grade);
-                          const prices = gradeItems.map(item => item.가격).filter(Boolean);
-                          const avgPrice = prices.length > 0 ? _.mean(prices) : 0;
-                          
-                          return (
-                            <td key={grade} className="py-2 px-4 text-right">
-                              {prices.length > 0 ? (
-                                <div className={getPriceColor(avgPrice) + " p-1 rounded"}>
-                                  {formatPrice(Math.round(avgPrice))}
-                                  <div className="text-xs">({gradeItems.length}장)</div>
-                                </div>
-                              ) : (
-                                '-'
-                              )}
-                            </td>
-                          );
-                        })}
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
+          {hasFaceValues && (
+            <div className="mb-6">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-md font-semibold">정가 대비 웃돈 분포</h3>
+                <span className="text-sm text-gray-500">
+                  웃돈 비율 중간값 {formatPercent(markupSummary.markupRatio)}, 평균 웃돈 {formatPrice(Math.round(markupSummary.avgMarkup))}
+                </span>
+              </div>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={markupDistribution} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="bucket" />
+                    <YAxis allowDecimals={false} />
+                    <Tooltip formatter={(value) => `${value}장`} />
+                    <Bar dataKey="count" name="매물 수" fill="#ff7f50" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
             </div>
-          </div>
+          )}
           
-          <div className="mb-6">
-            <h3 className="text-md font-semibold mb-2">특이사항별 평균 가격</h3>
-            {(() => {
-              const groupedBySpecial = _.groupBy(filteredData, '특이사항');
-              const specialData = Object.entries(groupedBySpecial).map(([special, items]) => {
-                const prices = items.map(item => item.가격).filter(Boolean);
-                const avgPrice = prices.length > 0 ? _.mean(prices) : 0;
-                
-                return {
-                  special: special || '정보 없음',
-                  avgPrice,
-                  count: items.length
-                };
-              }).sort((a, b) => b.avgPrice - a.avgPrice);
-              
-              return (
-                <table className="min-w-full bg-white">
-                  <thead className="bg-gray-100">
-                    <tr>
-                      <th className="py-2 px-4 text-left">특이사항</th>
-                      <th className="py-2 px-4 text-right">평균 가격</th>
-                      <th className="py-2 px-4 text-right">티켓 수</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {specialData.map((item) => (
-                      <tr key={item.special} className="border-b hover:bg-gray-50">
-                        <td className="py-2 px-4">{item.special}</td>
-                        <td className="py-2 px-4 text-right">{formatPrice(Math.round(item.avgPrice))}</td>
-                        <td className="py-2 px-4 text-right">{item.count}</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              );
-            })()}
-          </div>
-          
-          <div>
-            <h3 className="text-md font-semibold mb-2">공연일별 평균 가격</h3>
-            {(() => {
-              const groupedByDate = _.groupBy(filteredData, item => {
-                if (item.공연일시 && typeof item.공연일시 === 'string') {
-                  return item.공연일시.substring(0, 5);
-                }
-                return '정보 없음';
-              });
-              
-              const dateData = Object.entries(groupedByDate).map(([date, items]) => {
-                const prices = items.map(item => item.가격).filter(Boolean);
-                const avgPrice = prices.length > 0 ? _.mean(prices) : 0;
-                
-                return {
-                  date,
-                  avgPrice,
-                  count: items.length
-                };
-              }).sort((a, b) => a.date.localeCompare(b.date));
-              
-              return (
-                <table className="min-w-full bg-white">
-                  <thead className="bg-gray-100">
-                    <tr>
-                      <th className="py-2 px-4 text-left">공연일</th>
-                      <th className="py-2 px-4 text-right">평균 가격</th>
-                      <th className="py-2 px-4 text-right">티켓 수</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {dateData.map((item) => (
-                      <tr key={item.date} className="border-b hover:bg-gray-50">
-                        <td className="py-2 px-4">{item.date}</td>
-                        <td className="py-2 px-4 text-right">{formatPrice(Math.round(item.avgPrice))}</td>
-                        <td className="py-2 px-4 text-right">{item.count}</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              );
-            })()}
-          </div>
+          <PivotTableView data={statsData} pivot={pivot} onChange={setPivot} />
         </div>
       )}
+      
+      {/* 가격 히스토그램과 상자 그림 */}
+      {viewMode === 'distribution' && (
+        <DistributionView 
+          data={filteredData} 
+          outlierCount={outliers.size} 
+          excludeOutliers={outliersExcluded} 
+          onExcludeOutliersChange={setOutliersExcluded} 
+        />
+      )}
+      
+      {/* 특이사항 태그별 가격 */}
+      {viewMode === 'noteTags' && (
+        <NoteTagView data={filteredData} taxonomy={noteTaxonomy} />
+      )}
+      
+      {/* 적정가 대비 저평가 매물 */}
+      {viewMode === 'deals' && (
+        <DealsView data={filteredData} />
+      )}
+      
+      {/* 매물 경과일과 가격 */}
+      {viewMode === 'listingAge' && (
+        <ListingAgeView data={filteredData} />
+      )}
+      
+      {/* 연석/이어진 열 단체 구매 조합 */}
+      {viewMode === 'groupPlanner' && (
+        <GroupPlannerView data={filteredData} />
+      )}
+      
+      {/* 중복·의심 매물 검사 결과 */}
+      {viewMode === 'quality' && (
+        <DataQualityView issues={scopedIssues} excluded={flaggedExcluded} />
+      )}
+      
+      {/* 전체 매물 목록 */}
+      {viewMode === 'listings' && (
+        <ListingsTable data={filteredData} />
+      )}
+      
+      {/* 스냅샷별 가격 추이 */}
+      {viewMode === 'trend' && (
+        <PriceTrendView data={allSnapshotsData} snapshots={snapshots} />
+      )}
+      
+      {/* 공연별 등급/층 가격 비교 */}
+      {viewMode === 'compare' && (
+        <EventComparisonView data={comparisonData} />
+      )}
+      
+      {/* 스냅샷 간 매물 변화 */}
+      {viewMode === 'changes' && (
+        <SnapshotChangesView data={allSnapshotsData} snapshots={snapshots} />
+      )}
     </div>
   );
 };
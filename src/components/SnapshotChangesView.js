@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import _ from 'lodash';
+import ExportButtons from './ExportButtons';
+import { formatPrice, formatSnapshotDate } from '../utils/format';
+import { diffSnapshots, getListingKey, summarizeDiffByZone } from '../analytics';
+
+const formatDelta = (delta) => {
+  if (!delta) return '-';
+  return `${delta > 0 ? '+' : '-'}${formatPrice(Math.abs(Math.round(delta)))}`;
+};
+
+const SnapshotChangesView = ({ data, snapshots }) => {
+  const [beforeDate, setBeforeDate] = useState(
+    snapshots.length > 1 ? snapshots[snapshots.length - 2].date : snapshots[0]?.date
+  );
+  const [afterDate, setAfterDate] = useState(snapshots[snapshots.length - 1]?.date);
+
+  const diff = diffSnapshots(
+    data.filter(item => item.스냅샷 === beforeDate),
+    data.filter(item => item.스냅샷 === afterDate)
+  );
+  const zoneSummary = summarizeDiffByZone(diff);
+  const beforeCount = diff.removed.length + diff.repriced.length + diff.unchanged.length;
+  const sellThrough = beforeCount > 0 ? diff.removed.length / beforeCount : 0;
+  const repricedListings = _.sortBy(diff.repriced, change => change.delta);
+
+  const renderSnapshotSelect = (label, value, onChange) => (
+    <div>
+      <label className="block text-sm font-medium mb-1">{label}:</label>
+      <select
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full p-2 border rounded"
+      >
+        {snapshots.map(snapshot => (
+          <option key={snapshot.date} value={snapshot.date}>{formatSnapshotDate(snapshot.date)}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="bg-white p-4 rounded shadow mb-6">
+      <h2 className="text-lg font-semibold mb-4">스냅샷 간 매물 변화</h2>
+
+      <div className="mb-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+        {renderSnapshotSelect('이전 스냅샷', beforeDate, setBeforeDate)}
+        {renderSnapshotSelect('이후 스냅샷', afterDate, setAfterDate)}
+      </div>
+
+      {beforeDate === afterDate && (
+        <p className="mb-4 text-sm text-gray-500">서로 다른 두 스냅샷을 선택하세요.</p>
+      )}
+
+      <div className="mb-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="bg-gray-50 p-4 rounded">
+          <h3 className="text-sm font-medium text-gray-500">신규 매물</h3>
+          <p className="text-xl font-bold">{diff.added.length}장</p>
+        </div>
+        <div className="bg-gray-50 p-4 rounded">
+          <h3 className="text-sm font-medium text-gray-500">사라진 매물 (판매 추정)</h3>
+          <p className="text-xl font-bold">{diff.removed.length}장</p>
+        </div>
+        <div className="bg-gray-50 p-4 rounded">
+          <h3 className="text-sm font-medium text-gray-500">가격 변경</h3>
+          <p className="text-xl font-bold">{diff.repriced.length}장</p>
+        </div>
+        <div className="bg-gray-50 p-4 rounded">
+          <h3 className="text-sm font-medium text-gray-500">추정 판매율</h3>
+          <p className="text-xl font-bold">{(sellThrough * 100).toFixed(1)}%</p>
+        </div>
+      </div>
+
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-md font-semibold">구역별 변화</h3>
+          <ExportButtons
+            filename="구역별_매물_변화"
+            rows={zoneSummary.map(item => ({ ...item, avgDelta: Math.round(item.avgDelta), sellThrough: Number(item.sellThrough.toFixed(3)) }))}
+            columns={[
+              { key: 'zone', label: '구역' },
+              { key: 'addedCount', label: '신규' },
+              { key: 'removedCount', label: '사라짐' },
+              { key: 'repricedCount', label: '가격 변경' },
+              { key: 'avgDelta', label: '평균 가격 변화' },
+              { key: 'sellThrough', label: '추정 판매율' }
+            ]}
+          />
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-2 px-4 text-left">구역</th>
+                <th className="py-2 px-4 text-right">신규</th>
+                <th className="py-2 px-4 text-right">사라짐</th>
+                <th className="py-2 px-4 text-right">가격 변경</th>
+                <th className="py-2 px-4 text-right">평균 가격 변화</th>
+                <th className="py-2 px-4 text-right">추정 판매율</th>
+              </tr>
+            </thead>
+            <tbody>
+              {zoneSummary.map((item) => (
+                <tr key={item.zone} className="border-b hover:bg-gray-50">
+                  <td className="py-2 px-4">{item.zone}</td>
+                  <td className="py-2 px-4 text-right">{item.addedCount}</td>
+                  <td className="py-2 px-4 text-right">{item.removedCount}</td>
+                  <td className="py-2 px-4 text-right">{item.repricedCount}</td>
+                  <td className="py-2 px-4 text-right">{formatDelta(item.avgDelta)}</td>
+                  <td className="py-2 px-4 text-right">{(item.sellThrough * 100).toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-md font-semibold">가격이 변경된 매물</h3>
+          <ExportButtons
+            filename="가격_변경_매물"
+            rows={repricedListings.map(({ before, after, delta }) => ({ ...after, 이전가격: before.가격, 변화: delta }))}
+            columns={[
+              { key: '공연일시', label: '공연일시' },
+              { key: '구역', label: '구역' },
+              { key: '열', label: '열' },
+              { key: '층', label: '층' },
+              { key: '등급', label: '등급' },
+              { key: '이전가격', label: '이전 가격' },
+              { key: '가격', label: '현재 가격' },
+              { key: '변화', label: '변화' }
+            ]}
+          />
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-2 px-4 text-left">공연일시</th>
+                <th className="py-2 px-4 text-left">구역</th>
+                <th className="py-2 px-4 text-right">열</th>
+                <th className="py-2 px-4 text-left">층</th>
+                <th className="py-2 px-4 text-left">등급</th>
+                <th className="py-2 px-4 text-right">이전 가격</th>
+                <th className="py-2 px-4 text-right">현재 가격</th>
+                <th className="py-2 px-4 text-right">변화</th>
+              </tr>
+            </thead>
+            <tbody>
+              {repricedListings.map(({ before, after, delta }, index) => (
+                <tr key={`${getListingKey(before)}-${index}`} className="border-b hover:bg-gray-50">
+                  <td className="py-2 px-4">{after.공연일시}</td>
+                  <td className="py-2 px-4">{after.구역}</td>
+                  <td className="py-2 px-4 text-right">{after.열}</td>
+                  <td className="py-2 px-4">{after.층}</td>
+                  <td className="py-2 px-4">{after.등급}</td>
+                  <td className="py-2 px-4 text-right">{formatPrice(before.가격)}</td>
+                  <td className="py-2 px-4 text-right">{formatPrice(after.가격)}</td>
+                  <td className={`py-2 px-4 text-right ${delta > 0 ? 'text-red-600' : 'text-blue-600'}`}>{formatDelta(delta)}</td>
+                </tr>
+              ))}
+              {repricedListings.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="py-2 px-4 text-center text-gray-500">가격이 변경된 매물이 없습니다.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SnapshotChangesView;
@@ -0,0 +1,130 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { formatSnapshotDate } from '../utils/format';
+import {
+  SNAPSHOT_SOURCES,
+  clearStoredSnapshots,
+  deleteStoredSnapshot,
+  estimateStorage,
+  isSnapshotStoreAvailable,
+  listStoredSnapshots
+} from '../utils/snapshotStore';
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  return `${Math.round(bytes / 1024)}KB`;
+};
+
+const formatSavedAt = (savedAt) => new Date(savedAt).toLocaleString('ko-KR');
+
+// 브라우저(IndexedDB)에 저장된 스냅샷 목록과 삭제
+// 배포된 스냅샷은 삭제해도 다음에 열 때 다시 받아 저장하고, 업로드한 스냅샷은 화면에서도 빠진다
+const SnapshotManagerPanel = ({ onRemoveUpload }) => {
+  const [records, setRecords] = useState([]);
+  const [storage, setStorage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [stored, estimate] = await Promise.all([listStoredSnapshots(), estimateStorage()]);
+      setRecords(stored);
+      setStorage(estimate);
+    } catch (error) {
+      setError(error.message);
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // 삭제하지 못했으면 화면의 스냅샷도 그대로 둔다
+  const handleDelete = async (record) => {
+    try {
+      setError(null);
+      await deleteStoredSnapshot(record.date);
+      if (record.source === 'upload') onRemoveUpload([record.date]);
+    } catch (error) {
+      setError(error.message);
+    }
+    refresh();
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('저장된 스냅샷을 모두 삭제할까요? 업로드한 스냅샷은 다시 올려야 합니다.')) return;
+    try {
+      setError(null);
+      await clearStoredSnapshots();
+      onRemoveUpload(records.filter(record => record.source === 'upload').map(record => record.date));
+    } catch (error) {
+      setError(error.message);
+    }
+    refresh();
+  };
+
+  return (
+    <div className="mb-4 p-4 bg-white rounded shadow">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold">저장된 스냅샷</h2>
+        <button
+          type="button"
+          onClick={handleClear}
+          disabled={records.length === 0}
+          className="px-3 py-1 text-sm border rounded hover:bg-gray-100 disabled:opacity-50"
+        >
+          모두 삭제
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        불러온 스냅샷은 파싱한 결과와 함께 이 브라우저에 저장되어, 다음에는 다시 받지 않고 인터넷이 안 될 때도 열 수 있습니다.
+        {storage && ` 사용 중인 저장 공간: ${formatBytes(storage.usage)} / ${formatBytes(storage.quota)}`}
+      </p>
+
+      {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+      {!isSnapshotStoreAvailable() && (
+        <p className="text-sm text-gray-500">이 브라우저에서는 스냅샷을 저장할 수 없습니다.</p>
+      )}
+      {isSnapshotStoreAvailable() && !loading && !error && records.length === 0 && (
+        <p className="text-sm text-gray-500">저장된 스냅샷이 없습니다.</p>
+      )}
+
+      {records.length > 0 && (
+        <table className="min-w-full bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-left">스냅샷</th>
+              <th className="py-2 px-4 text-left">파일</th>
+              <th className="py-2 px-4 text-left">출처</th>
+              <th className="py-2 px-4 text-right">매물 수</th>
+              <th className="py-2 px-4 text-left">저장 시각</th>
+              <th className="py-2 px-4"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {records.map(record => (
+              <tr key={record.date} className="border-b">
+                <td className="py-2 px-4">{formatSnapshotDate(record.date)}</td>
+                <td className="py-2 px-4">{record.file}</td>
+                <td className="py-2 px-4">{SNAPSHOT_SOURCES[record.source] || record.source}</td>
+                <td className="py-2 px-4 text-right">{record.rowCount}장</td>
+                <td className="py-2 px-4 text-sm text-gray-600">{formatSavedAt(record.savedAt)}</td>
+                <td className="py-2 px-4 text-right">
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(record)}
+                    className="text-sm text-gray-500 hover:text-red-600"
+                  >
+                    삭제
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotManagerPanel;
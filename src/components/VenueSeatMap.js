@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import _ from 'lodash';
+import ZoneDetailPanel from './ZoneDetailPanel';
+import { formatPrice } from '../utils/format';
+import { getContinuousPriceColor, PRICE_COLOR_GRADIENT } from '../utils/color';
+import { loadVenue } from '../utils/venues';
+import { MISSING_KEY, aggregateBy } from '../analytics';
+
+const VenueSeatMap = ({ data, showName }) => {
+  const [venue, setVenue] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [hoveredZone, setHoveredZone] = useState(null);
+  const [selectedZone, setSelectedZone] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchVenue = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await loadVenue(showName);
+        if (!cancelled) setVenue(result);
+      } catch (error) {
+        if (!cancelled) setError(`좌석 배치도 로드 오류: ${error.message}`);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchVenue();
+    return () => {
+      cancelled = true;
+    };
+  }, [showName]);
+
+  if (loading) {
+    return <div className="bg-white p-4 rounded shadow mb-6 text-center">좌석 배치도를 로드 중입니다...</div>;
+  }
+
+  if (error) {
+    return <div className="bg-white p-4 rounded shadow mb-6 text-center text-red-600">{error}</div>;
+  }
+
+  if (!venue) {
+    return (
+      <div className="bg-white p-4 rounded shadow mb-6 text-center text-gray-500">
+        {showName} 공연의 좌석 배치도가 없습니다. public/venues/index.json에 배치도를 등록하세요.
+      </div>
+    );
+  }
+
+  // 구역별 가격 요약
+  const zoneGroups = aggregateBy(data, '구역').filter(group => group.key !== MISSING_KEY);
+  const groupedByZone = _.mapValues(_.keyBy(zoneGroups, 'key'), 'rows');
+  const zoneStats = _.mapValues(_.keyBy(zoneGroups, 'key'), group => ({
+    avgPrice: group.mean ?? 0,
+    minPrice: group.min ?? 0,
+    count: group.count
+  }));
+  const avgPrices = Object.values(zoneStats).map(stats => stats.avgPrice).filter(Boolean);
+  const minAvgPrice = avgPrices.length > 0 ? _.min(avgPrices) : 0;
+  const maxAvgPrice = avgPrices.length > 0 ? _.max(avgPrices) : 0;
+
+  // 배치도에 없는 구역 코드는 별도로 표시
+  const mappedZoneIds = new Set(venue.zones.map(zone => zone.id));
+  const unmappedZones = Object.keys(zoneStats).filter(zone => !mappedZoneIds.has(zone));
+
+  const hoveredStats = hoveredZone && zoneStats[hoveredZone.id];
+
+  return (
+    <div className="bg-white p-4 rounded shadow mb-6">
+      <h2 className="text-lg font-semibold mb-1">좌석 배치도 - {venue.name}</h2>
+      {venue.note && <p className="text-xs text-gray-500 mb-4">{venue.note}</p>}
+
+      <div className="relative" onMouseLeave={() => setHoveredZone(null)}>
+        <svg viewBox={venue.viewBox} className="w-full h-auto">
+          {venue.field && <polygon points={venue.field.points} fill="#f3f4f6" stroke="#d1d5db" />}
+          {venue.stage && (
+            <g>
+              <polygon points={venue.stage.points} fill="#374151" />
+              <text x={venue.stage.label[0]} y={venue.stage.label[1]} fill="white" fontSize="16" textAnchor="middle" dominantBaseline="middle">STAGE</text>
+            </g>
+          )}
+          {venue.zones.map(zone => {
+            const stats = zoneStats[zone.id];
+            const isSelected = selectedZone === zone.id;
+
+            return (
+              <g
+                key={zone.id}
+                className={stats ? 'cursor-pointer' : ''}
+                onMouseMove={(e) => {
+                  const bounds = e.currentTarget.ownerSVGElement.getBoundingClientRect();
+                  setHoveredZone({ id: zone.id, x: e.clientX - bounds.left, y: e.clientY - bounds.top });
+                }}
+                onClick={() => stats && setSelectedZone(zone.id)}
+              >
+                <polygon
+                  points={zone.points}
+                  fill={getContinuousPriceColor(stats && stats.avgPrice, minAvgPrice, maxAvgPrice)}
+                  stroke={isSelected ? '#facc15' : 'white'}
+                  strokeWidth={isSelected ? 4 : 1}
+                />
+                <text
+                  x={zone.label[0]}
+                  y={zone.label[1]}
+                  fontSize="10"
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fill={stats ? 'white' : '#6b7280'}
+                  pointerEvents="none"
+                >
+                  {zone.id}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+
+        {hoveredZone && (
+          <div
+            className="absolute pointer-events-none bg-white border rounded shadow px-3 py-2 text-sm"
+            style={{ left: hoveredZone.x + 12, top: hoveredZone.y + 12 }}
+          >
+            <div className="font-bold">{hoveredZone.id}</div>
+            {hoveredStats ? (
+              <>
+                <div>평균 {formatPrice(Math.round(hoveredStats.avgPrice))}</div>
+                <div>최저 {formatPrice(hoveredStats.minPrice)}</div>
+                <div>{hoveredStats.count}장</div>
+              </>
+            ) : (
+              <div className="text-gray-500">매물 없음</div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="mt-4 flex items-center justify-center">
+        <div className="text-sm mr-2">구역 평균 가격:</div>
+        <div className="text-xs mr-2">{formatPrice(Math.round(minAvgPrice))}</div>
+        <div className="w-48 h-3 rounded" style={{ background: PRICE_COLOR_GRADIENT }}></div>
+        <div className="text-xs ml-2">{formatPrice(Math.round(maxAvgPrice))}</div>
+      </div>
+
+      {unmappedZones.length > 0 && (
+        <div className="mt-4 text-sm">
+          <span className="text-gray-500 mr-2">배치도에 없는 구역:</span>
+          {unmappedZones.map(zone => (
+            <button
+              key={zone}
+              onClick={() => setSelectedZone(zone)}
+              className="mr-2 mb-1 px-2 py-1 rounded bg-gray-100 hover:bg-gray-200"
+            >
+              {zone} ({zoneStats[zone].count}장)
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selectedZone && (
+        <ZoneDetailPanel
+          zone={selectedZone}
+          items={groupedByZone[selectedZone] || []}
+          onClose={() => setSelectedZone(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default VenueSeatMap;
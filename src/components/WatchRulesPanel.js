@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { createWatchRule, describeWatchRule } from '../analytics';
+import { getNotificationPermission, requestNotificationPermission } from '../utils/watchRules';
+import { formatConditions } from '../utils/format';
+
+// 현재 공연 선택과 필터를 감시 규칙으로 저장하고, 저장한 규칙을 관리한다
+const WatchRulesPanel = ({ rules, event, filters, onChange, onCheckNow }) => {
+  const [name, setName] = useState('');
+  const [maxMarkupPercent, setMaxMarkupPercent] = useState('');
+  const [permission, setPermission] = useState(getNotificationPermission);
+
+  const draft = createWatchRule({
+    id: null,
+    name,
+    event,
+    filters,
+    maxMarkupRatio: maxMarkupPercent === '' ? null : Number(maxMarkupPercent) / 100
+  });
+
+  const handleSave = () => {
+    const rule = { ...draft, id: String(Date.now()), name: name.trim() || formatConditions(describeWatchRule(draft)) };
+    onChange([...rules, rule]);
+    setName('');
+    setMaxMarkupPercent('');
+  };
+
+  const handleRequestPermission = async () => {
+    setPermission(await requestNotificationPermission());
+  };
+
+  return (
+    <div className="mb-4 p-4 bg-white rounded shadow">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">가격 알림 규칙</h2>
+        <div className="flex items-center gap-2 text-sm">
+          {permission === 'default' && (
+            <button type="button" onClick={handleRequestPermission} className="px-3 py-1 border rounded hover:bg-gray-100">
+              브라우저 알림 허용
+            </button>
+          )}
+          {permission === 'denied' && <span className="text-gray-500">브라우저 알림이 차단되어 있습니다</span>}
+          <button
+            type="button"
+            onClick={onCheckNow}
+            disabled={rules.length === 0}
+            className="px-3 py-1 border rounded hover:bg-gray-100 disabled:opacity-50"
+          >
+            선택한 스냅샷으로 확인
+          </button>
+        </div>
+      </div>
+
+      <p className="mb-2 text-sm text-gray-600">
+        지금 선택한 공연과 필터로 규칙을 만듭니다: <span className="font-medium">{formatConditions(describeWatchRule(draft))}</span>
+      </p>
+      <div className="mb-4 flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-1">규칙 이름:</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="예: 2층 R 연석"
+            className="p-2 border rounded"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">정가 대비 상한 (%):</label>
+          <input
+            type="number"
+            value={maxMarkupPercent}
+            onChange={(e) => setMaxMarkupPercent(e.target.value)}
+            placeholder="예: 20"
+            className="p-2 border rounded w-32"
+          />
+        </div>
+        <button
+          type="button"
+          onClick={handleSave}
+          className="px-4 py-2 rounded bg-blue-600 text-white hover:bg-blue-700"
+        >
+          규칙 저장
+        </button>
+      </div>
+
+      {rules.length === 0 ? (
+        <p className="text-sm text-gray-500">저장한 규칙이 없습니다. 새 스냅샷이 들어오면 저장한 규칙에 맞는 매물을 알려 드립니다.</p>
+      ) : (
+        <table className="min-w-full bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-left">이름</th>
+              <th className="py-2 px-4 text-left">조건</th>
+              <th className="py-2 px-4"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => (
+              <tr key={rule.id} className="border-b">
+                <td className="py-2 px-4">{rule.name}</td>
+                <td className="py-2 px-4 text-sm text-gray-600">{formatConditions(describeWatchRule(rule))}</td>
+                <td className="py-2 px-4 text-right">
+                  <button
+                    type="button"
+                    onClick={() => onChange(rules.filter(item => item.id !== rule.id))}
+                    className="text-sm text-gray-500 hover:text-red-600"
+                  >
+                    삭제
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default WatchRulesPanel;
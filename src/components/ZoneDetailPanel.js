@@ -0,0 +1,107 @@
+import React from 'react';
+import { ComposedChart, Scatter, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import _ from 'lodash';
+import { formatPrice } from '../utils/format';
+import { fitTheilSen } from '../utils/regression';
+
+const getRow = (item) => {
+  const row = parseInt(item.열, 10);
+  return Number.isNaN(row) ? null : row;
+};
+
+const ZoneDetailPanel = ({ zone, items, onClose }) => {
+  const listings = _.sortBy(items, [item => getRow(item) ?? Infinity, '가격']);
+
+  // 열 대비 가격 추세 (열 번호가 작을수록 무대에 가깝다)
+  const points = listings
+    .filter(item => getRow(item) !== null && item.가격)
+    .map(item => ({ x: getRow(item), y: item.가격 }));
+  const fit = fitTheilSen(points);
+  const rowPremium = fit ? -fit.slope : null;
+  const getTrendPrice = (row) => (fit && row !== null ? fit.intercept + fit.slope * row : null);
+
+  const rows = points.map(point => point.x);
+  const trendLine = fit && rows.length > 0
+    ? [_.min(rows), _.max(rows)].map(row => ({ row, price: Math.round(getTrendPrice(row)) }))
+    : [];
+
+  return (
+    <div className="mt-6 border-t pt-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-md font-semibold">{zone} 구역 매물 ({listings.length}장)</h3>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">닫기</button>
+      </div>
+
+      <div className="mb-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-gray-50 p-4 rounded">
+          <h4 className="text-sm font-medium text-gray-500">무대 쪽 1열당 프리미엄</h4>
+          <p className="text-xl font-bold">
+            {rowPremium === null ? '-' : `${rowPremium >= 0 ? '+' : '-'}${formatPrice(Math.abs(Math.round(rowPremium)))}`}
+          </p>
+        </div>
+        <div className="bg-gray-50 p-4 rounded">
+          <h4 className="text-sm font-medium text-gray-500">{_.min(rows) ?? '-'}열 추세 가격</h4>
+          <p className="text-xl font-bold">{fit ? formatPrice(Math.round(getTrendPrice(_.min(rows)))) : '-'}</p>
+        </div>
+        <div className="bg-gray-50 p-4 rounded">
+          <h4 className="text-sm font-medium text-gray-500">{_.max(rows) ?? '-'}열 추세 가격</h4>
+          <p className="text-xl font-bold">{fit ? formatPrice(Math.round(getTrendPrice(_.max(rows)))) : '-'}</p>
+        </div>
+      </div>
+
+      <div className="h-72 mb-4">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart margin={{ top: 5, right: 30, left: 80, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" dataKey="row" name="열" domain={['dataMin', 'dataMax']} allowDecimals={false} />
+            <YAxis type="number" dataKey="price" name="가격" tickFormatter={(value) => formatPrice(value)} />
+            <Tooltip formatter={(value, name) => (name === '열' ? `${value}열` : formatPrice(value))} />
+            <Legend />
+            <Scatter name="매물" data={points.map(point => ({ row: point.x, price: point.y }))} fill="#8884d8" />
+            <Line name="열별 추세" data={trendLine} dataKey="price" stroke="#ff7f50" dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-4 text-right">열</th>
+              <th className="py-2 px-4 text-left">공연일시</th>
+              <th className="py-2 px-4 text-left">층</th>
+              <th className="py-2 px-4 text-left">등급</th>
+              <th className="py-2 px-4 text-right">가격</th>
+              <th className="py-2 px-4 text-right">추세 대비</th>
+              <th className="py-2 px-4 text-left">연결석</th>
+              <th className="py-2 px-4 text-left">특이사항</th>
+            </tr>
+          </thead>
+          <tbody>
+            {listings.map((item, index) => {
+              const trendPrice = getTrendPrice(getRow(item));
+              const diff = trendPrice && item.가격 ? (item.가격 - trendPrice) / trendPrice : null;
+
+              return (
+                <tr key={index} className="border-b hover:bg-gray-50">
+                  <td className="py-2 px-4 text-right">{item.열}</td>
+                  <td className="py-2 px-4">{item.공연일시}</td>
+                  <td className="py-2 px-4">{item.층}</td>
+                  <td className="py-2 px-4">{item.등급}</td>
+                  <td className="py-2 px-4 text-right">{formatPrice(item.가격)}</td>
+                  <td className={`py-2 px-4 text-right ${diff < 0 ? 'text-blue-600' : diff > 0 ? 'text-red-600' : ''}`}>
+                    {diff === null ? '-' : `${diff > 0 ? '+' : ''}${(diff * 100).toFixed(1)}%`}
+                  </td>
+                  <td className="py-2 px-4">{item.연결석여부}</td>
+                  <td className="py-2 px-4">{item.특이사항}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ZoneDetailPanel;
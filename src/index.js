@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -11,6 +12,14 @@ root.render(
   </React.StrictMode>
 );
 
+// 앱 셸을 캐시해 오프라인에서도 열리게 한다
+// 새 버전이 설치되면 대기하지 않고 바로 활성화한다 (다음에 열 때 새 버전으로 뜬다)
+serviceWorkerRegistration.register({
+  onUpdate: (registration) => {
+    if (registration.waiting) registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+  }
+});
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
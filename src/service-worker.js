@@ -0,0 +1,52 @@
+/* eslint-disable no-restricted-globals */
+
+// 빌드 때 CRA(InjectManifest)가 이 파일을 service-worker.js로 만든다
+// - 앱 셸(빌드 산출물)은 미리 캐시해 오프라인에서도 화면이 뜬다
+// - 공용 폴더의 CSV/JSON은 네트워크를 먼저 쓰고, 실패하면 마지막으로 받은 응답을 쓴다
+//   (파싱한 스냅샷은 앱이 IndexedDB에 따로 저장한다: utils/snapshotStore.js)
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { NetworkFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// 페이지 이동은 모두 index.html로 (파일 요청과 /_ 로 시작하는 경로는 제외)
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(csv|json)$/.test(url.pathname),
+  new NetworkFirst({
+    cacheName: 'data',
+    networkTimeoutSeconds: 5,
+    plugins: [new ExpirationPlugin({ maxEntries: 100 })]
+  })
+);
+
+// 아이콘 등 공용 폴더 이미지
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|svg|jpe?g)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+);
+
+// 대기 중인 새 버전을 바로 활성화하라는 메시지 (index.js의 onUpdate에서 보낸다)
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
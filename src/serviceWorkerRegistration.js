@@ -0,0 +1,72 @@
+// 서비스 워커 등록 (프로덕션 빌드에서만, src/service-worker.js 참고)
+// 개발 서버에서는 캐시 때문에 수정 사항이 안 보이는 일을 막기 위해 등록하지 않는다
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+    window.location.hostname === '[::1]' ||
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+// 새 서비스 워커가 설치되면 onUpdate(기존 탭은 대기 중), 처음 설치되면 onSuccess를 부른다
+const registerValidSW = async (swUrl, config) => {
+  try {
+    const registration = await navigator.serviceWorker.register(swUrl);
+    registration.onupdatefound = () => {
+      const installingWorker = registration.installing;
+      if (!installingWorker) return;
+      installingWorker.onstatechange = () => {
+        if (installingWorker.state !== 'installed') return;
+        if (navigator.serviceWorker.controller) {
+          if (config && config.onUpdate) config.onUpdate(registration);
+        } else if (config && config.onSuccess) {
+          config.onSuccess(registration);
+        }
+      };
+    };
+  } catch (error) {
+    console.error(`서비스 워커 등록 오류: ${error.message}`);
+  }
+};
+
+// localhost에서 빌드를 띄운 경우 서비스 워커 파일이 실제로 있는지 먼저 확인한다
+const checkValidServiceWorker = async (swUrl, config) => {
+  try {
+    const response = await fetch(swUrl, { headers: { 'Service-Worker': 'script' } });
+    const contentType = response.headers.get('content-type');
+    if (response.status === 404 || (contentType && !contentType.includes('javascript'))) {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.unregister();
+      window.location.reload();
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  } catch (error) {
+    console.log('인터넷에 연결되어 있지 않습니다. 오프라인 모드로 실행합니다.');
+  }
+};
+
+export const register = (config) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // PUBLIC_URL이 다른 출처면 서비스 워커가 동작하지 않는다 (CDN 배포 등)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl, config);
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  });
+};
+
+export const unregister = async () => {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.unregister();
+  } catch (error) {
+    console.error(error.message);
+  }
+};
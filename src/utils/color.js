@@ -0,0 +1,44 @@
+// 가격 히트맵의 5단계 색상 (blue-900 → blue-700 → blue-500 → red-500 → red-700)
+const PRICE_COLOR_STOPS = ['#1e3a8a', '#1d4ed8', '#3b82f6', '#ef4444', '#b91c1c'];
+
+const EMPTY_COLOR = '#e5e7eb';
+
+// 여러 계열을 나란히 그리는 차트(추이, 공연 비교)의 계열 색상
+export const SERIES_COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff7f50', '#0088fe', '#00c49f', '#a4de6c', '#d0ed57', '#8dd1e1', '#e57373'];
+
+const hexToRgb = (hex) => [1, 3, 5].map(index => parseInt(hex.substring(index, index + 2), 16));
+
+// 히트맵 색상 단계를 연속적으로 보간한 색상
+export const getContinuousPriceColor = (price, minPrice, maxPrice) => {
+  if (!price) return EMPTY_COLOR;
+
+  const ratio = maxPrice > minPrice ? (price - minPrice) / (maxPrice - minPrice) : 0;
+  const position = Math.min(Math.max(ratio, 0), 1) * (PRICE_COLOR_STOPS.length - 1);
+  const index = Math.min(Math.floor(position), PRICE_COLOR_STOPS.length - 2);
+  const t = position - index;
+  const from = hexToRgb(PRICE_COLOR_STOPS[index]);
+  const to = hexToRgb(PRICE_COLOR_STOPS[index + 1]);
+
+  const [r, g, b] = from.map((value, channel) => Math.round(value + (to[channel] - value) * t));
+  return `rgb(${r}, ${g}, ${b})`;
+};
+
+export const PRICE_COLOR_GRADIENT = `linear-gradient(to right, ${PRICE_COLOR_STOPS.join(', ')})`;
+
+// 값 범위 안에서의 위치에 따른 히트맵 Tailwind 색상 클래스 (값이 없으면 회색)
+export const getHeatColorClass = (value, minValue, maxValue) => {
+  if (value === null || value === undefined) return 'bg-gray-200';
+
+  const ratio = maxValue > minValue ? (value - minValue) / (maxValue - minValue) : 0;
+
+  if (ratio < 0.2) return 'bg-blue-900 text-white';
+  if (ratio < 0.4) return 'bg-blue-700 text-white';
+  if (ratio < 0.6) return 'bg-blue-500 text-white';
+  if (ratio < 0.8) return 'bg-red-500 text-white';
+  return 'bg-red-700 text-white';
+};
+
+// 가격 히트맵 색상 (가격이 0이거나 없으면 회색)
+export const getPriceColorClass = (price, minPrice, maxPrice) => {
+  return price ? getHeatColorClass(price, minPrice, maxPrice) : 'bg-gray-200';
+};
@@ -0,0 +1,98 @@
+import Papa from 'papaparse';
+import { normalizeRow, parseDateTimeParts } from '../analytics';
+
+// 대시보드가 기대하는 매물 CSV 컬럼과 다른 이름으로 들어올 때 알아볼 별칭
+export const EXPECTED_COLUMNS = [
+  { key: '카테고리1', aliases: ['category', 'category1'] },
+  { key: '카테고리2', aliases: ['artist', 'category2'] },
+  { key: '공연명', aliases: ['show', 'title', 'event'] },
+  { key: '공연일시', aliases: ['performance', 'showtime', '공연일'], required: true },
+  { key: '구역', aliases: ['zone', 'section', 'block'], required: true },
+  { key: '열', aliases: ['row'] },
+  { key: '층', aliases: ['floor', 'level'], required: true },
+  { key: '등급', aliases: ['grade', 'class', 'tier'], required: true },
+  { key: '가격', aliases: ['price', '판매가', '금액'], required: true },
+  { key: '등록일시', aliases: ['registered', 'listed', '등록일'] },
+  { key: '상태', aliases: ['status'] },
+  { key: '연결석여부', aliases: ['connected', 'adjacent', '연석'] },
+  { key: '특이사항', aliases: ['note', 'notes', 'memo', '비고'] }
+];
+
+// 예매처 층 표기. 이 밖의 값은 검증 보고서에 표시한다
+export const KNOWN_FLOORS = ['플로어석 (Floor)', '2층 (2F)', '3층 (3F)', '4층 (4F)', 'Play＆Stay'];
+
+const normalizeHeader = (header) => String(header).replace(/^\uFEFF/, '').trim().toLowerCase();
+
+// 업로드한 CSV를 웹 워커에서 파싱한다 (머리글과 행을 그대로 반환)
+export const parseCsvFile = (file) => {
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      worker: true,
+      complete: (results) => resolve({ headers: results.meta.fields || [], rows: results.data }),
+      error: (error) => reject(new Error(`CSV 파싱 오류: ${error.message}`))
+    });
+  });
+};
+
+// 컬럼 이름이 같거나 별칭과 맞는 머리글을 찾아 { 기대 컬럼: 파일 머리글 } 매핑을 만든다
+export const guessColumnMapping = (headers) => {
+  const mapping = {};
+  EXPECTED_COLUMNS.forEach(column => {
+    const candidates = [column.key, ...column.aliases].map(normalizeHeader);
+    const exact = headers.find(header => candidates.includes(normalizeHeader(header)));
+    const partial = headers.find(header => candidates.some(candidate => normalizeHeader(header).includes(candidate)));
+    mapping[column.key] = exact || partial || '';
+  });
+  return mapping;
+};
+
+const cleanText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+// 매핑에 따라 파일의 행을 대시보드 스키마로 바꾼다
+export const applyColumnMapping = (rows, mapping) => {
+  return rows.map(row => {
+    const mapped = {};
+    EXPECTED_COLUMNS.forEach(column => {
+      const header = mapping[column.key];
+      mapped[column.key] = header ? cleanText(row[header]) : '';
+    });
+    return normalizeRow(mapped);
+  });
+};
+
+// 행을 검사해 사용할 행과 문제 목록을 돌려준다
+// 가격이 없거나 잘못된 행은 집계에서 빼고(error), 나머지 문제는 행을 유지한 채 알린다(warning)
+export const validateRows = (rows) => {
+  const validRows = [];
+  const issues = [];
+
+  rows.forEach((row, index) => {
+    // 머리글 행을 1행으로 보고 실제 CSV 줄 번호를 표시
+    const rowNumber = index + 2;
+    let hasError = false;
+    const addIssue = (level, field, message) => {
+      hasError = hasError || level === 'error';
+      issues.push({ rowNumber, level, field, value: row[field], message });
+    };
+
+    if (row.가격 === null || Number.isNaN(row.가격)) {
+      addIssue('error', '가격', '가격이 없거나 숫자가 아닙니다');
+    } else if (row.가격 <= 0) {
+      addIssue('error', '가격', '가격이 0 이하입니다');
+    }
+    ['공연일시', '등록일시'].forEach(field => {
+      if (row[field] && !parseDateTimeParts(row[field])) {
+        addIssue('warning', field, '날짜 형식(MM.DD HH:mm)이 아닙니다');
+      }
+    });
+    if (!row.공연일시) addIssue('warning', '공연일시', '공연일시가 없습니다');
+    if (!KNOWN_FLOORS.includes(row.층)) addIssue('warning', '층', '알 수 없는 층입니다');
+    if (!row.구역) addIssue('warning', '구역', '구역이 없습니다');
+
+    if (!hasError) validRows.push(row);
+  });
+
+  return { validRows, issues };
+};
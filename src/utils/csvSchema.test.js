@@ -0,0 +1,35 @@
+import { applyColumnMapping, guessColumnMapping, validateRows } from './csvSchema';
+
+test('maps English and aliased headers onto the listing schema', () => {
+  const mapping = guessColumnMapping(['\uFEFFShow', 'Performance', 'Zone', 'Row', 'Floor', 'Grade', 'Price', '비고']);
+
+  expect(mapping).toMatchObject({
+    공연명: '\uFEFFShow',
+    공연일시: 'Performance',
+    구역: 'Zone',
+    열: 'Row',
+    층: 'Floor',
+    등급: 'Grade',
+    가격: 'Price',
+    특이사항: '비고',
+    등록일시: ''
+  });
+});
+
+test('reports invalid prices, dates and floors instead of dropping them silently', () => {
+  const mapping = { 공연일시: 'date', 구역: 'zone', 층: 'floor', 등급: 'grade', 가격: 'price' };
+  const rows = applyColumnMapping([
+    { date: '03.20  18:30', zone: 'E61', floor: '4층 (4F)', grade: 'S', price: '168,000원' },
+    { date: '3/20', zone: 'E45', floor: '5층', grade: 'S', price: '170000' },
+    { date: '03.21  18:30', zone: 'E57', floor: '4층 (4F)', grade: 'S', price: '' }
+  ], mapping);
+
+  const { validRows, issues } = validateRows(rows);
+
+  expect(validRows.map(row => row.가격)).toEqual([168000, 170000]);
+  expect(issues).toEqual([
+    expect.objectContaining({ rowNumber: 3, level: 'warning', field: '공연일시' }),
+    expect.objectContaining({ rowNumber: 3, level: 'warning', field: '층', value: '5층' }),
+    expect.objectContaining({ rowNumber: 4, level: 'error', field: '가격' })
+  ]);
+});
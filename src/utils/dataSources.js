@@ -0,0 +1,170 @@
+import { normalizeRows } from '../analytics';
+import { fetchWithRetry } from './publicFiles';
+import { loadSnapshotCsv, loadSnapshotManifest } from './snapshots';
+import { listStoredSnapshots, saveStoredSnapshot } from './snapshotStore';
+
+// 대시보드가 매물을 읽어 오는 곳 (데이터 소스)
+// - static: 공용 폴더의 snapshots.json과 날짜별 CSV (GitHub Pages 배포의 기본값)
+// - api: 매물 API (server/index.js, 또는 같은 응답 형식의 REST 엔드포인트)
+// - upload: 이 브라우저에 저장한 업로드 CSV만
+// 모든 소스는 { type, label, load(onProgress), pollInterval, hasChanges(snapshots) }이고 load는 { snapshots, rows, offline, storeError }를 돌려준다
+// storeError: 브라우저 저장소를 읽거나 쓰지 못했을 때의 문구 (데이터는 저장 없이 그대로 보여준다)
+// pollInterval(ms)이 있는 소스는 대시보드가 그 간격으로 hasChanges를 물어 바뀐 스냅샷이 있을 때만 다시 불러온다
+// static·api는 받은 스냅샷을 브라우저에 저장해 다시 받지 않고, 서버에 닿지 않으면 저장본으로 연다
+// 어느 소스든 업로드한 스냅샷이 함께 합쳐진다 (같은 날짜면 업로드가 우선)
+
+// 매물 API에서 한 번에 받을 매물 수 (서버 최대값과 같다)
+export const API_PAGE_SIZE = 1000;
+// 매물 API의 스냅샷 목록을 다시 확인하는 간격 (스크래퍼가 새 스냅샷을 올리면 반영)
+export const API_POLL_INTERVAL = 60 * 1000;
+
+const toSnapshot = (record) => ({ date: record.date, file: record.file, source: record.source });
+
+const sortByDate = (snapshots) => [...snapshots].sort((a, b) => a.date.localeCompare(b.date));
+
+const getSignature = (snapshots) => sortByDate(snapshots).map(snapshot => `${snapshot.date}|${snapshot.revision ?? ''}`).join(',');
+
+// 여러 스냅샷의 진행률(0~1)을 평균 내어 알린다
+const trackProgress = (count, onProgress) => {
+  const fractions = new Array(count).fill(0);
+  return (index) => (fraction) => {
+    fractions[index] = fraction;
+    onProgress(fractions.reduce((sum, value) => sum + value, 0) / count);
+  };
+};
+
+// 리비전을 모르는 스냅샷은 바뀌었는지 알 수 없으므로 다시 받는다
+const isReusable = (stored, snapshot) => (
+  Boolean(stored) &&
+  stored.source === snapshot.source &&
+  stored.file === snapshot.file &&
+  Boolean(snapshot.revision) &&
+  stored.revision === snapshot.revision
+);
+
+// 스냅샷 목록(listSnapshots)과 스냅샷별 행(loadRows)만 구현하면 저장·오프라인·업로드 합치기가 붙는다
+const createStoredSource = ({ type, label, listSnapshots, loadRows, pollInterval = null }) => ({
+  type,
+  label,
+  pollInterval,
+  // 지금 보여주는 스냅샷(snapshots)과 소스의 스냅샷 목록·리비전이 다른지 (업로드가 대체한 날짜는 비교하지 않는다)
+  // 목록을 받지 못하면 바뀐 것이 없다고 보고 다음 확인을 기다린다
+  hasChanges: async (snapshots) => {
+    const uploads = snapshots.filter(snapshot => snapshot.source === 'upload').map(snapshot => snapshot.date);
+    try {
+      const remote = (await listSnapshots()).filter(snapshot => !uploads.includes(snapshot.date));
+      return getSignature(remote) !== getSignature(snapshots.filter(snapshot => snapshot.source !== 'upload'));
+    } catch (error) {
+      return false;
+    }
+  },
+  load: async (onProgress = () => {}) => {
+    let storeError = null;
+    const skipStore = (fallback) => (error) => {
+      storeError = storeError || error.message;
+      return fallback;
+    };
+    const stored = await listStoredSnapshots().catch(skipStore([]));
+    const uploads = stored.filter(record => record.source === 'upload');
+    let snapshots;
+    try {
+      snapshots = (await listSnapshots()).map(snapshot => ({ ...snapshot, source: type }));
+    } catch (error) {
+      const available = stored.filter(record => record.source === type || record.source === 'upload');
+      if (available.length === 0) throw error;
+      return {
+        snapshots: available.map(toSnapshot),
+        rows: available.flatMap(record => record.rows),
+        offline: true,
+        storeError
+      };
+    }
+
+    const remote = snapshots.filter(snapshot => !uploads.some(record => record.date === snapshot.date));
+    const track = trackProgress(remote.length, onProgress);
+    let offline = false;
+    const results = await Promise.all(remote.map(async (snapshot, index) => {
+      const previous = stored.find(record => record.date === snapshot.date);
+      if (isReusable(previous, snapshot)) {
+        track(index)(1);
+        return previous.rows;
+      }
+      let rows;
+      try {
+        rows = await loadRows(snapshot, track(index));
+      } catch (error) {
+        // 목록은 캐시에서 왔지만 매물을 받지 못하면 (오프라인이면 리비전도 모른다) 같은 소스의 저장본으로 연다
+        if (!previous || previous.source !== type || previous.file !== snapshot.file) throw error;
+        offline = true;
+        track(index)(1);
+        return previous.rows;
+      }
+      await saveStoredSnapshot(snapshot, rows).catch(skipStore(null));
+      return rows;
+    }));
+    return {
+      snapshots: sortByDate([...remote, ...uploads.map(toSnapshot)]),
+      rows: [...results.flat(), ...uploads.flatMap(record => record.rows)],
+      offline,
+      storeError
+    };
+  }
+});
+
+// 저장소에서는 정적 CSV를 'public'으로 구분한다
+export const createStaticSource = () => createStoredSource({
+  type: 'public',
+  label: '정적 CSV',
+  listSnapshots: loadSnapshotManifest,
+  loadRows: loadSnapshotCsv
+});
+
+const fetchJson = async (url, label) => (await fetchWithRetry(url, { label })).json();
+
+// baseUrl이 비어 있으면 같은 출처 (개발 서버는 package.json의 proxy로 매물 API에 넘긴다)
+export const createApiSource = ({ baseUrl = '', pageSize = API_PAGE_SIZE } = {}) => createStoredSource({
+  type: 'api',
+  label: `매물 API${baseUrl ? ` (${baseUrl})` : ''}`,
+  pollInterval: API_POLL_INTERVAL,
+  listSnapshots: async () => sortByDate((await fetchJson(`${baseUrl}/api/snapshots`, '스냅샷 목록')).snapshots || []),
+  // 페이지를 차례로 받아 서버가 알려준 전체 매물 수 대비 진행률을 알린다
+  loadRows: async (snapshot, onProgress) => {
+    const rows = [];
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const params = new URLSearchParams({ snapshot: snapshot.date, page, pageSize });
+      const result = await fetchJson(`${baseUrl}/api/listings?${params}`, `${snapshot.date} 매물 ${page}쪽`);
+      normalizeRows(result.items, snapshot.date).forEach(row => rows.push(row));
+      totalPages = result.totalPages;
+      onProgress(result.total > 0 ? rows.length / result.total : 1);
+      page += 1;
+    } while (page <= totalPages);
+    return rows;
+  }
+});
+
+export const createUploadSource = () => ({
+  type: 'upload',
+  label: '업로드한 파일',
+  pollInterval: null,
+  hasChanges: async () => false,
+  load: async () => {
+    const uploads = (await listStoredSnapshots()).filter(record => record.source === 'upload');
+    return {
+      snapshots: uploads.map(toSnapshot),
+      rows: uploads.flatMap(record => record.rows),
+      offline: false,
+      storeError: null
+    };
+  }
+});
+
+// 빌드 환경 변수로 고른다
+//   REACT_APP_DATA_SOURCE=static(기본) | api | upload
+//   REACT_APP_API_URL=http://localhost:3001 (api, 비우면 같은 출처)
+export const getDataSource = (env = process.env) => {
+  if (env.REACT_APP_DATA_SOURCE === 'api') return createApiSource({ baseUrl: env.REACT_APP_API_URL || '' });
+  if (env.REACT_APP_DATA_SOURCE === 'upload') return createUploadSource();
+  return createStaticSource();
+};
@@ -0,0 +1,185 @@
+import Papa from 'papaparse';
+import { TextDecoder, TextEncoder } from 'util';
+import { API_POLL_INTERVAL, createApiSource, getDataSource } from './dataSources';
+import { fetchWithRetry } from './publicFiles';
+import * as snapshotStore from './snapshotStore';
+import { loadSnapshotCsv, loadSnapshotManifest } from './snapshots';
+
+const respond = (body, status = 200) => Promise.resolve({
+  ok: status < 400,
+  status,
+  json: () => Promise.resolve(body),
+  text: () => Promise.resolve(JSON.stringify(body))
+});
+
+const listing = (구역, 가격) => ({
+  공연명: '세븐틴 2025 - 인천', 공연일시: '03.21  18:30', 구역, 층: '2층 (2F)', 등급: 'R', 가격
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('createApiSource', () => {
+  test('pages through the listings of every snapshot and reports progress', async () => {
+    const items = [listing('N1', 250000), listing('N2', '230,000'), listing('N3', 210000)];
+    global.fetch = jest.fn((url) => {
+      const { pathname, searchParams } = new URL(url);
+      if (pathname === '/api/snapshots') {
+        return respond({ snapshots: [{ date: '2025-03-10', file: '0310.csv', revision: '1' }] });
+      }
+      const page = Number(searchParams.get('page'));
+      return respond({ items: items.slice((page - 1) * 2, page * 2), page, pageSize: 2, total: 3, totalPages: 2 });
+    });
+    const progress = [];
+
+    const result = await createApiSource({ baseUrl: 'http://localhost:3001', pageSize: 2 }).load(value => progress.push(value));
+
+    expect(result.snapshots).toEqual([{ date: '2025-03-10', file: '0310.csv', revision: '1', source: 'api' }]);
+    expect(result.rows.map(row => [row.구역, row.가격, row.스냅샷])).toEqual([
+      ['N1', 250000, '2025-03-10'], ['N2', 230000, '2025-03-10'], ['N3', 210000, '2025-03-10']
+    ]);
+    expect(progress.map(value => value.toFixed(2))).toEqual(['0.67', '1.00']);
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:3001/api/listings?snapshot=2025-03-10&page=2&pageSize=2');
+  });
+
+  test('reports changes only when the snapshot list or a revision changes', async () => {
+    let revision = '1';
+    global.fetch = jest.fn(() => respond({ snapshots: [{ date: '2025-03-10', file: '0310.csv', revision }] }));
+    const source = createApiSource();
+    const shown = [
+      { date: '2025-03-10', file: '0310.csv', revision: '1', source: 'api' },
+      { date: '2025-03-11', file: '0311.csv', source: 'upload' }
+    ];
+
+    expect(source.pollInterval).toBe(API_POLL_INTERVAL);
+    expect(await source.hasChanges(shown)).toBe(false);
+    revision = '2';
+    expect(await source.hasChanges(shown)).toBe(true);
+  });
+
+  test('fails with the server error when nothing is stored offline', async () => {
+    global.fetch = jest.fn(() => respond({ error: 'not found' }, 404));
+
+    await expect(createApiSource().load()).rejects.toThrow('스냅샷 목록 (404)');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('loads without the browser store and reports why when it cannot be opened', async () => {
+    window.indexedDB = {
+      open: () => {
+        const request = {};
+        setTimeout(() => {
+          request.error = new Error('저장 공간 부족');
+          request.onerror();
+        });
+        return request;
+      }
+    };
+    global.fetch = jest.fn((url) => (
+      url.endsWith('/api/snapshots')
+        ? respond({ snapshots: [{ date: '2025-03-10', file: '0310.csv', revision: '1' }] })
+        : respond({ items: [listing('N1', 250000)], page: 1, pageSize: 1000, total: 1, totalPages: 1 })
+    ));
+
+    try {
+      const result = await createApiSource().load();
+      expect(result.rows).toHaveLength(1);
+      expect(result.storeError).toBe('저장된 스냅샷 목록 읽기 실패: 저장 공간 부족');
+    } finally {
+      delete window.indexedDB;
+    }
+  });
+
+  test('opens the stored rows offline when the listings cannot be downloaded', async () => {
+    const stored = { date: '2025-03-10', file: '0310.csv', revision: '1', source: 'api', rows: [{ 구역: 'N1', 가격: 250000 }] };
+    const list = jest.spyOn(snapshotStore, 'listStoredSnapshots').mockResolvedValue([stored]);
+    // 서비스 워커가 캐시한 목록에는 리비전이 없을 수 있다
+    global.fetch = jest.fn((url) => (
+      url.endsWith('/api/snapshots')
+        ? respond({ snapshots: [{ date: '2025-03-10', file: '0310.csv' }] })
+        : Promise.reject(new TypeError('Failed to fetch'))
+    ));
+
+    try {
+      const result = await createApiSource().load();
+      expect(result.rows).toEqual(stored.rows);
+      expect(result.offline).toBe(true);
+      expect(result.snapshots.map(snapshot => snapshot.date)).toEqual(['2025-03-10']);
+    } finally {
+      list.mockRestore();
+    }
+  });
+});
+
+test('loadSnapshotManifest takes the revision from the manifest or the CSV headers', async () => {
+  global.fetch = jest.fn((url, init) => {
+    if (url.endsWith('snapshots.json')) {
+      return respond({ snapshots: [{ date: '2025-03-10', file: '0310.csv', revision: 3 }, { date: '2025-03-09', file: '0309.csv' }] });
+    }
+    return Promise.resolve({ ok: init.method === 'HEAD', status: 200, headers: new Headers({ ETag: '"abc"' }) });
+  });
+
+  expect(await loadSnapshotManifest()).toEqual([
+    { date: '2025-03-09', file: '0309.csv', revision: '"abc"' },
+    { date: '2025-03-10', file: '0310.csv', revision: '3' }
+  ]);
+  expect(global.fetch).toHaveBeenCalledWith('/0309.csv', { method: 'HEAD', cache: 'no-cache' });
+});
+
+test('loadSnapshotCsv retries the download, decodes characters split across chunks and parses the text', async () => {
+  const bytes = new TextEncoder().encode('구역,가격\n플로어,"250,000"\nN2,230000\n');
+  // '플'의 3바이트 중간에서 자른다
+  const chunks = [bytes.slice(0, 13), bytes.slice(13)];
+  const body = {
+    getReader: () => ({ read: async () => (chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true }) })
+  };
+  global.fetch = jest.fn()
+    .mockReturnValueOnce(respond({}, 503))
+    .mockReturnValueOnce(Promise.resolve({ ok: true, status: 200, body, headers: new Headers({ 'Content-Length': String(bytes.length) }) }));
+  const parse = jest.spyOn(Papa, 'parse');
+  const progress = [];
+  const originalDecoder = global.TextDecoder;
+  global.TextDecoder = TextDecoder;
+
+  try {
+    const rows = await loadSnapshotCsv({ date: '2025-03-10', file: '0310.csv' }, value => progress.push(value));
+    expect(rows.map(row => [row.구역, row.가격, row.스냅샷])).toEqual([['플로어', 250000, '2025-03-10'], ['N2', 230000, '2025-03-10']]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    // papaparse에는 URL이 아니라 받은 본문을 넘긴다 (워커에서 상대 URL을 풀 수 없다)
+    expect(parse.mock.calls[0][0]).toMatch(/^구역,가격\n/);
+    expect(parse.mock.calls[0][1].download).toBeUndefined();
+    expect(progress[0]).toBeCloseTo(13 / bytes.length / 2);
+    expect(progress[progress.length - 1]).toBe(1);
+  } finally {
+    parse.mockRestore();
+    global.TextDecoder = originalDecoder;
+  }
+});
+
+describe('fetchWithRetry', () => {
+  test('retries network errors and server errors', async () => {
+    global.fetch = jest.fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('offline')))
+      .mockImplementationOnce(() => respond({}, 503))
+      .mockImplementationOnce(() => respond({ ok: true }));
+
+    const response = await fetchWithRetry('/api/events', { delay: 0 });
+    expect(await response.json()).toEqual({ ok: true });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up after the last attempt', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+
+    await expect(fetchWithRetry('/api/events', { label: '공연 목록', retries: 1, delay: 0 }))
+      .rejects.toThrow('공연 목록: 서버에 연결할 수 없습니다 (offline)');
+  });
+});
+
+test('getDataSource picks the source from the build environment', () => {
+  expect(getDataSource({}).type).toBe('public');
+  expect(getDataSource({ REACT_APP_DATA_SOURCE: 'api', REACT_APP_API_URL: 'http://localhost:3001' }).label)
+    .toBe('매물 API (http://localhost:3001)');
+  expect(getDataSource({ REACT_APP_DATA_SOURCE: 'upload' }).type).toBe('upload');
+});
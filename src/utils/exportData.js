@@ -0,0 +1,119 @@
+import Papa from 'papaparse';
+
+// 엑셀이 한글을 UTF-8로 인식하도록 붙이는 BOM
+const UTF8_BOM = '\uFEFF';
+
+// columns: [{ key, label }] 순서대로 label을 머리글로 쓴다 (태그 같은 목록 값은 쉼표로 잇는다)
+const toTable = (rows, columns) => {
+  return rows.map(row => columns.map(column => {
+    const value = row[column.key];
+    return Array.isArray(value) ? value.join(', ') : value ?? '';
+  }));
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const toCsv = (rows, columns) => {
+  return UTF8_BOM + Papa.unparse({
+    fields: columns.map(column => column.label),
+    data: toTable(rows, columns)
+  });
+};
+
+export const downloadCsv = (filename, rows, columns) => {
+  downloadBlob(new Blob([toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+};
+
+// xlsx 라이브러리는 용량이 커서 내보낼 때만 불러온다
+export const downloadXlsx = async (filename, rows, columns) => {
+  const XLSX = await import('xlsx');
+  const sheet = XLSX.utils.aoa_to_sheet([columns.map(column => column.label), ...toTable(rows, columns)]);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Sheet1');
+  XLSX.writeFile(workbook, `${filename}.xlsx`);
+};
+
+const PNG_SCALE = 2;
+const PNG_TITLE_HEIGHT = 32;
+const PNG_LEGEND_HEIGHT = 28;
+
+// 차트 SVG를 PNG로 저장한다. recharts의 범례는 SVG 밖의 HTML이라 legend([{ name, color }])로 받아 직접 그린다
+// 이미지로 바꾼 SVG에는 페이지의 CSS가 적용되지 않으므로 글꼴과 흰 배경을 직접 넣는다
+export const downloadChartPng = (svg, filename, { title = '', legend = [] } = {}) => new Promise((resolve, reject) => {
+  const { width, height } = svg.getBoundingClientRect();
+  const fontFamily = window.getComputedStyle(svg).fontFamily;
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.setAttribute('font-family', fontFamily);
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(clone)], { type: 'image/svg+xml;charset=utf-8' }));
+
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    const top = title ? PNG_TITLE_HEIGHT : 0;
+    const canvas = document.createElement('canvas');
+    canvas.width = width * PNG_SCALE;
+    canvas.height = (top + height + (legend.length > 0 ? PNG_LEGEND_HEIGHT : 0)) * PNG_SCALE;
+    const context = canvas.getContext('2d');
+    context.scale(PNG_SCALE, PNG_SCALE);
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, canvas.height / PNG_SCALE);
+    context.textBaseline = 'middle';
+    if (title) {
+      context.fillStyle = '#111827';
+      context.font = `bold 16px ${fontFamily}`;
+      context.fillText(title, 8, PNG_TITLE_HEIGHT / 2);
+    }
+    context.drawImage(image, 0, top, width, height);
+
+    context.font = `13px ${fontFamily}`;
+    let x = 8;
+    legend.forEach(({ name, color }) => {
+      const y = top + height + PNG_LEGEND_HEIGHT / 2;
+      context.fillStyle = color;
+      context.fillRect(x, y - 5, 10, 10);
+      context.fillStyle = '#374151';
+      context.fillText(name, x + 14, y);
+      x += 14 + context.measureText(name).width + 16;
+    });
+
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error('PNG를 만들 수 없습니다'));
+        return;
+      }
+      downloadBlob(blob, `${filename}.png`);
+      resolve();
+    }, 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('차트 이미지를 읽을 수 없습니다'));
+  };
+  image.src = url;
+});
+
+// 원본 CSV와 같은 순서의 매물 컬럼 뒤에 정가표로 계산한 웃돈, 특이사항 분류 컬럼
+export const LISTING_COLUMNS = [
+  ...[
+    '스냅샷', '카테고리1', '카테고리2', '공연명', '공연일시', '구역', '열', '층', '등급',
+    '가격', '등록일시', '상태', '연결석여부', '특이사항'
+  ].map(key => ({ key, label: key })),
+  { key: '정가', label: '정가' },
+  { key: '웃돈', label: '웃돈' },
+  { key: '웃돈비율', label: '정가 대비' },
+  { key: '태그', label: '태그' },
+  { key: '위험도', label: '위험도' },
+  { key: '품질', label: '품질' }
+];
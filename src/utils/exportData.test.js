@@ -0,0 +1,11 @@
+import { toCsv } from './exportData';
+
+test('writes a UTF-8 BOM, labelled headers and Korean values', () => {
+  const csv = toCsv(
+    [{ zone: 'E61', avgPrice: 168000 }, { zone: '플로어', avgPrice: null }],
+    [{ key: 'zone', label: '구역' }, { key: 'avgPrice', label: '평균 가격' }]
+  );
+
+  expect(csv.charCodeAt(0)).toBe(0xfeff);
+  expect(csv.slice(1).split('\r\n')).toEqual(['구역,평균 가격', 'E61,168000', '플로어,']);
+});
@@ -0,0 +1,14 @@
+import { fetchPublicJson } from './publicFiles';
+
+// 공연명 → 등급(·층)별 정가표 (public/face-values.json)
+const FACE_VALUE_PATH = 'face-values.json';
+
+// 정가표는 선택 사항이라 불러오지 못하면 빈 정가표로 웃돈 분석 없이 진행한다
+// error: 화면에 알릴 오류 문구 (성공하면 null)
+export const loadFaceValues = async () => {
+  try {
+    return { faceValues: await fetchPublicJson(FACE_VALUE_PATH), error: null };
+  } catch (error) {
+    return { faceValues: {}, error: `정가표를 불러오지 못해 웃돈 없이 보여줍니다: ${error.message}` };
+  }
+};
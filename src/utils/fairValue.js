@@ -0,0 +1,83 @@
+import _ from 'lodash';
+import { fitTheilSen } from './regression';
+import { median } from '../analytics';
+
+// 표본이 적은 그룹의 효과를 1(영향 없음) 쪽으로 당기는 가중치
+const PRIOR_WEIGHT = 5;
+
+// 열 추세 적합에 사용할 최대 표본 수 (Theil-Sen은 표본 수의 제곱에 비례)
+const MAX_ROW_FIT_POINTS = 300;
+
+// 기준 가격(층 × 등급) 이후 순서대로 곱해지는 보정 요인
+const FACTOR_FIELDS = ['구역', '공연일시', '연결석여부', '특이사항'];
+
+const getRow = (item) => {
+  const row = parseInt(item.열, 10);
+  return Number.isNaN(row) ? null : row;
+};
+
+const shrink = (ratio, count) => 1 + (ratio - 1) * (count / (count + PRIOR_WEIGHT));
+
+// 그룹별 (가격 / 현재 예상 가격) 중앙값을 축소 추정한 효과
+const getGroupEffects = (entries, getKey) => {
+  return _.mapValues(
+    _.groupBy(entries, entry => getKey(entry.item)),
+    group => shrink(median(group.map(entry => entry.item.가격 / entry.expected)), group.length)
+  );
+};
+
+// 층·등급별 가격 중앙값에 구역, 공연일시, 연결석여부, 특이사항 효과와
+// 같은 구역 안에서의 열 차이를 차례로 곱해 매물별 적정 가격을 추정한다.
+// discount는 (가격 - 적정 가격) / 적정 가격으로, 음수일수록 싸게 나온 매물이다.
+export const estimateFairValues = (items) => {
+  const priced = items.filter(item => item.가격);
+  if (priced.length === 0) return [];
+
+  const globalMedian = median(priced.map(item => item.가격));
+  const segmentMedians = _.mapValues(
+    _.groupBy(priced, item => `${item.층}|${item.등급}`),
+    group => median(group.map(item => item.가격))
+  );
+
+  const entries = priced.map(item => ({
+    item,
+    expected: segmentMedians[`${item.층}|${item.등급}`] || globalMedian
+  }));
+
+  FACTOR_FIELDS.forEach(field => {
+    const effects = getGroupEffects(entries, item => item[field]);
+    entries.forEach(entry => {
+      entry.expected *= effects[entry.item[field]];
+    });
+  });
+
+  // 같은 구역의 중앙 열보다 앞/뒤에 있는 정도에 따른 층별 열 효과
+  const zoneMedianRows = _.mapValues(
+    _.groupBy(entries.filter(entry => getRow(entry.item) !== null), entry => entry.item.구역),
+    group => median(group.map(entry => getRow(entry.item)))
+  );
+  const getRowOffset = (item) => {
+    const row = getRow(item);
+    return row === null ? null : row - zoneMedianRows[item.구역];
+  };
+
+  _.forEach(_.groupBy(entries, entry => entry.item.층), floorEntries => {
+    const withRow = floorEntries.filter(entry => getRowOffset(entry.item) !== null);
+    const step = Math.max(1, Math.ceil(withRow.length / MAX_ROW_FIT_POINTS));
+    const points = withRow
+      .filter((entry, index) => index % step === 0)
+      .map(entry => ({ x: getRowOffset(entry.item), y: entry.item.가격 / entry.expected }));
+    const fit = fitTheilSen(points);
+    if (!fit) return;
+
+    withRow.forEach(entry => {
+      entry.expected *= Math.max(0.5, 1 + fit.slope * getRowOffset(entry.item));
+    });
+  });
+
+  return entries.map(({ item, expected }) => ({
+    item,
+    expectedPrice: expected,
+    discount: (item.가격 - expected) / expected
+  }));
+};
@@ -0,0 +1,34 @@
+import { estimateFairValues } from './fairValue';
+
+const listing = (zone, row, price) => ({
+  공연일시: '03.20  18:30',
+  구역: zone,
+  열: row,
+  층: '2층 (2F)',
+  등급: 'R',
+  가격: price,
+  연결석여부: 'N',
+  특이사항: '정보 없음'
+});
+
+test('flags a listing priced well below comparable seats as a deal', () => {
+  const items = [
+    listing('N1', 5, 200000),
+    listing('N1', 6, 205000),
+    listing('N1', 7, 198000),
+    listing('N1', 8, 202000),
+    listing('N1', 9, 120000),
+    listing('N1', 10, 199000)
+  ];
+
+  const estimates = estimateFairValues(items);
+  const cheapest = estimates.reduce((best, estimate) => (estimate.discount < best.discount ? estimate : best));
+
+  expect(estimates).toHaveLength(items.length);
+  expect(cheapest.item.가격).toBe(120000);
+  expect(cheapest.discount).toBeLessThan(-0.3);
+});
+
+test('skips listings without a price', () => {
+  expect(estimateFairValues([listing('N1', 1, null)])).toEqual([]);
+});
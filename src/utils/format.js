@@ -0,0 +1,31 @@
+export const formatPrice = (price) => {
+  return new Intl.NumberFormat('ko-KR').format(price) + '원';
+};
+
+// 비율(0.25)을 부호가 있는 백분율(+25.0%)로 표시
+export const formatPercent = (ratio) => {
+  if (ratio === null || ratio === undefined) return '-';
+  return `${ratio > 0 ? '+' : ''}${(ratio * 100).toFixed(1)}%`;
+};
+
+// 스냅샷 날짜(YYYY-MM-DD)를 공연일시와 같은 MM.DD 형식으로 표시
+export const formatSnapshotDate = (date) => {
+  if (!date || typeof date !== 'string') return '';
+  const [, month, day] = date.split('-');
+  return month && day ? `${month}.${day}` : date;
+};
+
+// 필터·감시 규칙 조건({ key, value }, analytics의 describeEvent·describeFilters·describeWatchRule) 하나를 문구로
+export const formatCondition = ({ key, value }) => {
+  if (key === 'excludedTags') return `${value} 제외`;
+  if (key === 'connectedOnly') return '연결석';
+  if (key === 'priceMin') return `${formatPrice(value)} 이상`;
+  if (key === 'priceMax') return `${formatPrice(value)} 이하`;
+  if (key === 'maxMarkupRatio') return `정가 ${value >= 0 ? '+' : ''}${Math.round(value * 100)}% 이하`;
+  return String(value);
+};
+
+// 조건 목록을 한 줄로 (예: "2층 (2F) · R · 03.21 · 연결석 · 180,000원 이하")
+export const formatConditions = (conditions) => {
+  return conditions.length > 0 ? conditions.map(formatCondition).join(' · ') : '모든 매물';
+};
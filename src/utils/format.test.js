@@ -0,0 +1,16 @@
+import { formatConditions } from './format';
+import { DEFAULT_FILTERS, createWatchRule, describeFilters, describeWatchRule } from '../analytics';
+
+test('formats filter and watch rule conditions as one line', () => {
+  const rule = createWatchRule({
+    id: '1',
+    name: '2층 R',
+    event: { show: '세븐틴 2025 - 인천' },
+    filters: { floors: ['2층 (2F)'], grades: ['R'], excludedTags: ['양도'], connectedOnly: true, priceMax: 240000 },
+    maxMarkupRatio: 0.06
+  });
+  expect(formatConditions(describeWatchRule(rule)))
+    .toBe('세븐틴 2025 - 인천 · 2층 (2F) · R · 양도 제외 · 연결석 · 240,000원 이하 · 정가 +6% 이하');
+  expect(formatConditions(describeFilters({ ...DEFAULT_FILTERS, date: '03.21', priceMin: 100000 }))).toBe('03.21 · 100,000원 이상');
+  expect(formatConditions(describeFilters(DEFAULT_FILTERS))).toBe('모든 매물');
+});
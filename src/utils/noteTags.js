@@ -0,0 +1,14 @@
+import { fetchPublicJson } from './publicFiles';
+
+// 특이사항 분류표 (public/note-tags.json)
+const NOTE_TAGS_PATH = 'note-tags.json';
+
+// 분류표가 없으면 특이사항을 태그 없이 그대로 쓴다
+// error: 화면에 알릴 오류 문구 (성공하면 null)
+export const loadNoteTaxonomy = async () => {
+  try {
+    return { taxonomy: await fetchPublicJson(NOTE_TAGS_PATH), error: null };
+  } catch (error) {
+    return { taxonomy: { tags: [] }, error: `특이사항 분류표를 불러오지 못해 태그 없이 보여줍니다: ${error.message}` };
+  }
+};
@@ -0,0 +1,49 @@
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 네트워크 오류와 5xx 응답은 잠시 기다렸다가 다시 시도한다 (기다리는 시간은 매번 두 배)
+// 4xx 응답은 다시 시도해도 같으므로 바로 실패한다. label은 오류 메시지에 쓸 이름
+export const fetchWithRetry = async (url, { label = url, retries = 2, delay = 500 } = {}) => {
+  for (let attempt = 0; attempt <= retries; attempt += 1) {
+    if (attempt > 0) await wait(delay * 2 ** (attempt - 1));
+
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      if (attempt === retries) throw new Error(`${label}: 서버에 연결할 수 없습니다 (${error.message})`);
+      continue;
+    }
+    if (response.ok) return response;
+    if (response.status < 500 || attempt === retries) throw new Error(`${label} (${response.status})`);
+  }
+  return null;
+};
+
+export const getPublicUrl = (path) => `${process.env.PUBLIC_URL}/${path}`;
+
+// 공용 폴더(public)에 배포된 파일을 불러온다
+export const fetchPublicText = async (path) => {
+  const response = await fetchWithRetry(getPublicUrl(path), { label: path });
+  return response.text();
+};
+
+export const fetchPublicJson = async (path) => {
+  return JSON.parse(await fetchPublicText(path));
+};
+
+// 공용 폴더 파일의 응답 헤더 (받지 못하면 null)
+// HTTP 캐시에 남은 예전 헤더를 읽지 않도록 서버에 다시 확인한다
+const fetchPublicHeaders = async (path) => {
+  try {
+    const response = await fetch(getPublicUrl(path), { method: 'HEAD', cache: 'no-cache' });
+    return response.ok && response.headers ? response.headers : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// 공용 폴더 파일의 리비전: 서버가 알려준 ETag, 없으면 Last-Modified (알 수 없으면 null)
+export const fetchPublicRevision = async (path) => {
+  const headers = await fetchPublicHeaders(path);
+  return headers && (headers.get('ETag') || headers.get('Last-Modified'));
+};
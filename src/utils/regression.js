@@ -0,0 +1,19 @@
+import { median } from '../analytics';
+
+// Theil-Sen 추정: 두 점씩 이은 기울기의 중앙값이라 이상치 가격에 강하다
+// points: [{ x, y }] → { slope, intercept } (점이 부족하거나 x가 모두 같으면 null)
+export const fitTheilSen = (points) => {
+  const slopes = [];
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      if (points[j].x !== points[i].x) {
+        slopes.push((points[j].y - points[i].y) / (points[j].x - points[i].x));
+      }
+    }
+  }
+  if (slopes.length === 0) return null;
+
+  const slope = median(slopes);
+  const intercept = median(points.map(point => point.y - slope * point.x));
+  return { slope, intercept };
+};
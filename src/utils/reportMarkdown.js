@@ -0,0 +1,117 @@
+import { formatPrice, formatSnapshotDate } from './format';
+
+// buildMarketReport 결과를 Markdown으로 (scripts/report.mjs)
+
+const formatCell = (value) => (value === null || value === undefined ? '-' : String(value).replace(/\|/g, '\\|'));
+
+const formatMaybePrice = (price) => (price === null || price === undefined ? '-' : formatPrice(price));
+
+const formatCount = (count) => `${count}장`;
+
+// 부호를 붙인 변화량 (+12,000원, -3장)
+const formatDelta = (delta, format = formatPrice) => {
+  if (delta === null || delta === undefined) return '-';
+  const sign = delta > 0 ? '+' : delta < 0 ? '-' : '±';
+  return `${sign}${format(Math.abs(delta))}`;
+};
+
+// headers: 머리글, rows: 칸 값 배열의 배열. align의 'right'는 숫자 칸
+const renderTable = (headers, rows, align = []) => [
+  `| ${headers.join(' | ')} |`,
+  `| ${headers.map((header, index) => (align[index] === 'right' ? '---:' : '---')).join(' | ')} |`,
+  ...rows.map(row => `| ${row.map(formatCell).join(' | ')} |`)
+].join('\n');
+
+const PRICE_HEADERS = ['매물 수', '평균', '중간값', '최저', '최고'];
+const PRICE_ALIGN = ['left', 'right', 'right', 'right', 'right', 'right'];
+
+const renderPriceTable = (label, keyName, rows) => renderTable(
+  [label, ...PRICE_HEADERS],
+  rows.map(row => [row[keyName], row.count, ...['mean', 'median', 'min', 'max'].map(key => formatMaybePrice(row[key]))]),
+  PRICE_ALIGN
+);
+
+const renderChanges = (changes) => [
+  `## 전 스냅샷 대비 변화 (${formatSnapshotDate(changes.previousSnapshot)} → 현재)`,
+  '',
+  renderTable(
+    ['매물 수', '평균', '중간값', '최저'],
+    [[formatDelta(changes.summary.count, formatCount), ...['mean', 'median', 'min'].map(key => formatDelta(changes.summary[key]))]],
+    ['right', 'right', 'right', 'right']
+  ),
+  '',
+  `신규 ${changes.listings.added}장 · 사라짐 ${changes.listings.removed}장 · 가격 변경 ${changes.listings.repriced}장 · 변동 없음 ${changes.listings.unchanged}장`,
+  '',
+  '### 사라진 매물이 많은 구역',
+  '',
+  renderTable(
+    ['구역', '신규', '사라짐', '가격 변경', '평균 가격 변화', '소진율'],
+    changes.zones.map(zone => [
+      zone.zone,
+      zone.addedCount,
+      zone.removedCount,
+      zone.repricedCount,
+      formatDelta(zone.avgDelta),
+      `${(zone.sellThrough * 100).toFixed(1)}%`
+    ]),
+    ['left', 'right', 'right', 'right', 'right', 'right']
+  ),
+  '',
+  '### 공연일별 평균 가격 변화',
+  '',
+  renderTable(
+    ['공연일', '이전 평균', '현재 평균', '변화'],
+    changes.dates.map(row => [row.date, formatMaybePrice(row.previousMean), formatMaybePrice(row.mean), formatDelta(row.delta)]),
+    ['left', 'right', 'right', 'right']
+  ),
+  ''
+];
+
+export const toMarkdownReport = (report) => {
+  const { summary, stats } = report;
+  return [
+    `# ${report.title} 시장 리포트 (${formatSnapshotDate(report.snapshot)} 스냅샷)`,
+    '',
+    '## 요약',
+    '',
+    renderTable(
+      PRICE_HEADERS,
+      [[summary.count, ...['mean', 'median', 'min', 'max'].map(key => formatMaybePrice(summary[key]))]],
+      PRICE_ALIGN.slice(1)
+    ),
+    '',
+    '## 평균 가격이 높은 구역',
+    '',
+    renderPriceTable('구역', 'zone', report.zones.top),
+    '',
+    '## 평균 가격이 낮은 구역',
+    '',
+    renderPriceTable('구역', 'zone', report.zones.bottom),
+    '',
+    '## 층별 평균 가격',
+    '',
+    renderPriceTable('층', 'floor', report.floors),
+    '',
+    '## 등급별 평균 가격',
+    '',
+    renderPriceTable('등급', 'grade', report.grades),
+    '',
+    '## 층·등급별 평균 가격',
+    '',
+    renderTable(
+      ['층', ...stats.columns, '전체'],
+      stats.rows.map(row => [
+        row,
+        ...stats.columns.map(column => formatMaybePrice(stats.cells[row][column])),
+        formatMaybePrice(stats.rowTotals[row])
+      ]),
+      ['left', ...stats.columns.map(() => 'right'), 'right']
+    ),
+    '',
+    '## 공연일별 평균 가격',
+    '',
+    renderPriceTable('공연일', 'date', report.dates),
+    '',
+    ...(report.changes ? renderChanges(report.changes) : [])
+  ].join('\n');
+};
@@ -0,0 +1,29 @@
+import { toMarkdownReport } from './reportMarkdown';
+
+const priceRow = (keyName, key, mean) => ({ [keyName]: key, count: 1, mean, median: mean, min: mean, max: mean });
+
+test('renders the report sections as Markdown tables', () => {
+  const markdown = toMarkdownReport({
+    title: '세븐틴 2025 - 인천',
+    snapshot: '2025-03-09',
+    summary: { count: 1, priceCount: 1, min: 200000, max: 200000, mean: 200000, median: 200000 },
+    zones: { top: [priceRow('zone', 'N1', 200000)], bottom: [priceRow('zone', 'N1', 200000)] },
+    floors: [priceRow('floor', '2층 (2F)', 200000)],
+    grades: [priceRow('grade', 'R', 200000)],
+    stats: { rows: ['2층 (2F)'], columns: ['R', 'S'], cells: { '2층 (2F)': { R: 200000 } }, rowTotals: { '2층 (2F)': 200000 } },
+    dates: [priceRow('date', '03.21', 200000)],
+    changes: {
+      previousSnapshot: '2025-03-08',
+      summary: { count: -2, mean: 15000, median: 0, min: null },
+      listings: { added: 0, removed: 2, repriced: 1, unchanged: 0 },
+      zones: [{ zone: 'N1', addedCount: 0, removedCount: 2, repricedCount: 1, avgDelta: -5000, sellThrough: 0.667 }],
+      dates: []
+    }
+  });
+
+  expect(markdown).toContain('# 세븐틴 2025 - 인천 시장 리포트 (03.09 스냅샷)');
+  expect(markdown).toContain('| 2층 (2F) | 200,000원 | - | 200,000원 |');
+  expect(markdown).toContain('## 전 스냅샷 대비 변화 (03.08 → 현재)');
+  expect(markdown).toContain('| -2장 | +15,000원 | ±0원 | - |');
+  expect(markdown).toContain('| N1 | 0 | 2 | 1 | -5,000원 | 66.7% |');
+});
@@ -0,0 +1,101 @@
+// 파싱한 스냅샷을 브라우저 IndexedDB에 저장해 다시 받지 않고, 오프라인에서도 쓴다
+// 레코드: { date, file, revision, source: 'public' | 'api' | 'upload', version, rows, rowCount, savedAt }
+// revision은 데이터 소스가 알려준 파일 리비전 (매물 API는 파일 수정 시각, 정적 CSV는 snapshots.json의 revision이나 ETag)
+// IndexedDB가 없는 환경(테스트, 일부 사생활 보호 모드)에서는 저장하지 않고 빈 결과를 돌려준다 (오류가 아니다)
+const DB_NAME = 'ticketb';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+// 정규화 규칙(analytics/normalize.js)이 바뀌면 올려서 예전 파싱 결과를 버린다
+export const PARSE_VERSION = 1;
+
+export const SNAPSHOT_SOURCES = {
+  public: '배포',
+  api: '매물 API',
+  upload: '업로드'
+};
+
+export const isSnapshotStoreAvailable = () => typeof window !== 'undefined' && Boolean(window.indexedDB);
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'date' });
+    };
+    dbPromise = requestToPromise(request).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+  return requestToPromise(callback(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+};
+
+// 저장소가 없으면 fallback을 돌려주고, 저장소 오류는 어떤 작업이 실패했는지 붙여 던진다
+// 부르는 쪽이 저장 없이 계속할지 정하고 화면에 알린다 (dataSources의 storeError, SnapshotManagerPanel)
+const safely = async (action, fallback, callback) => {
+  if (!isSnapshotStoreAvailable()) return fallback;
+  try {
+    return await callback();
+  } catch (error) {
+    throw new Error(`저장된 스냅샷 ${action} 실패: ${error.message}`);
+  }
+};
+
+// 현재 파싱 버전으로 저장된 스냅샷만 돌려준다
+export const getStoredSnapshot = (date) => safely('읽기', null, async () => {
+  const record = await withStore('readonly', store => store.get(date));
+  return record && record.version === PARSE_VERSION ? record : null;
+});
+
+// 날짜순 목록 (행 포함)
+export const listStoredSnapshots = () => safely('목록 읽기', [], async () => {
+  const records = await withStore('readonly', store => store.getAll());
+  return records
+    .filter(record => record.version === PARSE_VERSION)
+    .sort((a, b) => a.date.localeCompare(b.date));
+});
+
+export const saveStoredSnapshot = (snapshot, rows) => safely('저장', null, () => (
+  withStore('readwrite', store => store.put({
+    date: snapshot.date,
+    file: snapshot.file,
+    revision: snapshot.revision ?? null,
+    source: snapshot.source || 'public',
+    version: PARSE_VERSION,
+    rows,
+    rowCount: rows.length,
+    savedAt: new Date().toISOString()
+  }))
+));
+
+export const deleteStoredSnapshot = (date) => safely('삭제', null, () => (
+  withStore('readwrite', store => store.delete(date))
+));
+
+export const clearStoredSnapshots = () => safely('삭제', null, () => (
+  withStore('readwrite', store => store.clear())
+));
+
+// 브라우저가 허용한 저장 공간과 사용량 (지원하지 않으면 null)
+export const estimateStorage = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,79 @@
+import Papa from 'papaparse';
+import { fetchPublicJson, fetchPublicRevision, fetchWithRetry, getPublicUrl } from './publicFiles';
+import { normalizeRows } from '../analytics';
+
+// 스냅샷 목록 파일 (public/snapshots.json)
+const MANIFEST_PATH = 'snapshots.json';
+
+// 한 번에 워커에서 넘겨받을 분량 (문자 수)
+const CHUNK_SIZE = 512 * 1024;
+
+// 진행률은 내려받기 절반, 파싱 절반으로 나눠 알린다
+const DOWNLOAD_SHARE = 0.5;
+
+// 응답 본문을 받는 대로 UTF-8로 풀어 이어 붙이고, 받은 바이트 / Content-Length로 진행률(0~1)을 알린다
+// 네트워크 청크 경계에서 잘린 한글은 TextDecoder의 stream 옵션이 다음 청크와 이어서 푼다
+// 본문을 스트림으로 읽을 수 없는 환경(테스트 등)에서는 한 번에 읽는다
+const readText = async (response, onProgress) => {
+  if (!response.body || typeof TextDecoder === 'undefined') {
+    const text = await response.text();
+    onProgress(1);
+    return text;
+  }
+  const size = Number(response.headers.get('Content-Length'));
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  const parts = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.length;
+    parts.push(decoder.decode(value, { stream: true }));
+    // 압축 전송이면 Content-Length보다 많이 받을 수 있다
+    if (size > 0) onProgress(Math.min(received / size, 1));
+  }
+  parts.push(decoder.decode());
+  onProgress(1);
+  return parts.join('');
+};
+
+// 웹 워커에서 청크 단위로 파싱하고, 청크를 받을 때마다 정규화하며 진행률(0~1)을 알린다
+// 워커에는 URL이 아니라 받은 문자열을 넘긴다 (내려받기는 재시도가 있는 fetchWithRetry로)
+// 워커를 쓸 수 없는 환경(테스트 등)에서는 papaparse가 메인 스레드에서 같은 방식으로 파싱한다
+const parseCsvInChunks = (text, snapshotDate, onProgress) => {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Papa.parse(text, {
+      header: true,
+      skipEmptyLines: true,
+      dynamicTyping: true,
+      worker: true,
+      chunkSize: CHUNK_SIZE,
+      chunk: (results) => {
+        normalizeRows(results.data, snapshotDate).forEach(row => rows.push(row));
+        onProgress(text.length > 0 ? Math.min(results.meta.cursor / text.length, 1) : 1);
+      },
+      complete: () => resolve(rows),
+      error: (error) => reject(new Error(`CSV 파싱 오류: ${error.message}`))
+    });
+  });
+};
+
+// 날짜순으로 정렬된 스냅샷 목록을 불러온다
+// 리비전은 snapshots.json의 revision, 없으면 CSV의 ETag·Last-Modified (같은 파일 이름으로 다시 올려도 알아챈다)
+export const loadSnapshotManifest = async () => {
+  const manifest = await fetchPublicJson(MANIFEST_PATH);
+  const snapshots = await Promise.all((manifest.snapshots || []).map(async snapshot => ({
+    ...snapshot,
+    revision: snapshot.revision ? String(snapshot.revision) : await fetchPublicRevision(snapshot.file)
+  })));
+  return snapshots.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// 스냅샷 CSV를 받아 정규화하고 모든 행에 스냅샷 날짜(스냅샷)를 붙인다
+export const loadSnapshotCsv = async (snapshot, onProgress = () => {}) => {
+  const response = await fetchWithRetry(getPublicUrl(snapshot.file), { label: snapshot.file });
+  const text = await readText(response, fraction => onProgress(fraction * DOWNLOAD_SHARE));
+  return parseCsvInChunks(text, snapshot.date, fraction => onProgress(DOWNLOAD_SHARE + fraction * (1 - DOWNLOAD_SHARE)));
+};
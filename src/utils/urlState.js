@@ -0,0 +1,105 @@
+import {
+  DEFAULT_EVENT,
+  DEFAULT_FILTERS,
+  DEFAULT_PIVOT,
+  EVENT_LEVELS,
+  PIVOT_METRICS,
+  getPivotDimension
+} from '../analytics';
+
+export const DEFAULT_VIEW_MODE = 'zonePrice';
+
+// 배열 필터는 같은 키를 반복해서 담는다 (?floor=2층 (2F)&floor=4층 (4F))
+const LIST_PARAMS = {
+  floors: 'floor',
+  grades: 'grade',
+  zones: 'zone',
+  notes: 'note',
+  statuses: 'status',
+  tags: 'tag',
+  excludedTags: 'notag'
+};
+
+// 피벗 표의 열 차원을 고르지 않은 상태 (합계만)
+const NO_PIVOT_COLUMNS = 'none';
+
+const parseNumber = (value) => {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+// 모르는 차원·지표는 기본 피벗으로 (이름이 바뀐 예전 링크)
+const parsePivot = (params) => {
+  const rows = params.get('rows');
+  const columns = params.get('columns');
+  const metric = params.get('metric');
+  return {
+    rows: getPivotDimension(rows) ? rows : DEFAULT_PIVOT.rows,
+    columns: columns === NO_PIVOT_COLUMNS ? null : (getPivotDimension(columns) ? columns : DEFAULT_PIVOT.columns),
+    metric: PIVOT_METRICS.some(item => item.key === metric) ? metric : DEFAULT_PIVOT.metric
+  };
+};
+
+// 보기 모드, 스냅샷, 공연 선택, 필터, 피벗 표 설정을 쿼리 문자열로 변환 (기본값은 생략)
+// 공연 선택은 단계 이름 그대로 쓴다 (?artist=세븐틴&show=...)
+export const serializeUrlState = ({
+  viewMode,
+  snapshot,
+  event = DEFAULT_EVENT,
+  filters,
+  excludeOutliers = false,
+  excludeFlagged = false,
+  pivot = DEFAULT_PIVOT
+}) => {
+  const params = new URLSearchParams();
+
+  if (viewMode && viewMode !== DEFAULT_VIEW_MODE) params.set('view', viewMode);
+  if (snapshot) params.set('snapshot', snapshot);
+  EVENT_LEVELS.forEach(level => {
+    if (event[level.key]) params.set(level.key, event[level.key]);
+  });
+  Object.entries(LIST_PARAMS).forEach(([key, param]) => {
+    filters[key].forEach(value => params.append(param, value));
+  });
+  if (filters.date !== 'all') params.set('date', filters.date);
+  if (filters.priceMin !== null) params.set('priceMin', filters.priceMin);
+  if (filters.priceMax !== null) params.set('priceMax', filters.priceMax);
+  if (filters.connectedOnly) params.set('connected', '1');
+  if (excludeOutliers) params.set('outliers', 'exclude');
+  if (excludeFlagged) params.set('quality', 'exclude');
+  if (pivot.rows !== DEFAULT_PIVOT.rows) params.set('rows', pivot.rows);
+  if (pivot.columns !== DEFAULT_PIVOT.columns) params.set('columns', pivot.columns || NO_PIVOT_COLUMNS);
+  if (pivot.metric !== DEFAULT_PIVOT.metric) params.set('metric', pivot.metric);
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+  const event = { ...DEFAULT_EVENT };
+
+  EVENT_LEVELS.forEach(level => {
+    event[level.key] = params.get(level.key) || '';
+  });
+
+  Object.entries(LIST_PARAMS).forEach(([key, param]) => {
+    filters[key] = params.getAll(param);
+  });
+  filters.date = params.get('date') || 'all';
+  filters.priceMin = parseNumber(params.get('priceMin'));
+  filters.priceMax = parseNumber(params.get('priceMax'));
+  filters.connectedOnly = params.get('connected') === '1';
+
+  return {
+    viewMode: params.get('view') || DEFAULT_VIEW_MODE,
+    snapshot: params.get('snapshot'),
+    event,
+    filters,
+    excludeOutliers: params.get('outliers') === 'exclude',
+    excludeFlagged: params.get('quality') === 'exclude',
+    pivot: parsePivot(params)
+  };
+};
@@ -0,0 +1,38 @@
+import { parseUrlState, serializeUrlState } from './urlState';
+import { DEFAULT_EVENT, DEFAULT_FILTERS, DEFAULT_PIVOT } from '../analytics';
+
+test('round-trips view mode, snapshot, event, filters, the outlier and quality toggles and the pivot through the query string', () => {
+  const state = {
+    viewMode: 'heatMap',
+    snapshot: '2025-03-09',
+    event: { ...DEFAULT_EVENT, artist: '세븐틴', show: '세븐틴 2025 - 인천' },
+    filters: {
+      ...DEFAULT_FILTERS,
+      floors: ['2층 (2F)'],
+      grades: ['R', 'S'],
+      excludedTags: ['성별 제한 명의'],
+      date: '03.21',
+      priceMax: 180000,
+      connectedOnly: true
+    },
+    excludeOutliers: true,
+    excludeFlagged: true,
+    pivot: { rows: 'zone', columns: null, metric: 'markup' }
+  };
+
+  expect(parseUrlState(serializeUrlState(state))).toEqual(state);
+});
+
+test('falls back to defaults for an empty query string', () => {
+  expect(serializeUrlState({ viewMode: 'zonePrice', snapshot: null, filters: DEFAULT_FILTERS })).toBe('');
+  expect(parseUrlState('')).toEqual({
+    viewMode: 'zonePrice',
+    snapshot: null,
+    event: DEFAULT_EVENT,
+    filters: DEFAULT_FILTERS,
+    excludeOutliers: false,
+    excludeFlagged: false,
+    pivot: DEFAULT_PIVOT
+  });
+  expect(parseUrlState('?rows=seat&metric=unknown').pivot).toEqual(DEFAULT_PIVOT);
+});
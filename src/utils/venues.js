@@ -0,0 +1,12 @@
+import { fetchPublicJson } from './publicFiles';
+
+// 공연명 → 좌석 배치도 파일 목록 (public/venues/index.json)
+const VENUE_INDEX_PATH = 'venues/index.json';
+
+// 공연명에 해당하는 좌석 배치도를 불러온다. 등록되지 않은 공연이면 null
+export const loadVenue = async (showName) => {
+  const index = await fetchPublicJson(VENUE_INDEX_PATH);
+  const file = index[showName];
+  if (!file) return null;
+  return fetchPublicJson(`venues/${file}`);
+};
@@ -0,0 +1,61 @@
+import { createWatchRule } from '../analytics';
+
+// 브라우저에 저장하는 감시 규칙과 마지막으로 알림을 확인한 스냅샷
+const RULES_KEY = 'ticketb.watchRules';
+const LAST_SNAPSHOT_KEY = 'ticketb.lastAlertSnapshot';
+
+// 저장 후 필터 모델에 항목이 늘어도 읽을 수 있도록 기본값과 합친다
+// error: 화면에 알릴 오류 문구 (성공하면 null)
+export const loadWatchRules = () => {
+  try {
+    const rules = JSON.parse(window.localStorage.getItem(RULES_KEY) || '[]');
+    return { rules: Array.isArray(rules) ? rules.map(createWatchRule) : [], error: null };
+  } catch (error) {
+    return { rules: [], error: `저장된 감시 규칙을 읽지 못해 빈 목록으로 시작합니다: ${error.message}` };
+  }
+};
+
+export const saveWatchRules = (rules) => {
+  window.localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+};
+
+// 저장소를 읽을 수 없으면 확인한 스냅샷이 없는 것으로 본다
+export const loadLastAlertSnapshot = () => {
+  try {
+    return { date: window.localStorage.getItem(LAST_SNAPSHOT_KEY), error: null };
+  } catch (error) {
+    return { date: null, error: `마지막으로 알림을 확인한 스냅샷을 읽지 못했습니다: ${error.message}` };
+  }
+};
+
+export const saveLastAlertSnapshot = (date) => {
+  window.localStorage.setItem(LAST_SNAPSHOT_KEY, date);
+};
+
+const canNotify = () => typeof window.Notification !== 'undefined';
+
+export const getNotificationPermission = () => (canNotify() ? window.Notification.permission : 'unsupported');
+
+export const requestNotificationPermission = async () => {
+  if (!canNotify()) return 'unsupported';
+  return window.Notification.requestPermission();
+};
+
+// 권한이 있을 때만 브라우저 알림을 띄운다
+// 안드로이드 크롬은 Notification 생성자를 막으므로 서비스 워커가 있으면 그쪽으로 띄운다
+export const showBrowserNotification = async (title, body) => {
+  if (getNotificationPermission() !== 'granted') return;
+  // 같은 태그의 알림은 새 알림으로 대체된다
+  const options = { body, tag: 'ticketb-watch' };
+  try {
+    const registration = 'serviceWorker' in navigator && await navigator.serviceWorker.getRegistration();
+    if (registration) {
+      await registration.showNotification(title, options);
+    } else {
+      new window.Notification(title, options);
+    }
+  } catch (error) {
+    // 알림 패널에는 이미 결과가 있으므로 브라우저 알림 실패는 기록만 한다
+    console.error(`브라우저 알림 오류: ${error.message}`);
+  }
+};